@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Price feed interface with the same shape as Chainlink's AggregatorV3Interface, so that Chainlink feeds (or any feed
+// exposing the same functions) can be used to price a loan's collateral
+interface AggregatorV3Interface {
+    // Number of decimals in the feed's answers
+    function decimals() external view returns (uint8);
+
+    // Human-readable description of the feed, e.g. "ETH / USD"
+    function description() external view returns (string memory);
+
+    // Version of the feed's implementation
+    function version() external view returns (uint256);
+
+    // Get the data of a past round
+    function getRoundData(uint80 _roundId) external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+
+    // Get the data of the latest round
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+}
@@ -0,0 +1,584 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./Aggregator V3 Interface.sol";
+import "./Loan Note.sol";
+
+// Collateralized Loan Base Contract
+// The loan book's types, storage, events and shared helpers. The CollateralizedLoan contract is split up to stay under
+// the 24KB contract size limit: CollateralizedLoan and its extensions (CollateralizedLoanExtension and
+// CollateralizedLoanModificationExtension) all inherit this base, so that the extensions' functions run against
+// CollateralizedLoan's storage when it delegates calls to them. None of these contracts may declare storage of its own,
+// or their layouts would no longer match.
+// The owner administers the protocol fee and the treasury it is paid to, approves the price feeds loans may use, sets
+// the price collateral auctions start at when there is no usable price, and appoints a guardian who can pause the
+// creation and funding of new loans in an emergency.
+abstract contract CollateralizedLoanBase is ReentrancyGuard, Ownable, EIP712 {
+    using SafeERC20 for IERC20;
+
+    // Stages of a loan's lifecycle
+    enum LoanStatus {
+        Requested, // Collateral deposited, waiting for a lender
+        Funded, // Loan amount paid out, waiting for repayment
+        Repaid, // Repaid in full, collateral returned to the borrower
+        Defaulted, // Collateral claimed by the lender
+        Cancelled, // Withdrawn by the borrower before being funded
+        Liquidated // Undercollateralized, debt paid off by a liquidator in exchange for the collateral
+    }
+
+    // Define the structure of a loan
+    struct Loan {
+        uint loanId;
+        address payable borrower;
+        address payable lender;
+        address collateralToken; // The zero address denotes native ETH collateral
+        uint collateralAmount;
+        address loanToken; // The zero address denotes a loan paid out and repaid in native ETH
+        uint loanAmount;
+        uint interestRate; // Annualized, in basis points
+        uint duration; // Length of the loan, counted from when it is funded
+        uint fundingDeadline; // Time by which the loan request must be funded
+        uint startDate;
+        uint dueDate;
+        uint installmentCount; // Number of equal installments the loan is repaid in, spread evenly up to the due date
+        uint outstandingPrincipal;
+        uint accruedInterest; // Interest accrued up to the last accrual date that has not yet been paid
+        uint lastAccrualDate;
+        uint amountRepaid;
+        uint amountFunded; // Principal paid in so far by the loan's lenders
+        uint lateFeesOwed; // Late fees charged after the due date that have not yet been paid
+        uint lateFeeDaysCharged; // Number of days after the due date that late fees have been charged for
+        LoanStatus status;
+    }
+
+    // Stages of a lender's standing offer
+    enum OfferStatus {
+        Open, // Principal escrowed, waiting for a borrower
+        Accepted, // Taken up by a borrower, turning it into a funded loan
+        Withdrawn // Withdrawn by the lender, principal credited back to them
+    }
+
+    // Define the structure of a lender's standing offer to lend
+    struct LoanOffer {
+        uint offerId;
+        address payable lender;
+        address collateralToken; // Always the loan asset, so that the minimum collateral ratio compares like with like
+        address loanToken; // The zero address denotes a loan paid out and repaid in native ETH
+        uint loanAmount;
+        uint interestRate; // Annualized, in basis points
+        uint duration; // Length of the loan, counted from when the offer is accepted
+        uint minCollateralRatio; // Minimum collateral, in basis points of the loan amount
+        uint loanId; // The loan created when the offer is accepted
+        OfferStatus status;
+    }
+
+    // Terms on which a loan can be liquidated before its due date if its collateral loses value
+    struct LiquidationTerms {
+        AggregatorV3Interface priceFeed; // Price of one whole unit of the collateral in whole units of the loan asset
+        uint liquidationThreshold; // Share of the collateral's value the debt may reach, in basis points
+    }
+
+    // Descending-price auction of a defaulted loan's collateral for the loan asset
+    struct CollateralAuction {
+        uint debt; // Principal, interest and late fees owed when the loan defaulted
+        uint penalty; // Liquidation penalty owed to the lenders on top of the debt
+        uint startPrice; // Collateral's value when the auction started, or a multiple of the debt and penalty without a price
+        uint startDate;
+        bool settled; // Whether the collateral has been sold, or claimed by the lenders after the auction ended unsold
+    }
+
+    // Guarantor named by a borrower, who is given the chance to cover the loan if it defaults before the lenders
+    // can claim the collateral
+    struct Guarantee {
+        address guarantor;
+        uint calledAt; // When the lenders called on the guarantor to cover the defaulted loan, until the borrower catches up
+    }
+
+    // New terms on which a borrower agrees to have a funded loan refinanced by a new lender
+    struct RefinanceTerms {
+        uint interestRate; // Annualized, in basis points
+        uint duration; // Length of the refinanced loan, counted from when it is refinanced; zero if no terms are on offer
+    }
+
+    // Later due date, and any extra interest for the extra time, that a borrower proposes to a funded loan's lenders
+    struct TermExtension {
+        uint newDueDate;
+        uint extraInterest; // Added to the interest owed if the lenders accept, in units of the loan asset
+        uint expiry; // Time after which the lenders can no longer accept the proposal; zero if none is pending
+    }
+
+    // Terms of a loan agreed off-chain, signed by its borrower and lender as EIP-712 typed data
+    struct LoanIntent {
+        address borrower;
+        address lender;
+        address collateralToken; // The zero address denotes native ETH collateral
+        uint collateralAmount;
+        address loanToken; // The zero address denotes a loan paid out and repaid in native ETH
+        uint loanAmount;
+        uint interestRate; // Annualized, in basis points
+        uint duration; // Length of the loan, counted from when the intent is executed
+        uint borrowerNonce; // The borrower's intent nonce when they signed
+        uint lenderNonce; // The lender's intent nonce when they signed
+        uint expiry; // Time after which the intent can no longer be executed
+    }
+
+    // Create a mapping to manage the loans
+    mapping(uint => Loan) public loans;
+    uint public nextLoanId = 0;
+
+    // Index of the terms of each open loan request, so that duplicates can be detected without scanning every loan
+    mapping(bytes32 => bool) internal openRequestTerms;
+
+    // Indexes of loan ids by borrower, by lender and of open (neither funded nor cancelled) requests, for paginated views
+    mapping(address => uint[]) internal borrowerLoanIds;
+    mapping(address => uint[]) internal lenderLoanIds;
+    uint[] internal openRequestIds;
+    mapping(uint => uint) internal openRequestPositions; // Position of each open request in openRequestIds
+
+    // Lenders of each loan and the shares of its principal they paid in
+    mapping(uint => address[]) internal loanLenders;
+    mapping(uint => mapping(address => uint)) public lenderShares;
+
+    // ERC-721 notes minted to each lender when a loan starts; repayments and collateral go to the notes' current holders,
+    // in proportion to the share of the principal each note stands for
+    LoanNote public loanNote; // Deployed once, by the loan contract's constructor
+    mapping(uint => uint[]) internal loanNoteIds;
+    mapping(uint => uint) public noteLoanIds;
+    mapping(uint => uint) public noteShares;
+    uint public nextNoteId = 0;
+
+    // Upper bound on the number of lenders per loan, so that splitting payments between them stays affordable. Shares are
+    // at least the loan amount divided by this bound, so a loan always fills up before it runs out of lender slots
+    uint public constant MAX_LENDERS_PER_LOAN = 10;
+
+    // Liquidation terms of the loans whose borrowers set them; loans without a price feed can only be claimed on default
+    mapping(uint => LiquidationTerms) public liquidationTerms;
+
+    // Price feeds the owner has approved for pricing a collateral asset in a loan asset, by collateral asset, loan asset
+    // and feed. Borrowers can only pick an approved feed for their loan's assets, so that they cannot price their own collateral
+    mapping(address => mapping(address => mapping(address => bool))) public approvedPriceFeeds;
+
+    // Refinancing terms each borrower has agreed to, which any new lender may take up by paying off the current lenders
+    mapping(uint => RefinanceTerms) public refinanceTerms;
+
+    // Pending term extension proposals, at most one per loan, and how long each stays open for the lenders to accept
+    mapping(uint => TermExtension) public termExtensionProposals;
+    uint public constant TERM_EXTENSION_PROPOSAL_PERIOD = 3 days;
+
+    // Guarantees of the loans whose borrowers named a guarantor
+    mapping(uint => Guarantee) public guarantees;
+
+    // Time a guarantor has to cover a defaulted loan once called on, during which anyone may still repay it
+    uint public constant GUARANTEE_PERIOD = 3 days;
+
+    // Health factors are scaled by 1e18, a loan becoming liquidatable once its health factor falls below 1
+    uint public constant HEALTH_FACTOR_ONE = 1e18;
+
+    // Oldest price a liquidation may rely on
+    uint public constant MAX_PRICE_AGE = 1 days;
+
+    // Auctions of the collateral of defaulted loans whose collateral is not in the loan asset
+    mapping(uint => CollateralAuction) public collateralAuctions;
+
+    // Collateral auctions start at the collateral's value according to the loan's price feed, or without a usable
+    // price at a multiple of what the lenders are owed set by the owner, and fall to exactly what they are owed
+    uint public auctionStartMultiple;
+    uint public constant AUCTION_DURATION = 1 days;
+
+    // Create a mapping to manage the lenders' offers, and an index of those still open
+    mapping(uint => LoanOffer) public loanOffers;
+    uint public nextOfferId = 0;
+    uint[] internal openOfferIds;
+    mapping(uint => uint) internal openOfferPositions; // Position of each open offer in openOfferIds
+
+    // Interest rates are annualized and expressed in basis points, accruing every second
+    uint public constant SECONDS_PER_YEAR = 365 days;
+    uint public constant BASIS_POINTS = 10000;
+    uint public constant SECONDS_PER_DAY = 1 days;
+
+    // Funds credited to each account, per asset (the zero address denotes ETH), waiting to be withdrawn
+    mapping(address => mapping(address => uint)) public pendingWithdrawals;
+
+    // Parameters set once, when the loan contract is deployed. They are kept in storage rather than as immutables
+    // so that the extension, which runs in the loan contract's storage, reads the same values
+
+    // Maximum loan-to-value ratio (as a percentage of the collateral) that a borrower may request
+    uint public maxLoanToValue;
+
+    // Time after a loan's due date (and after each installment's due date) during which the borrower can still repay,
+    // before the lender may claim the collateral
+    uint public gracePeriod;
+
+    // Late fee charged for each started day a loan is repaid after its due date, in basis points of the outstanding principal
+    uint public lateFeeRate;
+
+    // Penalty owed to the lenders on top of the debt when a loan defaults, in basis points of the debt
+    uint public liquidationPenalty;
+
+    // Protocol fee taken from what lenders earn on top of their principal (interest, late fees and the liquidation
+    // penalty) whenever it is paid to them, however the loan ends, in basis points, set by the owner up to a cap
+    uint public protocolFeeRate;
+    uint public constant MAX_PROTOCOL_FEE_RATE = 2500;
+
+    // Address the protocol fees are paid out to, and the fees collected in each asset that have not yet been paid out
+    address public treasury;
+    mapping(address => uint) public protocolFees;
+
+    // Account that can pause and unpause the creation and funding of new loans, appointed by the owner. A pause never
+    // stops borrowers repaying or reclaiming collateral, or lenders and borrowers withdrawing what they are owed
+    address public guardian;
+    bool public paused;
+
+    // EIP-712 type hash of a loan intent
+    bytes32 public constant LOAN_INTENT_TYPEHASH = keccak256(
+        "LoanIntent(address borrower,address lender,address collateralToken,uint256 collateralAmount,address loanToken,uint256 loanAmount,uint256 interestRate,uint256 duration,uint256 borrowerNonce,uint256 lenderNonce,uint256 expiry)"
+    );
+
+    // Current intent nonce of each account, which its intents must carry to be executed. Bumping it cancels every
+    // intent the account has signed so far
+    mapping(address => uint) public intentNonces;
+
+    // Digests of the intents that have already been executed, so that none is executed twice
+    mapping(bytes32 => bool) public executedIntents;
+
+    // Every lifecycle event carries the loan's id, its parties, the amounts involved and the status it is left in
+    event LoanRequested(uint indexed loanId, address indexed borrower, address collateralToken, uint collateralAmount, address loanToken, uint loanAmount, uint interestRate, uint duration, uint fundingDeadline, LoanStatus status);
+    event LoanFunded(uint indexed loanId, address indexed borrower, address indexed lender, address loanToken, uint loanAmount, uint dueDate, LoanStatus status);
+    event RepaymentMade(uint indexed loanId, address indexed borrower, address indexed lender, address loanToken, uint amount, uint outstandingBalance, LoanStatus status);
+    event LoanShareFunded(uint indexed loanId, address indexed lender, uint amount, uint amountFunded);
+    event LoanNoteMinted(uint indexed noteId, uint indexed loanId, address indexed lender, uint share);
+    event LoanShareReclaimed(uint indexed loanId, address indexed lender, uint amount);
+    event LateFeeCharged(uint indexed loanId, address indexed borrower, uint amount, uint daysLate);
+    event LoanRepaid(uint indexed loanId, address indexed borrower, address indexed lender, address loanToken, uint repaymentAmount, LoanStatus status);
+    event CollateralClaimed(uint indexed loanId, address indexed borrower, address indexed lender, address collateralToken, uint collateralAmount, LoanStatus status);
+    event CollateralAuctionStarted(uint indexed loanId, address collateralToken, uint collateralAmount, address loanToken, uint startPrice, uint reservePrice, uint endDate);
+    event CollateralSold(uint indexed loanId, address indexed buyer, address collateralToken, uint collateralAmount, address loanToken, uint price);
+    event DefaultSettled(uint indexed loanId, address indexed borrower, address asset, uint debt, uint penalty, uint lenderProceeds, uint borrowerSurplus);
+    event CollateralAdded(uint indexed loanId, address indexed sender, address collateralToken, uint amount, uint collateralAmount);
+    event CollateralWithdrawn(uint indexed loanId, address indexed borrower, address collateralToken, uint amount, uint collateralAmount);
+    event TermExtensionProposed(uint indexed loanId, address indexed borrower, uint newDueDate, uint extraInterest, uint expiry);
+    event TermExtensionAccepted(uint indexed loanId, address indexed lender, uint previousDueDate, uint newDueDate, uint extraInterest);
+    event TermExtensionRejected(uint indexed loanId, address indexed lender, uint newDueDate, uint extraInterest);
+    event RefinanceTermsSet(uint indexed loanId, address indexed borrower, uint interestRate, uint duration);
+    event LoanRefinanced(uint indexed loanId, address indexed borrower, address indexed newLender, address previousLender, address loanToken, uint payoffAmount, uint interestRate, uint dueDate, LoanStatus status);
+    event GuarantorSet(uint indexed loanId, address indexed borrower, address indexed guarantor);
+    event GuarantorCalled(uint indexed loanId, address indexed guarantor, address indexed lender, uint amountOwed, uint deadline);
+    event LiquidationTermsSet(uint indexed loanId, address indexed borrower, address priceFeed, uint liquidationThreshold);
+    event AuctionStartMultipleSet(uint previousMultiple, uint newMultiple);
+    event PriceFeedApprovalSet(address indexed collateralToken, address indexed loanToken, address indexed priceFeed, bool approved);
+    event LoanLiquidated(uint indexed loanId, address indexed borrower, address indexed liquidator, address loanToken, uint debtRepaid, address collateralToken, uint collateralAmount, LoanStatus status);
+    event LoanRequestCancelled(uint indexed loanId, address indexed borrower, address collateralToken, uint collateralAmount, LoanStatus status);
+    event LoanOfferCreated(uint indexed offerId, address indexed lender, address collateralToken, address loanToken, uint loanAmount, uint interestRate, uint duration, uint minCollateralRatio);
+    event LoanOfferAccepted(uint indexed offerId, uint indexed loanId, address indexed borrower, address lender, address collateralToken, uint collateralAmount);
+    event LoanOfferWithdrawn(uint indexed offerId, address indexed lender, address loanToken, uint loanAmount);
+    event FundsCredited(address indexed payee, address indexed asset, uint amount);
+    event FundsWithdrawn(address indexed payee, address indexed asset, uint amount);
+    event ProtocolFeeRateSet(uint previousRate, uint newRate);
+    event TreasurySet(address indexed previousTreasury, address indexed newTreasury);
+    event ProtocolFeeCharged(uint indexed loanId, address indexed asset, uint amount);
+    event ProtocolFeesWithdrawn(address indexed treasury, address indexed asset, uint amount);
+    event LoanIntentExecuted(bytes32 indexed intentHash, uint indexed loanId, address indexed submitter, address borrower, address lender);
+    event IntentNonceIncremented(address indexed account, uint newNonce);
+    event GuardianSet(address indexed previousGuardian, address indexed newGuardian);
+    event Paused(address indexed guardian);
+    event Unpaused(address indexed guardian);
+
+    // Address of the contract whose code this is, to tell calls that the loan contract delegates to an extension from
+    // calls made to the extension directly
+    address private immutable self = address(this);
+
+    // The loan contract and its extensions verify signed loan intents under the same EIP-712 domain name and version.
+    // Calls delegated to an extension run at the loan contract's address, which is the domain's verifying contract
+    constructor() EIP712("CollateralizedLoan", "1") {}
+
+    // Ensure that an extension's function is only run on behalf of the loan contract, in its storage
+    modifier onlyDelegated() {
+        require(address(this) != self, "Only the loan contract can call the extension");
+        _;
+    }
+
+    // Ensure that a requested loan is not already funded
+    modifier notAlreadyFunded(uint _loanId) {
+        require(!_hasBeenFunded(loans[_loanId]), string.concat("Requested loan has already been funded by lender ", 
+            Strings.toHexString(loans[_loanId].lender)));
+        _;
+    }
+
+    // Ensure that new loans can currently be created and funded
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
+        _;
+    }
+
+    // The loan-to-value ratio can only be enforced when the collateral and the loan are the same asset,
+    // as this contract has no way of pricing one asset against another
+    function _checkLoanToValue(address _collateralToken, uint _collateralAmount, address _loanToken, uint _loanAmount) internal view {
+        if (_collateralToken == _loanToken) {
+            require(_loanAmount * 100 <= _collateralAmount * maxLoanToValue, "Loan amount exceeds maximum loan-to-value ratio");
+        }
+    }
+
+    // Add to a lender's share of a loan
+    function _addLenderShare(Loan storage loan, address _lender, uint _amount) internal {
+        if (lenderShares[loan.loanId][_lender] == 0) {
+            require(loanLenders[loan.loanId].length < MAX_LENDERS_PER_LOAN, "Loan already has the maximum number of lenders");
+            loanLenders[loan.loanId].push(_lender);
+        }
+        lenderShares[loan.loanId][_lender] += _amount;
+        loan.amountFunded += _amount;
+    }
+
+    // Remove an id from an unordered index by moving the last id into its position
+    function _removeFromIndex(uint[] storage ids, mapping(uint => uint) storage positions, uint id) internal {
+        uint position = positions[id];
+        uint lastId = ids[ids.length - 1];
+        ids[position] = lastId;
+        positions[lastId] = position;
+        ids.pop();
+        delete positions[id];
+    }
+
+    // Check whether a loan has been funded, whatever has happened to it since
+    function _hasBeenFunded(Loan storage loan) internal view returns (bool) {
+        return loan.status != LoanStatus.Requested && loan.status != LoanStatus.Cancelled;
+    }
+
+    // Check whether a borrower has fallen behind on a loan's installment schedule by more than the grace period
+    function isInstallmentMissed(uint _loanId) public view returns (bool) {
+        Loan storage loan = loans[_loanId];
+        if (loan.status != LoanStatus.Funded || block.timestamp <= loan.startDate + gracePeriod) {
+            return false;
+        }
+
+        // Count the installments whose grace periods have passed
+        uint elapsed = block.timestamp - gracePeriod - loan.startDate;
+        uint installmentsDue = Math.min(
+            Math.ceilDiv(elapsed * loan.installmentCount, loan.dueDate - loan.startDate) - 1,
+            loan.installmentCount
+        );
+
+        // The borrower must have paid off an equal share of the principal for each of them
+        uint principalRepaid = loan.loanAmount - loan.outstandingPrincipal;
+        return principalRepaid < (loan.loanAmount * installmentsDue) / loan.installmentCount;
+    }
+
+    // Check whether a loan is past its due date, or has a missed installment, and its grace period is over
+    function _isPastDue(Loan storage loan) internal view returns (bool) {
+        return block.timestamp > loan.dueDate + gracePeriod || isInstallmentMissed(loan.loanId);
+    }
+
+    // Check whether a loan's guarantor has been called on and still has time to cover it
+    function _isGuaranteeOpen(uint _loanId) internal view returns (bool) {
+        uint calledAt = guarantees[_loanId].calledAt;
+        return calledAt != 0 && block.timestamp <= calledAt + GUARANTEE_PERIOD;
+    }
+
+    // Calculate the amount (outstanding principal, interest and late fees accrued to date) a borrower currently owes on a loan
+    function _amountOwed(Loan storage loan) internal view returns (uint) {
+        if (!_hasBeenFunded(loan)) {
+            return 0;
+        }
+        (uint lateFee, ) = _lateFeeSinceLastCharge(loan);
+        return loan.outstandingPrincipal + loan.accruedInterest + _interestSinceLastAccrual(loan) + loan.lateFeesOwed + lateFee;
+    }
+
+    // Calculate the interest accrued on a loan's outstanding principal since it was last accrued, rounding up
+    // so that small loans still pay interest
+    function _interestSinceLastAccrual(Loan storage loan) internal view returns (uint) {
+        uint elapsed = block.timestamp - loan.lastAccrualDate;
+        return Math.mulDiv(
+            loan.outstandingPrincipal,
+            loan.interestRate * elapsed,
+            SECONDS_PER_YEAR * BASIS_POINTS,
+            Math.Rounding.Ceil
+        );
+    }
+
+    // Add the interest accrued since the last accrual to a loan's unpaid interest
+    function _accrueInterest(Loan storage loan) internal {
+        loan.accruedInterest += _interestSinceLastAccrual(loan);
+        loan.lastAccrualDate = block.timestamp;
+    }
+
+    // Calculate the late fee for the days after a loan's due date that have started since fees were last charged,
+    // returning it along with the total number of days late
+    function _lateFeeSinceLastCharge(Loan storage loan) internal view returns (uint lateFee, uint daysLate) {
+        if (block.timestamp <= loan.dueDate) {
+            return (0, 0);
+        }
+        daysLate = Math.ceilDiv(block.timestamp - loan.dueDate, SECONDS_PER_DAY);
+        lateFee = Math.mulDiv(
+            loan.outstandingPrincipal,
+            lateFeeRate * (daysLate - loan.lateFeeDaysCharged),
+            BASIS_POINTS,
+            Math.Rounding.Ceil
+        );
+    }
+
+    // Add the late fee for any newly started days past the due date to a loan's unpaid late fees
+    function _chargeLateFee(Loan storage loan) internal {
+        (uint lateFee, uint daysLate) = _lateFeeSinceLastCharge(loan);
+        if (daysLate > loan.lateFeeDaysCharged) {
+            loan.lateFeesOwed += lateFee;
+            loan.lateFeeDaysCharged = daysLate;
+            emit LateFeeCharged(loan.loanId, loan.borrower, lateFee, daysLate);
+        }
+    }
+
+    // Split an amount between the holders of a loan's notes in proportion to their shares, the holder of the last
+    // note receiving any rounding remainder
+    function _creditNoteHolders(Loan storage loan, address asset, uint amount) internal {
+        uint[] storage noteIds = loanNoteIds[loan.loanId];
+        uint remaining = amount;
+        for (uint i = 0; i < noteIds.length - 1; i++) {
+            uint portion = Math.mulDiv(amount, noteShares[noteIds[i]], loan.loanAmount);
+            remaining -= portion;
+            _credit(loanNote.ownerOf(noteIds[i]), asset, portion);
+        }
+        _credit(loanNote.ownerOf(noteIds[noteIds.length - 1]), asset, remaining);
+    }
+
+    // Mint a note to each lender of a loan that has just started, for their share of its principal
+    function _mintNotes(Loan storage loan) internal {
+        address[] storage lenders = loanLenders[loan.loanId];
+        for (uint i = 0; i < lenders.length; i++) {
+            uint share = lenderShares[loan.loanId][lenders[i]];
+            uint noteId = nextNoteId++;
+            noteLoanIds[noteId] = loan.loanId;
+            noteShares[noteId] = share;
+            loanNoteIds[loan.loanId].push(noteId);
+            emit LoanNoteMinted(noteId, loan.loanId, lenders[i], share);
+            loanNote.mint(lenders[i], noteId);
+        }
+    }
+
+    // Pay a defaulted loan's lenders what they are owed out of the proceeds of its collateral, in the loan asset,
+    // and return whatever is left over to the borrower
+    function _settleDefault(Loan storage loan, uint proceeds, uint debt, uint penalty) internal {
+        uint lenderProceeds = Math.min(proceeds, debt + penalty);
+        uint borrowerSurplus = proceeds - lenderProceeds;
+
+        // Emit event
+        emit DefaultSettled(loan.loanId, loan.borrower, loan.loanToken, debt, penalty, lenderProceeds, borrowerSurplus);
+
+        // Credit the lenders' proceeds, less the protocol fee on whatever they recover beyond the principal, to the holders
+        // of the loan's notes, and the surplus to the borrower
+        uint earnings = lenderProceeds - Math.min(lenderProceeds, loan.outstandingPrincipal);
+        _creditNoteHolders(loan, loan.loanToken, lenderProceeds - _chargeProtocolFee(loan, loan.loanToken, earnings));
+        if (borrowerSurplus > 0) {
+            _credit(loan.borrower, loan.loanToken, borrowerSurplus);
+        }
+    }
+
+    // Set aside the protocol fee on what a loan's lenders earn on top of their principal, returning the fee
+    function _chargeProtocolFee(Loan storage loan, address asset, uint amount) internal returns (uint fee) {
+        fee = Math.mulDiv(amount, protocolFeeRate, BASIS_POINTS);
+        if (fee > 0) {
+            protocolFees[asset] += fee;
+            emit ProtocolFeeCharged(loan.loanId, asset, fee);
+        }
+    }
+
+    // Get the current asking price of a defaulted loan's collateral, which falls linearly over the auction from its
+    // start price to what the lenders are owed (the reserve price)
+    function _auctionPrice(CollateralAuction storage auction) internal view returns (uint) {
+        uint reservePrice = auction.debt + auction.penalty;
+        uint elapsed = Math.min(block.timestamp - auction.startDate, AUCTION_DURATION);
+        return auction.startPrice - Math.mulDiv(auction.startPrice - reservePrice, elapsed, AUCTION_DURATION);
+    }
+
+    // Work out the price a defaulted loan's collateral is first offered at: its value according to the loan's price
+    // feed, if the feed is still approved for the loan's assets and reports a usable price, and otherwise the owner's
+    // multiple of the reserve price. Either way the auction never starts below the reserve price
+    function _auctionStartPrice(Loan storage loan, uint reservePrice) internal view returns (uint) {
+        if (_hasApprovedPriceFeed(loan)) {
+            AggregatorV3Interface priceFeed = liquidationTerms[loan.loanId].priceFeed;
+            try priceFeed.latestRoundData() returns (uint80, int price, uint, uint updatedAt, uint80) {
+                if (price > 0 && updatedAt + MAX_PRICE_AGE >= block.timestamp) {
+                    return Math.max(_convertCollateral(loan, priceFeed, uint(price)), reservePrice);
+                }
+            } catch {}
+        }
+        return reservePrice * auctionStartMultiple;
+    }
+
+    // Check whether an account holds any of a loan's notes
+    function _holdsNote(uint _loanId, address _account) internal view returns (bool) {
+        uint[] storage noteIds = loanNoteIds[_loanId];
+        for (uint i = 0; i < noteIds.length; i++) {
+            if (loanNote.ownerOf(noteIds[i]) == _account) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Credit funds to an account for it to withdraw later
+    function _credit(address payee, address asset, uint amount) internal {
+        pendingWithdrawals[payee][asset] += amount;
+        emit FundsCredited(payee, asset, amount);
+    }
+
+    // Credit a loan's collateral, in whichever asset it was posted, to the given recipient
+    function _creditCollateral(Loan storage loan, address recipient) internal {
+        _credit(recipient, loan.collateralToken, loan.collateralAmount);
+    }
+
+    // Calculate a loan's health factor against the given debt
+    function _healthFactor(Loan storage loan, uint debt) internal view returns (uint) {
+        return Math.mulDiv(
+            _collateralValue(loan),
+            liquidationTerms[loan.loanId].liquidationThreshold * HEALTH_FACTOR_ONE,
+            debt * BASIS_POINTS
+        );
+    }
+
+    // Value a loan's collateral in units of its loan asset, using the latest price from the loan's price feed
+    function _collateralValue(Loan storage loan) internal view returns (uint) {
+        AggregatorV3Interface priceFeed = liquidationTerms[loan.loanId].priceFeed;
+        require(address(priceFeed) != address(0), "Loan has no price feed");
+        (, int price, , uint updatedAt, ) = priceFeed.latestRoundData();
+        require(price > 0, "Invalid collateral price");
+        require(updatedAt + MAX_PRICE_AGE >= block.timestamp, "Collateral price is stale");
+        return _convertCollateral(loan, priceFeed, uint(price));
+    }
+
+    // Check whether a loan has a price feed that the owner still approves for pricing its collateral in its loan asset
+    function _hasApprovedPriceFeed(Loan storage loan) internal view returns (bool) {
+        address priceFeed = address(liquidationTerms[loan.loanId].priceFeed);
+        return priceFeed != address(0) && approvedPriceFeeds[loan.collateralToken][loan.loanToken][priceFeed];
+    }
+
+    // Value a loan's collateral in units of its loan asset at a price from its price feed, converting between the
+    // assets' base units at the feed's precision
+    function _convertCollateral(Loan storage loan, AggregatorV3Interface priceFeed, uint price) internal view returns (uint) {
+        return Math.mulDiv(
+            loan.collateralAmount,
+            price * 10 ** _decimals(loan.loanToken),
+            10 ** (priceFeed.decimals() + _decimals(loan.collateralToken))
+        );
+    }
+
+    // Get the number of decimals an asset is divided into (the zero address denotes ETH)
+    function _decimals(address asset) internal view returns (uint) {
+        return asset == address(0) ? 18 : IERC20Metadata(asset).decimals();
+    }
+
+    // Function to get the full details of several loans at once
+    function getLoans(uint[] calldata _loanIds) external view returns (Loan[] memory) {
+        Loan[] memory result = new Loan[](_loanIds.length);
+        for (uint i = 0; i < _loanIds.length; i++) {
+            require(_loanIds[i] < nextLoanId, "Loan does not exist");
+            result[i] = loans[_loanIds[i]];
+        }
+        return result;
+    }
+}
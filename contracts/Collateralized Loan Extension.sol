@@ -0,0 +1,455 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./Collateralized Loan Base.sol";
+
+// Collateralized Loan Extension Contract
+// Loan offers, signed loan intents, guarantors, liquidations, collateral auctions and protocol administration. The
+// extension is deployed ahead of the CollateralizedLoan contract, which delegates calls to these functions here, so that
+// they run against CollateralizedLoan's storage and balances.
+contract CollateralizedLoanExtension is CollateralizedLoanBase {
+    using SafeERC20 for IERC20;
+
+    // The extension's own owner is never used; only the loan contract's owner, read from its storage, administers the protocol
+    constructor() Ownable(msg.sender) {}
+
+    // Function for a borrower to set the price feed and liquidation threshold of a loan request before any lender funds it.
+    // The feed must be approved by the owner for the loan's assets, and the terms cannot be changed once set, so that a
+    // lender about to fund the request cannot be front-run with different terms
+    function setLiquidationTerms(uint _loanId, address _priceFeed, uint _liquidationThreshold) external onlyDelegated nonReentrant notAlreadyFunded(_loanId) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(msg.sender == loan.borrower, "Only the borrower can set the liquidation terms of this loan");
+        require(loan.status != LoanStatus.Cancelled, "Loan request has been cancelled");
+        require(loan.amountFunded == 0, "Loan request has already been partly funded");
+        require(address(liquidationTerms[_loanId].priceFeed) == address(0), "Liquidation terms have already been set");
+        require(approvedPriceFeeds[loan.collateralToken][loan.loanToken][_priceFeed], "Price feed is not approved for this loan's assets");
+        require(_liquidationThreshold > 0 && _liquidationThreshold <= BASIS_POINTS, "Liquidation threshold must be between 0 and 100%");
+
+        // Record the terms
+        liquidationTerms[_loanId] = LiquidationTerms(AggregatorV3Interface(_priceFeed), _liquidationThreshold);
+
+        // Emit event
+        emit LiquidationTermsSet(_loanId, msg.sender, _priceFeed, _liquidationThreshold);
+    }
+
+    // Function for a borrower to name a guarantor for a loan request before any lender funds it. The guarantor cannot be
+    // changed once named, so that a lender about to fund the request cannot be front-run with a different one
+    function setGuarantor(uint _loanId, address _guarantor) external onlyDelegated nonReentrant notAlreadyFunded(_loanId) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(msg.sender == loan.borrower, "Only the borrower can name the guarantor of this loan");
+        require(loan.status != LoanStatus.Cancelled, "Loan request has been cancelled");
+        require(loan.amountFunded == 0, "Loan request has already been partly funded");
+        require(guarantees[_loanId].guarantor == address(0), "Guarantor has already been named");
+        require(_guarantor != address(0), "Guarantor cannot be the zero address");
+        require(_guarantor != loan.borrower, "Borrower cannot guarantee their own loan");
+
+        // Record the guarantor
+        guarantees[_loanId].guarantor = _guarantor;
+
+        // Emit event
+        emit GuarantorSet(_loanId, msg.sender, _guarantor);
+    }
+
+    // Function for a lender to call on the guarantor of a defaulted loan to cover it. Until the guarantee period ends,
+    // the guarantor (or anyone else) can still repay the loan, and the lenders cannot claim the collateral
+    function callGuarantor(uint _loanId) external onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        Guarantee storage guarantee = guarantees[_loanId];
+        require(guarantee.guarantor != address(0), "Loan has no guarantor");
+        require(_holdsNote(_loanId, msg.sender), "Only the lender can call on the guarantor of this loan");
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+        require(_isPastDue(loan), "Loan is not yet past due date");
+        require(guarantee.calledAt == 0, "Guarantor has already been called on");
+
+        // Start the guarantee period
+        guarantee.calledAt = block.timestamp;
+
+        // Emit event
+        emit GuarantorCalled(_loanId, guarantee.guarantor, msg.sender, _amountOwed(loan), block.timestamp + GUARANTEE_PERIOD);
+    }
+
+    // Function for a lender to post a standing offer to lend, escrowing the principal until a borrower accepts it. Offers
+    // must be collateralized in the loan asset, as this contract has no way of pricing one asset against another
+    function createLoanOffer(
+        address _collateralToken,
+        address _loanToken,
+        uint _loanAmount,
+        uint _interestRate,
+        uint _duration,
+        uint _minCollateralRatio
+    ) external payable onlyDelegated nonReentrant whenNotPaused {
+        require(_loanAmount > 0, "Loan amount must be greater than 0");
+        require(_minCollateralRatio > 0, "Minimum collateral ratio must be greater than 0");
+        require(_collateralToken == _loanToken, "Loan offers must be collateralized in the loan asset");
+        require(msg.value == (_loanToken == address(0) ? _loanAmount : 0), "Incorrect funding amount");
+
+        // Record the offer
+        uint offerId = nextOfferId++;
+        loanOffers[offerId] = LoanOffer({
+            offerId: offerId,
+            lender: payable(msg.sender),
+            collateralToken: _collateralToken,
+            loanToken: _loanToken,
+            loanAmount: _loanAmount,
+            interestRate: _interestRate,
+            duration: _duration,
+            minCollateralRatio: _minCollateralRatio,
+            loanId: 0, // No loan until the offer is accepted
+            status: OfferStatus.Open
+        });
+        openOfferPositions[offerId] = openOfferIds.length;
+        openOfferIds.push(offerId);
+
+        // Emit event
+        emit LoanOfferCreated(offerId, msg.sender, _collateralToken, _loanToken, _loanAmount, _interestRate, _duration, _minCollateralRatio);
+
+        // Escrow token principal in this contract (ETH principal has already been sent along with the call)
+        if (_loanToken != address(0)) {
+            IERC20(_loanToken).safeTransferFrom(msg.sender, address(this), _loanAmount);
+        }
+    }
+
+    // Function for a borrower to accept a lender's offer by posting collateral, creating a funded loan
+    function acceptLoanOffer(uint _offerId, uint _collateralAmount) external payable onlyDelegated nonReentrant whenNotPaused {
+        require(_offerId < nextOfferId, "Loan offer does not exist");
+        LoanOffer storage offer = loanOffers[_offerId];
+        require(offer.status == OfferStatus.Open, "Loan offer is no longer open");
+        require(msg.value == (offer.collateralToken == address(0) ? _collateralAmount : 0), "Incorrect collateral amount");
+        require(_collateralAmount * BASIS_POINTS >= offer.loanAmount * offer.minCollateralRatio, "Collateral is below the offer's minimum collateral ratio");
+        _checkLoanToValue(offer.collateralToken, _collateralAmount, offer.loanToken, offer.loanAmount);
+
+        // Close the offer
+        uint loanId = nextLoanId;
+        offer.status = OfferStatus.Accepted;
+        offer.loanId = loanId;
+        _removeFromIndex(openOfferIds, openOfferPositions, _offerId);
+
+        // Create the loan, funded from the offer's escrowed principal
+        Loan storage loan = _createFundedLoan(payable(msg.sender), offer.lender, offer.collateralToken, _collateralAmount,
+            offer.loanToken, offer.loanAmount, offer.interestRate, offer.duration);
+
+        // Emit events
+        emit LoanOfferAccepted(_offerId, loanId, msg.sender, offer.lender, offer.collateralToken, _collateralAmount);
+        emit LoanFunded(loanId, loan.borrower, loan.lender, loan.loanToken, loan.loanAmount, loan.dueDate, loan.status);
+        _mintNotes(loan);
+
+        // Escrow token collateral in this contract (ETH collateral has already been sent along with the call)
+        if (offer.collateralToken != address(0)) {
+            IERC20(offer.collateralToken).safeTransferFrom(msg.sender, address(this), _collateralAmount);
+        }
+
+        // Credit the loan amount to the borrower
+        _credit(loan.borrower, loan.loanToken, loan.loanAmount);
+    }
+
+    // Create a loan that is funded in full by a single lender, with its term starting now
+    function _createFundedLoan(
+        address payable _borrower,
+        address payable _lender,
+        address _collateralToken,
+        uint _collateralAmount,
+        address _loanToken,
+        uint _loanAmount,
+        uint _interestRate,
+        uint _duration
+    ) internal returns (Loan storage loan) {
+        uint loanId = nextLoanId++;
+        loans[loanId] = Loan({
+            loanId: loanId,
+            borrower: _borrower,
+            lender: _lender,
+            collateralToken: _collateralToken,
+            collateralAmount: _collateralAmount,
+            loanToken: _loanToken,
+            loanAmount: _loanAmount,
+            interestRate: _interestRate,
+            duration: _duration,
+            fundingDeadline: block.timestamp,
+            startDate: block.timestamp,
+            dueDate: block.timestamp + _duration,
+            installmentCount: 1,
+            outstandingPrincipal: _loanAmount,
+            accruedInterest: 0,
+            lastAccrualDate: block.timestamp,
+            amountRepaid: 0,
+            amountFunded: 0,
+            lateFeesOwed: 0,
+            lateFeeDaysCharged: 0,
+            status: LoanStatus.Funded
+        });
+        loan = loans[loanId];
+        _addLenderShare(loan, _lender, _loanAmount);
+        borrowerLoanIds[_borrower].push(loanId);
+        lenderLoanIds[_lender].push(loanId);
+    }
+
+    // Function to execute a loan intent signed by its borrower and lender, creating and funding the loan in one step.
+    // The borrower, the lender or a relayer may submit it; a party submitting it themselves need not sign it. Token
+    // collateral and principal are taken from the parties by transfer, while ETH collateral or principal can only be
+    // sent along with the call by the party it belongs to
+    function executeLoanIntent(
+        LoanIntent calldata _intent,
+        bytes calldata _borrowerSignature,
+        bytes calldata _lenderSignature
+    ) external payable onlyDelegated nonReentrant whenNotPaused {
+        require(block.timestamp <= _intent.expiry, "Loan intent has expired");
+        require(_intent.borrowerNonce == intentNonces[_intent.borrower], "Borrower has cancelled this loan intent");
+        require(_intent.lenderNonce == intentNonces[_intent.lender], "Lender has cancelled this loan intent");
+        require(_intent.collateralAmount > 0, "Collateral amount must be greater than 0");
+        require(_intent.loanAmount > 0, "Loan amount must be greater than 0");
+        _checkLoanToValue(_intent.collateralToken, _intent.collateralAmount, _intent.loanToken, _intent.loanAmount);
+
+        // Check that the intent has not been executed before, and that each party who is not submitting it signed it
+        bytes32 intentHash = _hashTypedDataV4(keccak256(abi.encode(LOAN_INTENT_TYPEHASH, _intent)));
+        require(!executedIntents[intentHash], "Loan intent has already been executed");
+        require(msg.sender == _intent.borrower || SignatureChecker.isValidSignatureNow(_intent.borrower, intentHash, _borrowerSignature),
+            "Invalid borrower signature");
+        require(msg.sender == _intent.lender || SignatureChecker.isValidSignatureNow(_intent.lender, intentHash, _lenderSignature),
+            "Invalid lender signature");
+
+        // Check that any ETH is sent by the party it belongs to
+        require(_intent.collateralToken != address(0) || msg.sender == _intent.borrower, "Only the borrower can send ETH collateral");
+        require(_intent.loanToken != address(0) || msg.sender == _intent.lender, "Only the lender can send ETH principal");
+        require(msg.value == (_intent.collateralToken == address(0) ? _intent.collateralAmount : 0)
+            + (_intent.loanToken == address(0) ? _intent.loanAmount : 0), "Incorrect ETH amount");
+
+        // Mark the intent as executed
+        executedIntents[intentHash] = true;
+
+        // Create the loan
+        Loan storage loan = _createFundedLoan(payable(_intent.borrower), payable(_intent.lender), _intent.collateralToken,
+            _intent.collateralAmount, _intent.loanToken, _intent.loanAmount, _intent.interestRate, _intent.duration);
+
+        // Emit events
+        emit LoanIntentExecuted(intentHash, loan.loanId, msg.sender, loan.borrower, loan.lender);
+        emit LoanFunded(loan.loanId, loan.borrower, loan.lender, loan.loanToken, loan.loanAmount, loan.dueDate, loan.status);
+        _mintNotes(loan);
+
+        // Escrow token collateral and principal in this contract (any ETH has already been sent along with the call)
+        if (loan.collateralToken != address(0)) {
+            IERC20(loan.collateralToken).safeTransferFrom(loan.borrower, address(this), loan.collateralAmount);
+        }
+        if (loan.loanToken != address(0)) {
+            IERC20(loan.loanToken).safeTransferFrom(loan.lender, address(this), loan.loanAmount);
+        }
+
+        // Credit the loan amount to the borrower
+        _credit(loan.borrower, loan.loanToken, loan.loanAmount);
+    }
+
+    // Function to cancel every loan intent the caller has signed so far, by moving on to their next intent nonce
+    function incrementIntentNonce() external onlyDelegated {
+        uint newNonce = ++intentNonces[msg.sender];
+
+        // Emit event
+        emit IntentNonceIncremented(msg.sender, newNonce);
+    }
+
+    // Function for a lender to withdraw an offer that has not been accepted and reclaim its principal
+    function withdrawLoanOffer(uint _offerId) external onlyDelegated nonReentrant {
+        require(_offerId < nextOfferId, "Loan offer does not exist");
+        LoanOffer storage offer = loanOffers[_offerId];
+        require(msg.sender == offer.lender, "Only the lender can withdraw this loan offer");
+        require(offer.status == OfferStatus.Open, "Loan offer is no longer open");
+
+        // Close the offer
+        offer.status = OfferStatus.Withdrawn;
+        _removeFromIndex(openOfferIds, openOfferPositions, _offerId);
+
+        // Emit event
+        emit LoanOfferWithdrawn(_offerId, offer.lender, offer.loanToken, offer.loanAmount);
+
+        // Return the principal to the lender
+        _credit(offer.lender, offer.loanToken, offer.loanAmount);
+    }
+
+    // Function for anyone to liquidate a loan whose health factor has fallen below 1, paying off its debt in full
+    // in exchange for its collateral (any ETH sent beyond the debt is credited back to the liquidator)
+    function liquidate(uint _loanId) external payable onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+
+        // Bring the loan's interest and late fees up to date, and check that its collateral no longer covers them
+        _accrueInterest(loan);
+        _chargeLateFee(loan);
+        uint debt = loan.outstandingPrincipal + loan.accruedInterest + loan.lateFeesOwed;
+        require(_healthFactor(loan, debt) < HEALTH_FACTOR_ONE, "Loan is not undercollateralized");
+        require(loan.loanToken == address(0) ? msg.value >= debt : msg.value == 0, "Incorrect repayment amount");
+        uint earnings = loan.accruedInterest + loan.lateFeesOwed;
+
+        // Settle the debt and mark the loan as liquidated
+        loan.outstandingPrincipal = 0;
+        loan.accruedInterest = 0;
+        loan.lateFeesOwed = 0;
+        loan.amountRepaid += debt;
+        loan.status = LoanStatus.Liquidated;
+
+        // Emit event
+        emit LoanLiquidated(_loanId, loan.borrower, msg.sender, loan.loanToken, debt, loan.collateralToken, loan.collateralAmount, loan.status);
+
+        // Take token repayments into the contract, or credit back any ETH sent beyond the debt
+        if (loan.loanToken != address(0)) {
+            IERC20(loan.loanToken).safeTransferFrom(msg.sender, address(this), debt);
+        } else if (msg.value > debt) {
+            _credit(msg.sender, address(0), msg.value - debt);
+        }
+
+        // Credit the debt, less the protocol fee on the interest and late fees, to the holders of the loan's notes, and
+        // the collateral to the liquidator
+        _creditNoteHolders(loan, loan.loanToken, debt - _chargeProtocolFee(loan, loan.loanToken, earnings));
+        _creditCollateral(loan, msg.sender);
+    }
+
+    // Function for anyone to buy the collateral of a defaulted loan at the auction's current price, paying the lenders
+    // what they are owed and the borrower the rest (any ETH sent beyond the price is credited back to the buyer)
+    function buyCollateral(uint _loanId) external payable onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        CollateralAuction storage auction = collateralAuctions[_loanId];
+        require(auction.startDate != 0 && !auction.settled, "Collateral is not being auctioned");
+        require(block.timestamp <= auction.startDate + AUCTION_DURATION, "Collateral auction has ended");
+        uint price = _auctionPrice(auction);
+        require(loan.loanToken == address(0) ? msg.value >= price : msg.value == 0, "Incorrect payment amount");
+
+        // Close the auction
+        auction.settled = true;
+
+        // Emit event
+        emit CollateralSold(_loanId, msg.sender, loan.collateralToken, loan.collateralAmount, loan.loanToken, price);
+
+        // Take token payments into the contract, or credit back any ETH sent beyond the price
+        if (loan.loanToken != address(0)) {
+            IERC20(loan.loanToken).safeTransferFrom(msg.sender, address(this), price);
+        } else if (msg.value > price) {
+            _credit(msg.sender, address(0), msg.value - price);
+        }
+
+        // Split the price between the lenders and the borrower, and credit the collateral to the buyer
+        _settleDefault(loan, price, auction.debt, auction.penalty);
+        _creditCollateral(loan, msg.sender);
+    }
+
+    // Function for the lenders to take the collateral of a defaulted loan once its auction has ended without a buyer
+    function claimUnsoldCollateral(uint _loanId) external onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        CollateralAuction storage auction = collateralAuctions[_loanId];
+        require(auction.startDate != 0 && !auction.settled, "Collateral is not being auctioned");
+        require(block.timestamp > auction.startDate + AUCTION_DURATION, "Collateral auction has not yet ended");
+        require(_holdsNote(_loanId, msg.sender), "Only the lender can claim the collateral of this loan");
+
+        // Close the auction
+        auction.settled = true;
+
+        // Emit event
+        emit DefaultSettled(_loanId, loan.borrower, loan.collateralToken, auction.debt, auction.penalty, loan.collateralAmount, 0);
+
+        // Credit the collateral to the holders of the loan's notes, less the protocol fee on the share of it that stands
+        // for what they are owed beyond the principal
+        uint reservePrice = auction.debt + auction.penalty;
+        uint earnings = Math.mulDiv(loan.collateralAmount, reservePrice - loan.outstandingPrincipal, reservePrice);
+        _creditNoteHolders(loan, loan.collateralToken,
+            loan.collateralAmount - _chargeProtocolFee(loan, loan.collateralToken, earnings));
+    }
+
+    // Function for the owner to set the protocol fee rate, in basis points
+    function setProtocolFeeRate(uint _protocolFeeRate) external onlyDelegated onlyOwner {
+        require(_protocolFeeRate <= MAX_PROTOCOL_FEE_RATE, "Protocol fee rate exceeds the maximum");
+
+        // Emit event
+        emit ProtocolFeeRateSet(protocolFeeRate, _protocolFeeRate);
+
+        // Record the new rate
+        protocolFeeRate = _protocolFeeRate;
+    }
+
+    // Function for the owner to set the treasury that protocol fees are paid out to
+    function setTreasury(address _treasury) external onlyDelegated onlyOwner {
+        require(_treasury != address(0), "Treasury cannot be the zero address");
+
+        // Emit event
+        emit TreasurySet(treasury, _treasury);
+
+        // Record the new treasury
+        treasury = _treasury;
+    }
+
+    // Function for the owner to pay out the protocol fees collected in the given asset (the zero address for ETH) to the treasury
+    function withdrawProtocolFees(address _asset) external onlyDelegated onlyOwner nonReentrant {
+        uint amount = protocolFees[_asset];
+        require(amount > 0, "No protocol fees to withdraw");
+
+        // Clear the balance before sending funds
+        protocolFees[_asset] = 0;
+
+        // Emit event
+        emit ProtocolFeesWithdrawn(treasury, _asset, amount);
+
+        // Send the fees, forwarding all gas so that a smart-contract treasury can receive ETH
+        if (_asset == address(0)) {
+            (bool success, ) = payable(treasury).call{value: amount}("");
+            require(success, "ETH withdrawal failed");
+        } else {
+            IERC20(_asset).safeTransfer(treasury, amount);
+        }
+    }
+
+    // Function for the owner to approve a price feed for pricing a collateral asset in a loan asset, or to withdraw its
+    // approval. Loans that already use a feed keep it for liquidations, but no longer rely on it to release collateral
+    // or to price collateral auctions
+    function setPriceFeedApproval(address _collateralToken, address _loanToken, address _priceFeed, bool _approved) external onlyDelegated onlyOwner {
+        require(_priceFeed != address(0), "Price feed cannot be the zero address");
+        approvedPriceFeeds[_collateralToken][_loanToken][_priceFeed] = _approved;
+
+        // Emit event
+        emit PriceFeedApprovalSet(_collateralToken, _loanToken, _priceFeed, _approved);
+    }
+
+    // Function for the owner to set the multiple of what the lenders are owed that collateral auctions start at when
+    // the collateral has no usable price
+    function setAuctionStartMultiple(uint _auctionStartMultiple) external onlyDelegated onlyOwner {
+        require(_auctionStartMultiple >= 1, "Auction start multiple must be at least 1");
+
+        // Emit event
+        emit AuctionStartMultipleSet(auctionStartMultiple, _auctionStartMultiple);
+
+        // Record the new multiple
+        auctionStartMultiple = _auctionStartMultiple;
+    }
+
+    // Function for the owner to appoint the guardian who can pause the creation and funding of new loans
+    function setGuardian(address _guardian) external onlyDelegated onlyOwner {
+        require(_guardian != address(0), "Guardian cannot be the zero address");
+
+        // Emit event
+        emit GuardianSet(guardian, _guardian);
+
+        // Record the new guardian
+        guardian = _guardian;
+    }
+
+    // Function for the guardian to pause the creation and funding of new loans
+    function pause() external onlyDelegated {
+        require(msg.sender == guardian, "Only the guardian can pause or unpause the contract");
+        require(!paused, "Contract is already paused");
+        paused = true;
+
+        // Emit event
+        emit Paused(msg.sender);
+    }
+
+    // Function for the guardian to let new loans be created and funded again
+    function unpause() external onlyDelegated {
+        require(msg.sender == guardian, "Only the guardian can pause or unpause the contract");
+        require(paused, "Contract is not paused");
+        paused = false;
+
+        // Emit event
+        emit Unpaused(msg.sender);
+    }
+}
@@ -0,0 +1,222 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./Collateralized Loan Base.sol";
+
+// Collateralized Loan Modification Extension Contract
+// Changes to loans that have already been funded: collateral top-ups and withdrawals, term extensions and refinancing. Like the CollateralizedLoanExtension, it is deployed ahead of the
+// CollateralizedLoan contract, which delegates calls to these functions here, so that they run against
+// CollateralizedLoan's storage and balances.
+contract CollateralizedLoanModificationExtension is CollateralizedLoanBase {
+    using SafeERC20 for IERC20;
+
+    // The extension's own owner is never used; only the loan contract's owner, read from its storage, administers the protocol
+    constructor() Ownable(msg.sender) {}
+
+    // Function to add collateral to a funded loan, protecting it against default or liquidation. Anyone may add collateral
+    // on the borrower's behalf, and all of it goes back to the borrower once the loan is repaid
+    function addCollateral(uint _loanId, uint _amount) external payable onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+        require(_amount > 0, "Collateral amount must be greater than 0");
+        require(msg.value == (loan.collateralToken == address(0) ? _amount : 0), "Incorrect collateral amount");
+
+        // Record the added collateral
+        loan.collateralAmount += _amount;
+
+        // Emit event
+        emit CollateralAdded(_loanId, msg.sender, loan.collateralToken, _amount, loan.collateralAmount);
+
+        // Escrow token collateral in this contract (ETH collateral has already been sent along with the call)
+        if (loan.collateralToken != address(0)) {
+            IERC20(loan.collateralToken).safeTransferFrom(msg.sender, address(this), _amount);
+        }
+    }
+
+    // Function for a borrower to withdraw part of a funded loan's collateral, as long as the amount owed stays within the
+    // maximum loan-to-value ratio of what is left. Collateral in another asset than the loan is valued with the loan's
+    // price feed, so it can only be withdrawn from loans whose feed the owner still approves for their assets
+    function withdrawCollateral(uint _loanId, uint _amount) external onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(msg.sender == loan.borrower, "Only the borrower can withdraw collateral from this loan");
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+        require(!_isPastDue(loan), "Loan is past due");
+        require(_amount > 0 && _amount < loan.collateralAmount, "Invalid collateral amount");
+
+        // Release the collateral, and check that what is left still covers the amount owed
+        loan.collateralAmount -= _amount;
+        uint collateralValue = loan.collateralAmount;
+        if (loan.collateralToken != loan.loanToken) {
+            require(_hasApprovedPriceFeed(loan), "Loan has no approved price feed");
+            collateralValue = _collateralValue(loan);
+        }
+        require(_amountOwed(loan) * 100 <= collateralValue * maxLoanToValue, "Withdrawal would exceed the maximum loan-to-value ratio");
+
+        // Emit event
+        emit CollateralWithdrawn(_loanId, msg.sender, loan.collateralToken, _amount, loan.collateralAmount);
+
+        // Credit the collateral to the borrower
+        _credit(msg.sender, loan.collateralToken, _amount);
+    }
+
+    // Function for a borrower to propose a later due date for a funded loan, and any extra interest for the extra time,
+    // replacing any earlier proposal. The proposal expires unless the lenders accept it within the proposal period
+    function proposeTermExtension(uint _loanId, uint _newDueDate, uint _extraInterest) external onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(msg.sender == loan.borrower, "Only the borrower can propose a term extension for this loan");
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+        require(_newDueDate > loan.dueDate && _newDueDate > block.timestamp, "New due date must be later than the current one");
+
+        // Record the proposal
+        uint expiry = block.timestamp + TERM_EXTENSION_PROPOSAL_PERIOD;
+        termExtensionProposals[_loanId] = TermExtension(_newDueDate, _extraInterest, expiry);
+
+        // Emit event
+        emit TermExtensionProposed(_loanId, msg.sender, _newDueDate, _extraInterest, expiry);
+    }
+
+    // Function for the lender to accept the pending term extension proposal of a loan, moving its due date and adding the
+    // extra interest to what the borrower owes. A loan with several lenders can only be extended by whoever holds all of its
+    // notes. The lender passes the due date and extra interest they are accepting, so that the borrower cannot swap in
+    // another proposal before the acceptance goes through. Any call on the loan's guarantor lapses, as the loan is no
+    // longer in default
+    function acceptTermExtension(uint _loanId, uint _newDueDate, uint _extraInterest) external onlyDelegated nonReentrant {
+        Loan storage loan = loans[_loanId];
+        TermExtension memory proposal = _pendingTermExtension(_loanId);
+        require(_newDueDate == proposal.newDueDate && _extraInterest == proposal.extraInterest, "Terms do not match the borrower's proposal");
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+        require(proposal.newDueDate > loan.dueDate, "New due date must be later than the current one");
+
+        // Bring the loan's interest and late fees up to date on its current due date, then add the extra interest
+        _accrueInterest(loan);
+        _chargeLateFee(loan);
+        loan.accruedInterest += proposal.extraInterest;
+
+        // Move the due date, counting any further late fees afresh from the new one
+        uint previousDueDate = loan.dueDate;
+        delete termExtensionProposals[_loanId];
+        loan.dueDate = proposal.newDueDate;
+        loan.duration = proposal.newDueDate - loan.startDate;
+        loan.lateFeeDaysCharged = 0;
+        guarantees[_loanId].calledAt = 0;
+
+        // Emit event
+        emit TermExtensionAccepted(_loanId, msg.sender, previousDueDate, proposal.newDueDate, proposal.extraInterest);
+    }
+
+    // Function for the lender to reject the pending term extension proposal of a loan
+    function rejectTermExtension(uint _loanId) external onlyDelegated nonReentrant {
+        TermExtension memory proposal = _pendingTermExtension(_loanId);
+
+        // Discard the proposal
+        delete termExtensionProposals[_loanId];
+
+        // Emit event
+        emit TermExtensionRejected(_loanId, msg.sender, proposal.newDueDate, proposal.extraInterest);
+    }
+
+    // Get the unexpired term extension proposal of a loan, checking that the caller is entitled to answer it
+    function _pendingTermExtension(uint _loanId) internal view returns (TermExtension memory proposal) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        proposal = termExtensionProposals[_loanId];
+        require(proposal.expiry != 0, "No term extension has been proposed for this loan");
+        require(block.timestamp <= proposal.expiry, "Term extension proposal has expired");
+
+        // The caller must hold every one of the loan's notes
+        uint[] storage noteIds = loanNoteIds[_loanId];
+        for (uint i = 0; i < noteIds.length; i++) {
+            require(loanNote.ownerOf(noteIds[i]) == msg.sender, "Only the lender can answer a term extension proposal for this loan");
+        }
+    }
+
+    // Function for a borrower to agree to have a funded loan refinanced on new terms, or with a zero duration to withdraw
+    // their agreement
+    function setRefinanceTerms(uint _loanId, uint _interestRate, uint _duration) external onlyDelegated nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(msg.sender == loan.borrower, "Only the borrower can set the refinancing terms of this loan");
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+
+        // Record the terms
+        refinanceTerms[_loanId] = RefinanceTerms(_interestRate, _duration);
+
+        // Emit event
+        emit RefinanceTermsSet(_loanId, msg.sender, _interestRate, _duration);
+    }
+
+    // Function for a new lender to refinance a loan on the terms its borrower agreed to. The new lender pays off everything
+    // owed to the current lenders, whose notes are burned, and takes over the whole loan, with what was owed as its new
+    // principal and its term starting afresh. The collateral stays in the contract throughout (any ETH sent beyond the
+    // payoff amount is credited back to the new lender)
+    function refinanceLoan(uint _loanId, uint _interestRate, uint _duration) external payable onlyDelegated nonReentrant whenNotPaused {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        RefinanceTerms memory terms = refinanceTerms[_loanId];
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+        require(!_isPastDue(loan), "Loan is past due and cannot be refinanced");
+        require(terms.duration > 0, "Borrower has not agreed to refinance this loan");
+        require(_interestRate == terms.interestRate && _duration == terms.duration, "Terms do not match those the borrower agreed to");
+
+        // Bring the loan's interest and late fees up to date, and work out what it takes to pay off the current lenders
+        _accrueInterest(loan);
+        _chargeLateFee(loan);
+        uint payoffAmount = loan.outstandingPrincipal + loan.accruedInterest + loan.lateFeesOwed;
+        require(loan.loanToken == address(0) ? msg.value >= payoffAmount : msg.value == 0, "Incorrect payoff amount");
+        _checkLoanToValue(loan.collateralToken, loan.collateralAmount, loan.loanToken, payoffAmount);
+
+        // Take token payoffs into the contract, or credit back any ETH sent beyond the payoff amount
+        if (loan.loanToken != address(0)) {
+            IERC20(loan.loanToken).safeTransferFrom(msg.sender, address(this), payoffAmount);
+        } else if (msg.value > payoffAmount) {
+            _credit(msg.sender, address(0), msg.value - payoffAmount);
+        }
+
+        // Pay off the holders of the loan's notes, less the protocol fee on the interest and late fees, and retire the
+        // notes and shares
+        _creditNoteHolders(loan, loan.loanToken,
+            payoffAmount - _chargeProtocolFee(loan, loan.loanToken, loan.accruedInterest + loan.lateFeesOwed));
+        _retireLenders(loan);
+
+        // Restart the loan on the new terms, with what was owed as its principal, dropping any term extension proposed
+        // to the previous lenders
+        address previousLender = loan.lender;
+        delete refinanceTerms[_loanId];
+        delete termExtensionProposals[_loanId];
+        loan.lender = payable(msg.sender);
+        loan.loanAmount = payoffAmount;
+        loan.interestRate = _interestRate;
+        loan.duration = _duration;
+        loan.startDate = block.timestamp;
+        loan.dueDate = block.timestamp + _duration;
+        loan.outstandingPrincipal = payoffAmount;
+        loan.accruedInterest = 0;
+        loan.lastAccrualDate = block.timestamp;
+        loan.lateFeesOwed = 0;
+        loan.lateFeeDaysCharged = 0;
+        _addLenderShare(loan, msg.sender, payoffAmount);
+        lenderLoanIds[msg.sender].push(_loanId);
+
+        // Emit event and mint the new lender's note
+        emit LoanRefinanced(_loanId, loan.borrower, msg.sender, previousLender, loan.loanToken, payoffAmount, _interestRate, loan.dueDate, loan.status);
+        _mintNotes(loan);
+    }
+
+    // Burn the notes of a loan's current lenders and clear their shares
+    function _retireLenders(Loan storage loan) internal {
+        uint[] storage noteIds = loanNoteIds[loan.loanId];
+        for (uint i = 0; i < noteIds.length; i++) {
+            loanNote.burn(noteIds[i]);
+        }
+        delete loanNoteIds[loan.loanId];
+
+        address[] storage lenders = loanLenders[loan.loanId];
+        for (uint i = 0; i < lenders.length; i++) {
+            lenderShares[loan.loanId][lenders[i]] = 0;
+        }
+        delete loanLenders[loan.loanId];
+        loan.amountFunded = 0;
+    }
+}
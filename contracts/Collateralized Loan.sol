@@ -1,52 +1,61 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./Collateralized Loan Base.sol";
 
 // Collateralized Loan Contract
-contract CollateralizedLoan {
-
-    // Define the structure of a loan
-    struct Loan {
-        uint loanId;
-        address payable borrower;
-        address payable lender;
-        uint collateralAmount;
-        uint loanAmount;
-        uint interestRate;
-        uint dueDate;
-        bool isFunded;
-        bool isRepaid;
-        bool isDefaulted;
-    }
-
-    // Create a mapping to manage the loans
-    mapping(uint => Loan) public loans;
-    uint public nextLoanId = 0;
-
-    event LoanRequested(address indexed borrower, uint collateralAmount, uint loanAmount, uint interestRate, uint dueDate);
-    event LoanFunded(uint loanId);
-    event LoanRepaid(uint loanId);
-    event CollateralClaimed(address indexed borrower, address indexed lender, uint collateralAmount);
+// Every function that moves value is nonReentrant, so a borrower, lender or token contract that calls back in
+// while funds are being transferred cannot act on the loan book mid-update
+contract CollateralizedLoan is CollateralizedLoanBase {
+    using SafeERC20 for IERC20;
 
-    function loanExists(Loan memory loanToCheck) public view returns (bool) {
+    // Extensions holding the functions that do not fit in this contract, run in this contract's storage: the
+    // CollateralizedLoanExtension, and the CollateralizedLoanModificationExtension for changes to funded loans
+    address public immutable extension;
+    address public immutable modificationExtension;
 
-        // Check if a requested loan has already been requested
-        for (uint i = 0; i < nextLoanId; i++) {
-            Loan memory existingLoan = loans[i];
-
-            if (existingLoan.borrower == loanToCheck.borrower && 
-                existingLoan.collateralAmount == loanToCheck.collateralAmount && 
-                existingLoan.loanAmount == loanToCheck.loanAmount && 
-                existingLoan.interestRate == loanToCheck.interestRate &&
-                existingLoan.isFunded == loanToCheck.isFunded &&
-                existingLoan.isRepaid == loanToCheck.isRepaid &&
-                existingLoan.isDefaulted == loanToCheck.isDefaulted) {
-                return true;
-            }
-        }
+    // The deployer becomes the owner, the guardian, and the treasury that protocol fees are paid out to, until the owner
+    // appoints others
+    constructor(
+        uint _maxLoanToValue,
+        uint _gracePeriod,
+        uint _lateFeeRate,
+        uint _liquidationPenalty,
+        address _extension,
+        address _modificationExtension
+    ) Ownable(msg.sender) {
+        require(_maxLoanToValue > 0, "Maximum loan-to-value ratio must be greater than 0");
+        require(_extension.code.length > 0 && _modificationExtension.code.length > 0, "Extension must be a deployed contract");
+        maxLoanToValue = _maxLoanToValue;
+        gracePeriod = _gracePeriod;
+        lateFeeRate = _lateFeeRate;
+        liquidationPenalty = _liquidationPenalty;
+        auctionStartMultiple = 3;
+        extension = _extension;
+        modificationExtension = _modificationExtension;
+        treasury = msg.sender;
+        guardian = msg.sender;
+        loanNote = new LoanNote();
+    }
+
+    // Identify a loan request by its borrower and terms
+    function _requestTermsKey(Loan memory loan) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            loan.borrower,
+            loan.collateralToken,
+            loan.collateralAmount,
+            loan.loanToken,
+            loan.loanAmount,
+            loan.interestRate,
+            loan.installmentCount
+        ));
+    }
 
-        return false;
+    function loanExists(Loan memory loanToCheck) public view returns (bool) {
+
+        // Check if a requested loan has already been requested and is still open (neither funded nor cancelled)
+        return openRequestTerms[_requestTermsKey(loanToCheck)];
     }
 
     // Ensure that a requested loan does not already exist
@@ -56,32 +65,91 @@ contract CollateralizedLoan {
         _;
     }
 
-    // Ensure that a requested loan is not already funded
-    modifier notAlreadyFunded(uint _loanId) {
-        require(loans[_loanId].isFunded == false, string.concat("Requested loan has already been funded by lender ", 
-            Strings.toHexString(loans[_loanId].lender)));
-        _;
+    // Function to deposit collateral and request a loan
+    function depositCollateralAndRequestLoan(uint _loanAmount, uint _interestRate, uint _duration, uint _fundingPeriod) external payable nonReentrant whenNotPaused {
+        _requestLoan(address(0), msg.value, address(0), _loanAmount, _interestRate, _duration, _fundingPeriod, 1);
     }
 
-    // Function to deposit collateral and request a loan
-    function depositCollateralAndRequestLoan(uint _interestRate, uint _duration) external payable {
-        require(msg.value > 0, "Collateral amount must be greater than 0");
+    // Function to deposit collateral and request a loan that is repaid in a fixed number of equal installments
+    function depositCollateralAndRequestInstallmentLoan(
+        uint _loanAmount,
+        uint _interestRate,
+        uint _duration,
+        uint _fundingPeriod,
+        uint _installmentCount
+    ) external payable nonReentrant whenNotPaused {
+        require(_installmentCount > 0, "Installment count must be greater than 0");
+        require(_installmentCount <= _duration, "Installments cannot be due more than once per second");
+        _requestLoan(address(0), msg.value, address(0), _loanAmount, _interestRate, _duration, _fundingPeriod, _installmentCount);
+    }
 
-        // Calculate loan due date
-        uint _dueDate = block.timestamp + _duration;
+    // Function to deposit collateral and request a loan denominated in an ERC-20 token (e.g. a stablecoin)
+    function depositCollateralAndRequestTokenLoan(
+        address _loanToken,
+        uint _loanAmount,
+        uint _interestRate,
+        uint _duration,
+        uint _fundingPeriod
+    ) external payable nonReentrant whenNotPaused {
+        require(_loanToken != address(0), "Loan token cannot be the zero address");
+        _requestLoan(address(0), msg.value, _loanToken, _loanAmount, _interestRate, _duration, _fundingPeriod, 1);
+    }
+
+    // Function to deposit ERC-20 token collateral and request a loan
+    function depositTokenCollateralAndRequestLoan(
+        address _collateralToken,
+        uint _collateralAmount,
+        uint _loanAmount,
+        uint _interestRate,
+        uint _duration,
+        uint _fundingPeriod
+    ) external nonReentrant whenNotPaused {
+        require(_collateralToken != address(0), "Collateral token cannot be the zero address");
+        _requestLoan(_collateralToken, _collateralAmount, address(0), _loanAmount, _interestRate, _duration, _fundingPeriod, 1);
+
+        // Escrow the collateral tokens in this contract
+        IERC20(_collateralToken).safeTransferFrom(msg.sender, address(this), _collateralAmount);
+    }
+
+    // Validate the terms of a loan request and record it
+    function _requestLoan(
+        address _collateralToken,
+        uint _collateralAmount,
+        address _loanToken,
+        uint _loanAmount,
+        uint _interestRate,
+        uint _duration,
+        uint _fundingPeriod,
+        uint _installmentCount
+    ) internal {
+        require(_collateralAmount > 0, "Collateral amount must be greater than 0");
+        require(_loanAmount > 0, "Loan amount must be greater than 0");
+
+        _checkLoanToValue(_collateralToken, _collateralAmount, _loanToken, _loanAmount);
 
         // Construct a new Loan 
         Loan memory newLoan = Loan({
             loanId: nextLoanId,
             borrower: payable(msg.sender),
             lender: payable(address(0)), // No lender yet
-            collateralAmount: msg.value,
-            loanAmount: msg.value,
+            collateralToken: _collateralToken,
+            collateralAmount: _collateralAmount,
+            loanToken: _loanToken,
+            loanAmount: _loanAmount,
             interestRate: _interestRate,
-            dueDate: _dueDate,
-            isFunded: false,
-            isRepaid: false,
-            isDefaulted: false
+            duration: _duration,
+            fundingDeadline: block.timestamp + _fundingPeriod,
+            startDate: 0, // The loan's term starts once it is funded
+            dueDate: 0,
+            installmentCount: _installmentCount,
+            outstandingPrincipal: 0, // Nothing is owed until the loan is funded
+            accruedInterest: 0,
+            lastAccrualDate: 0,
+            amountRepaid: 0,
+            amountFunded: 0,
+            lateFeesOwed: 0,
+            lateFeeDaysCharged: 0,
+            status: LoanStatus.Requested
         });
 
         // Call helper function with modifier
@@ -91,72 +159,528 @@ contract CollateralizedLoan {
     // Actually create the loan interally
     function _createNewLoan(Loan memory newLoan) internal doesNotExist(newLoan) {
         loans[nextLoanId++] = newLoan; // Create a new loan in the mapping
-        emit LoanRequested(newLoan.borrower, newLoan.collateralAmount, newLoan.loanAmount, newLoan.interestRate, newLoan.dueDate);
+        openRequestTerms[_requestTermsKey(newLoan)] = true;
+
+        // Index the new request
+        borrowerLoanIds[newLoan.borrower].push(newLoan.loanId);
+        openRequestPositions[newLoan.loanId] = openRequestIds.length;
+        openRequestIds.push(newLoan.loanId);
+        emit LoanRequested(newLoan.loanId, newLoan.borrower, newLoan.collateralToken, newLoan.collateralAmount, newLoan.loanToken, newLoan.loanAmount, newLoan.interestRate, newLoan.duration, newLoan.fundingDeadline, newLoan.status);
+    }
+
+    // Function to fund a loan, paying in whatever amount is still needed
+    function fundLoan(uint _loanId) external payable nonReentrant whenNotPaused notAlreadyFunded(_loanId) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        _fundShare(loan, loan.loanAmount - loan.amountFunded);
     }
 
-    // Function to fund a loan
-    function fundLoan(uint _loanId) external payable notAlreadyFunded(_loanId) {
+    // Function to fund part of a loan, alongside other lenders. Each share must be at least the loan amount divided by
+    // MAX_LENDERS_PER_LOAN, unless it completes the funding, so that the lender slots cannot all be taken up by dust shares
+    function fundLoanShare(uint _loanId, uint _amount) external payable nonReentrant whenNotPaused notAlreadyFunded(_loanId) {
         require(_loanId < nextLoanId, "Loan does not exist");
         Loan storage loan = loans[_loanId];
-        require(msg.value == loan.loanAmount, "Incorrect funding amount");
-        require(block.timestamp < loan.dueDate, "Loan has expired");
+        uint amountNeeded = loan.loanAmount - loan.amountFunded;
+        require(_amount > 0, "Funding amount must be greater than 0");
+        require(_amount <= amountNeeded, "Funding amount exceeds the amount still needed");
+        require(_amount == amountNeeded || _amount >= Math.ceilDiv(loan.loanAmount, MAX_LENDERS_PER_LOAN), "Funding amount is below the minimum share");
+        _fundShare(loan, _amount);
+    }
+
+    // Record the caller's share of a loan's funding, and start the loan once it has been fully funded
+    function _fundShare(Loan storage loan, uint _amount) internal {
+        require(loan.status != LoanStatus.Cancelled, "Loan request has been cancelled");
+        require(msg.value == (loan.loanToken == address(0) ? _amount : 0), "Incorrect funding amount");
+        require(block.timestamp <= loan.fundingDeadline, "Loan request has expired");
 
-        // Set the message sander as the lender
-        loan.lender = payable(msg.sender);
-        loan.isFunded = true;
+        // Set the first lender to fund the loan as its lead lender
+        if (loan.lender == address(0)) {
+            loan.lender = payable(msg.sender);
+        }
+        _addLenderShare(loan, msg.sender, _amount);
 
         // Emit event
-        emit LoanFunded(_loanId);
+        emit LoanShareFunded(loan.loanId, msg.sender, _amount, loan.amountFunded);
 
-        // Transfer the loan amount to the borrower
-        loan.borrower.transfer(msg.value);
+        // Take token principal into the contract (ETH principal has already been sent along with the call)
+        if (loan.loanToken != address(0)) {
+            IERC20(loan.loanToken).safeTransferFrom(msg.sender, address(this), _amount);
+        }
+
+        if (loan.amountFunded == loan.loanAmount) {
+            _startLoan(loan);
+        }
     }
 
-    // Function to repay a loan
-    function repayLoan(uint _loanId) external payable {
+    // Start a fully funded loan
+    function _startLoan(Loan storage loan) internal {
+        loan.status = LoanStatus.Funded;
+        _closeRequest(loan);
+
+        // List the loan under each of its lenders
+        address[] storage lenders = loanLenders[loan.loanId];
+        for (uint i = 0; i < lenders.length; i++) {
+            lenderLoanIds[lenders[i]].push(loan.loanId);
+        }
+
+        // Start the loan's term from now, giving the borrower its full duration
+        loan.startDate = block.timestamp;
+        loan.dueDate = block.timestamp + loan.duration;
+
+        // Start accruing interest on the principal
+        loan.outstandingPrincipal = loan.loanAmount;
+        loan.lastAccrualDate = block.timestamp;
+
+        // Emit event and mint the lenders' notes
+        emit LoanFunded(loan.loanId, loan.borrower, loan.lender, loan.loanToken, loan.loanAmount, loan.dueDate, loan.status);
+        _mintNotes(loan);
+
+        // Credit the loan amount to the borrower
+        _credit(loan.borrower, loan.loanToken, loan.loanAmount);
+    }
+
+    // Function for a lender to take back their share of a loan request that expired before it was fully funded
+    function reclaimLoanShare(uint _loanId) external nonReentrant notAlreadyFunded(_loanId) {
         require(_loanId < nextLoanId, "Loan does not exist");
         Loan storage loan = loans[_loanId];
-        require(msg.sender == loan.borrower, "Only the borrower can repay this loan");
-        require(loan.isFunded, "Loan has not yet been funded");
-        require(block.timestamp <= loan.dueDate, "Loan has expired and cannot be repaid");
-        require(!loan.isRepaid, "Loan has already been repaid");
-    
-        // Calculate repayment amount (principal + interest)
-        uint repaymentAmount = loan.loanAmount + ((loan.loanAmount * loan.interestRate) / 100);
+        require(block.timestamp > loan.fundingDeadline, "Loan request has not yet expired");
+        uint share = lenderShares[_loanId][msg.sender];
+        require(share > 0, "No share to reclaim");
+
+        // Clear the lender's share (they stay listed among the lenders, but can no longer fund the expired request)
+        lenderShares[_loanId][msg.sender] = 0;
+        loan.amountFunded -= share;
+
+        // Emit event
+        emit LoanShareReclaimed(_loanId, msg.sender, share);
+
+        // Return the share to the lender
+        _credit(msg.sender, loan.loanToken, share);
+    }
+
+    // Function to cancel an unfunded loan request and reclaim its collateral, whether or not the request has expired
+    function cancelLoanRequest(uint _loanId) external nonReentrant notAlreadyFunded(_loanId) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(msg.sender == loan.borrower, "Only the borrower can cancel this loan request");
+        require(loan.status != LoanStatus.Cancelled, "Loan request has already been cancelled");
+
+        // Mark loan request as cancelled
+        loan.status = LoanStatus.Cancelled;
+        _closeRequest(loan);
+
+        // Emit event
+        emit LoanRequestCancelled(_loanId, loan.borrower, loan.collateralToken, loan.collateralAmount, loan.status);
+
+        // Return collateral to borrower
+        _creditCollateral(loan, loan.borrower);
+
+        // Return any shares already paid in to their lenders
+        address[] storage lenders = loanLenders[_loanId];
+        for (uint i = 0; i < lenders.length; i++) {
+            uint share = lenderShares[_loanId][lenders[i]];
+            if (share > 0) {
+                lenderShares[_loanId][lenders[i]] = 0;
+                _credit(lenders[i], loan.loanToken, share);
+            }
+        }
+        loan.amountFunded = 0;
+    }
+
+    // Function for a borrower to name a guarantor for a loan request before any lender funds it
+    function setGuarantor(uint /* _loanId */, address /* _guarantor */) external {
+        _delegateToExtension();
+    }
+
+    // Function for a lender to call on the guarantor of a defaulted loan to cover it before claiming the collateral
+    function callGuarantor(uint /* _loanId */) external {
+        _delegateToExtension();
+    }
+
+    // Function for a borrower to set the price feed and liquidation threshold of a loan request before any lender funds it
+    function setLiquidationTerms(uint /* _loanId */, address /* _priceFeed */, uint /* _liquidationThreshold */) external {
+        _delegateToExtension();
+    }
+
+    // Remove a request that has been funded or cancelled from the open request indexes
+    function _closeRequest(Loan storage loan) internal {
+        delete openRequestTerms[_requestTermsKey(loan)];
+
+        _removeFromIndex(openRequestIds, openRequestPositions, loan.loanId);
+    }
+
+    // Function for a lender to post a standing offer to lend, escrowing the principal until a borrower accepts it
+    function createLoanOffer(
+        address /* _collateralToken */,
+        address /* _loanToken */,
+        uint /* _loanAmount */,
+        uint /* _interestRate */,
+        uint /* _duration */,
+        uint /* _minCollateralRatio */
+    ) external payable {
+        _delegateToExtension();
+    }
+
+    // Function for a borrower to accept a lender's offer by posting collateral, creating a funded loan
+    function acceptLoanOffer(uint /* _offerId */, uint /* _collateralAmount */) external payable {
+        _delegateToExtension();
+    }
+
+    // Function for a lender to withdraw an offer that has not been accepted and reclaim its principal
+    function withdrawLoanOffer(uint /* _offerId */) external {
+        _delegateToExtension();
+    }
+
+    // Function to execute a loan intent signed by its borrower and lender, creating and funding the loan in one step
+    function executeLoanIntent(
+        LoanIntent calldata /* _intent */,
+        bytes calldata /* _borrowerSignature */,
+        bytes calldata /* _lenderSignature */
+    ) external payable {
+        _delegateToExtension();
+    }
+
+    // Function to cancel every loan intent the caller has signed so far, by moving on to their next intent nonce
+    function incrementIntentNonce() external {
+        _delegateToExtension();
+    }
+
+    // Function to add collateral to a funded loan, on the borrower's behalf
+    function addCollateral(uint /* _loanId */, uint /* _amount */) external payable {
+        _delegateToModificationExtension();
+    }
+
+    // Function for a borrower to withdraw part of a funded loan's collateral, within the maximum loan-to-value ratio
+    function withdrawCollateral(uint /* _loanId */, uint /* _amount */) external {
+        _delegateToModificationExtension();
+    }
+
+    // Function for a borrower to propose a later due date for a funded loan, and any extra interest for the extra time
+    function proposeTermExtension(uint /* _loanId */, uint /* _newDueDate */, uint /* _extraInterest */) external {
+        _delegateToModificationExtension();
+    }
+
+    // Function for the lender to accept the pending term extension proposal of a loan, on the terms they expect it to have
+    function acceptTermExtension(uint /* _loanId */, uint /* _newDueDate */, uint /* _extraInterest */) external {
+        _delegateToModificationExtension();
+    }
+
+    // Function for the lender to reject the pending term extension proposal of a loan
+    function rejectTermExtension(uint /* _loanId */) external {
+        _delegateToModificationExtension();
+    }
+
+    // Function for a borrower to agree to have a funded loan refinanced on new terms, or with a zero duration to withdraw
+    // their agreement
+    function setRefinanceTerms(uint /* _loanId */, uint /* _interestRate */, uint /* _duration */) external {
+        _delegateToModificationExtension();
+    }
+
+    // Function for a new lender to refinance a loan on the terms its borrower agreed to, paying off the current lenders
+    function refinanceLoan(uint /* _loanId */, uint /* _interestRate */, uint /* _duration */) external payable {
+        _delegateToModificationExtension();
+    }
+
+    // Function to repay a loan, either in full or in part. Anyone may repay a loan on its borrower's behalf, the
+    // collateral still going back to the borrower, including while its guarantor has been called on to cover it.
+    // As interest accrues every second, any amount at or above what is owed repays the loan in full: only what is owed
+    // is taken, and any ETH sent beyond it is credited back to the payer
+    function repayLoan(uint _loanId, uint _amount) external payable nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(_hasBeenFunded(loan), "Loan has not yet been funded");
+        require(block.timestamp <= loan.dueDate + gracePeriod || _isGuaranteeOpen(_loanId), "Loan has expired and cannot be repaid");
+        require(loan.status != LoanStatus.Repaid, "Loan has already been repaid");
+        require(loan.status != LoanStatus.Defaulted, "Loan has defaulted and cannot be repaid");
+        require(loan.status != LoanStatus.Liquidated, "Loan has been liquidated and cannot be repaid");
     
-        // Check if the correct amount is being sent
-        require(msg.value == repaymentAmount, "Incorrect repayment amount");
+        // Bring the loan's interest and late fees up to date
+        _accrueInterest(loan);
+        _chargeLateFee(loan);
+
+        // Check if a valid amount is being paid (token loans are repaid by transfer rather than with ETH), and cap it at the amount owed
+        uint amountOwed = loan.outstandingPrincipal + loan.accruedInterest + loan.lateFeesOwed;
+        require(_amount > 0, "Incorrect repayment amount");
+        require(msg.value == (loan.loanToken == address(0) ? _amount : 0), "Incorrect repayment amount");
+        uint payment = Math.min(_amount, amountOwed);
     
-        // Mark loan as repaid
-        loan.isRepaid = true;
+        // Apply the payment to late fees first, then to accrued interest, then to principal
+        uint lateFeePaid = Math.min(payment, loan.lateFeesOwed);
+        loan.lateFeesOwed -= lateFeePaid;
+        uint interestPaid = Math.min(payment - lateFeePaid, loan.accruedInterest);
+        loan.accruedInterest -= interestPaid;
+        loan.outstandingPrincipal -= payment - lateFeePaid - interestPaid;
+        loan.amountRepaid += payment;
+        uint outstandingBalance = amountOwed - payment;
 
-        // Emit event
-        emit LoanRepaid(_loanId);
+        // Mark loan as repaid once nothing is outstanding
+        if (outstandingBalance == 0) {
+            loan.status = LoanStatus.Repaid;
+        }
+
+        // Let any call on the guarantor lapse once the borrower has caught up, so that a later default needs a call of its own
+        if (!_isPastDue(loan)) {
+            guarantees[_loanId].calledAt = 0;
+        }
+
+        // Emit events
+        emit RepaymentMade(_loanId, loan.borrower, loan.lender, loan.loanToken, payment, outstandingBalance, loan.status);
+        if (loan.status == LoanStatus.Repaid) {
+            emit LoanRepaid(_loanId, loan.borrower, loan.lender, loan.loanToken, loan.amountRepaid, loan.status);
+        }
         
-        // Transfer funds to lender
-        loan.lender.transfer(msg.value);
+        // Take token repayments into the contract, or credit back any ETH sent beyond the amount owed
+        if (loan.loanToken != address(0)) {
+            IERC20(loan.loanToken).safeTransferFrom(msg.sender, address(this), payment);
+        } else if (_amount > payment) {
+            _credit(msg.sender, address(0), _amount - payment);
+        }
 
-        // Return collateral to borrower
-        loan.borrower.transfer(loan.collateralAmount);
+        // Credit funds, less the protocol fee on the interest and late fees paid, to the holders of the loan's notes
+        _creditNoteHolders(loan, loan.loanToken, payment - _chargeProtocolFee(loan, loan.loanToken, interestPaid + lateFeePaid));
+
+        // Return collateral to borrower once the loan is fully repaid
+        if (loan.status == LoanStatus.Repaid) {
+            _creditCollateral(loan, loan.borrower);
+        }
     }
 
-    // Function to claim collateral on default
-    function claimCollateral(uint _loanId) external {
+    // Get the current status of a loan
+    function getLoanStatus(uint _loanId) external view returns (LoanStatus) {
         require(_loanId < nextLoanId, "Loan does not exist");
+        return loans[_loanId].status;
+    }
+
+    // Get the amount (outstanding principal + interest accrued to date) a borrower currently owes on a loan
+    function getAmountOwed(uint _loanId) public view returns (uint) {
+        return _amountOwed(loans[_loanId]);
+    }
+
+    // Get the due date of one of a loan's installments (numbered from 1 to the installment count)
+    function getInstallmentDueDate(uint _loanId, uint _installment) public view returns (uint) {
         Loan storage loan = loans[_loanId];
-        require(msg.sender == loan.lender, "Only the lender can claim the collateral of this loan");
-        require(loan.isFunded, "Loan has not yet been funded");
-        require(!loan.isRepaid, "Loan was repaid on time");
-        require(block.timestamp > loan.dueDate, "Loan is not yet past due date");
-        require(!loan.isDefaulted, "Collateral has already been claimed");
+        require(_installment > 0 && _installment <= loan.installmentCount, "Installment does not exist");
+        require(_hasBeenFunded(loan), "Loan has not yet been funded");
+        return loan.startDate + ((loan.dueDate - loan.startDate) * _installment) / loan.installmentCount;
+    }
+
+    // Function to claim collateral on default. Collateral in the loan asset is split straight away between the lenders,
+    // who receive what they are owed plus the liquidation penalty, and the borrower, who receives the rest. Any other
+    // collateral is put up for auction, to be sold for the loan asset and the proceeds split the same way
+    function claimCollateral(uint _loanId) external nonReentrant {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(_hasBeenFunded(loan), "Loan has not yet been funded");
+        require(_holdsNote(_loanId, msg.sender), "Only the lender can claim the collateral of this loan");
+        require(loan.status != LoanStatus.Repaid, "Loan was repaid on time");
+        require(loan.status != LoanStatus.Defaulted, "Collateral has already been claimed");
+        require(loan.status != LoanStatus.Liquidated, "Loan has been liquidated");
+        require(_isPastDue(loan), "Loan is not yet past due date");
+        require(guarantees[_loanId].guarantor == address(0) || guarantees[_loanId].calledAt != 0, "Guarantor has not yet been called on");
+        require(!_isGuaranteeOpen(_loanId), "Guarantor still has time to cover the loan");
+
+        // Bring the loan's interest and late fees up to date, and work out the penalty owed on top of them
+        _accrueInterest(loan);
+        _chargeLateFee(loan);
+        uint debt = loan.outstandingPrincipal + loan.accruedInterest + loan.lateFeesOwed;
+        uint penalty = Math.mulDiv(debt, liquidationPenalty, BASIS_POINTS);
 
         // Mark loan as closed
-        loan.isDefaulted = true;
+        loan.status = LoanStatus.Defaulted;
         
         // Emit event
-        emit CollateralClaimed(loan.borrower, loan.lender, loan.collateralAmount);
+        emit CollateralClaimed(_loanId, loan.borrower, loan.lender, loan.collateralToken, loan.collateralAmount, loan.status);
         
-        // Transfer collateral to lender
-        loan.lender.transfer(loan.collateralAmount);
+        // Settle the debt out of the collateral, or start auctioning the collateral
+        if (loan.collateralToken == loan.loanToken) {
+            _settleDefault(loan, loan.collateralAmount, debt, penalty);
+        } else {
+            uint startPrice = _auctionStartPrice(loan, debt + penalty);
+            collateralAuctions[_loanId] = CollateralAuction(debt, penalty, startPrice, block.timestamp, false);
+            emit CollateralAuctionStarted(_loanId, loan.collateralToken, loan.collateralAmount, loan.loanToken,
+                startPrice, debt + penalty, block.timestamp + AUCTION_DURATION);
+        }
+    }
+
+    // Function for anyone to buy the collateral of a defaulted loan at the auction's current price, paying the lenders
+    // what they are owed and the borrower the rest (any ETH sent beyond the price is credited back to the buyer)
+    function buyCollateral(uint /* _loanId */) external payable {
+        _delegateToExtension();
+    }
+
+    // Function for the lenders to take the collateral of a defaulted loan once its auction has ended without a buyer
+    function claimUnsoldCollateral(uint /* _loanId */) external {
+        _delegateToExtension();
+    }
+
+    // Get the current price of a defaulted loan's collateral at auction, in the loan asset
+    function getCollateralAuctionPrice(uint _loanId) external view returns (uint) {
+        CollateralAuction storage auction = collateralAuctions[_loanId];
+        require(auction.startDate != 0 && !auction.settled, "Collateral is not being auctioned");
+        return _auctionPrice(auction);
+    }
+
+    // Function for anyone to liquidate a loan whose health factor has fallen below 1, paying off its debt in full
+    // in exchange for its collateral (any ETH sent beyond the debt is credited back to the liquidator)
+    function liquidate(uint /* _loanId */) external payable {
+        _delegateToExtension();
+    }
+
+    // Get a loan's health factor: the share of its collateral's value set by its liquidation threshold, divided by
+    // the amount currently owed, scaled by HEALTH_FACTOR_ONE
+    function getHealthFactor(uint _loanId) external view returns (uint) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        Loan storage loan = loans[_loanId];
+        require(loan.status == LoanStatus.Funded, "Loan is not active");
+        return _healthFactor(loan, _amountOwed(loan));
+    }
+
+    // Function for the owner to set the protocol fee rate, in basis points
+    function setProtocolFeeRate(uint /* _protocolFeeRate */) external {
+        _delegateToExtension();
+    }
+
+    // Function for the owner to set the treasury that protocol fees are paid out to
+    function setTreasury(address /* _treasury */) external {
+        _delegateToExtension();
+    }
+
+    // Function for the owner to pay out the protocol fees collected in the given asset (the zero address for ETH) to the treasury
+    function withdrawProtocolFees(address /* _asset */) external {
+        _delegateToExtension();
+    }
+
+    // Function for the owner to approve a price feed for pricing a collateral asset in a loan asset, or to withdraw its approval
+    function setPriceFeedApproval(address /* _collateralToken */, address /* _loanToken */, address /* _priceFeed */, bool /* _approved */) external {
+        _delegateToExtension();
+    }
+
+    // Function for the owner to set the multiple of what the lenders are owed that collateral auctions start at when
+    // the collateral has no usable price
+    function setAuctionStartMultiple(uint /* _auctionStartMultiple */) external {
+        _delegateToExtension();
+    }
+
+    // Function for the owner to appoint the guardian who can pause the creation and funding of new loans
+    function setGuardian(address /* _guardian */) external {
+        _delegateToExtension();
+    }
+
+    // Function for the guardian to pause the creation and funding of new loans
+    function pause() external {
+        _delegateToExtension();
+    }
+
+    // Function for the guardian to let new loans be created and funded again
+    function unpause() external {
+        _delegateToExtension();
+    }
+
+    // Function to withdraw the funds credited to the caller in the given asset (the zero address for ETH)
+    function withdraw(address _asset) external nonReentrant {
+        uint amount = pendingWithdrawals[msg.sender][_asset];
+        require(amount > 0, "No funds to withdraw");
+
+        // Clear the balance before sending funds
+        pendingWithdrawals[msg.sender][_asset] = 0;
+
+        // Emit event
+        emit FundsWithdrawn(msg.sender, _asset, amount);
+
+        // Send the funds, forwarding all gas so that smart-contract wallets can receive ETH
+        if (_asset == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "ETH withdrawal failed");
+        } else {
+            IERC20(_asset).safeTransfer(msg.sender, amount);
+        }
+    }
+
+    // Function to get the number of loans requested by a borrower
+    function getBorrowerLoanCount(address _borrower) external view returns (uint) {
+        return borrowerLoanIds[_borrower].length;
+    }
+
+    // Function to get a page of the ids of the loans requested by a borrower, oldest first
+    function getBorrowerLoanIds(address _borrower, uint _offset, uint _limit) external view returns (uint[] memory) {
+        return _paginate(borrowerLoanIds[_borrower], _offset, _limit);
+    }
+
+    // Function to get the number of loans funded by a lender
+    function getLenderLoanCount(address _lender) external view returns (uint) {
+        return lenderLoanIds[_lender].length;
+    }
+
+    // Function to get a page of the ids of the loans funded by a lender, oldest first
+    function getLenderLoanIds(address _lender, uint _offset, uint _limit) external view returns (uint[] memory) {
+        return _paginate(lenderLoanIds[_lender], _offset, _limit);
+    }
+
+    // Function to get the number of open loan requests
+    function getOpenLoanRequestCount() external view returns (uint) {
+        return openRequestIds.length;
+    }
+
+    // Function to get a page of the ids of the loan requests that are neither funded nor cancelled, in no particular order
+    // (a request stays open after its funding deadline passes, until the borrower cancels it)
+    function getOpenLoanRequestIds(uint _offset, uint _limit) external view returns (uint[] memory) {
+        return _paginate(openRequestIds, _offset, _limit);
+    }
+
+    // Function to get the number of open loan offers
+    function getOpenLoanOfferCount() external view returns (uint) {
+        return openOfferIds.length;
+    }
+
+    // Function to get a page of the ids of the loan offers that are neither accepted nor withdrawn, in no particular order
+    function getOpenLoanOfferIds(uint _offset, uint _limit) external view returns (uint[] memory) {
+        return _paginate(openOfferIds, _offset, _limit);
+    }
+
+    // Function to get the lenders of a loan and the share of its principal each of them paid in
+    function getLoanLenders(uint _loanId) external view returns (address[] memory lenders, uint[] memory shares) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        lenders = loanLenders[_loanId];
+        shares = new uint[](lenders.length);
+        for (uint i = 0; i < lenders.length; i++) {
+            shares[i] = lenderShares[_loanId][lenders[i]];
+        }
+    }
+
+    // Function to get the ids of the notes minted for a loan
+    function getLoanNoteIds(uint _loanId) external view returns (uint[] memory) {
+        require(_loanId < nextLoanId, "Loan does not exist");
+        return loanNoteIds[_loanId];
+    }
+
+    // Copy up to _limit ids, starting at _offset, out of an index
+    function _paginate(uint[] storage ids, uint _offset, uint _limit) internal view returns (uint[] memory) {
+        if (_offset >= ids.length) {
+            return new uint[](0);
+        }
+        uint end = _offset + Math.min(_limit, ids.length - _offset);
+        uint[] memory page = new uint[](end - _offset);
+        for (uint i = _offset; i < end; i++) {
+            page[i - _offset] = ids[i];
+        }
+        return page;
+    }
+
+    // Run the current call in the CollateralizedLoanExtension
+    function _delegateToExtension() internal {
+        _delegate(extension);
+    }
+
+    // Run the current call in the CollateralizedLoanModificationExtension
+    function _delegateToModificationExtension() internal {
+        _delegate(modificationExtension);
+    }
+
+    // Run the current call in an extension, in this contract's storage, and pass its result or revert reason back
+    function _delegate(address _extension) internal {
+        bytes memory result = Address.functionDelegateCall(_extension, msg.data);
+        assembly ("memory-safe") {
+            return(add(result, 32), mload(result))
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Collateralized Loan Base.sol";
+
+// Loan Note Contract
+// Each note is a lender's position in a funded loan. Whoever holds the note is paid the note's share of the loan's
+// repayments and may claim the collateral on default, so positions can be sold or moved before the loan matures.
+// Notes are minted by the CollateralizedLoan contract that deploys this one, and describe their loan on-chain.
+contract LoanNote is ERC721 {
+    // The loan contract that mints the notes and keeps their loans
+    CollateralizedLoanBase public immutable loanContract;
+
+    constructor() ERC721("Collateralized Loan Note", "CLN") {
+        loanContract = CollateralizedLoanBase(msg.sender);
+    }
+
+    // Function for the loan contract to mint a note to a lender
+    function mint(address _to, uint _noteId) external {
+        require(msg.sender == address(loanContract), "Only the loan contract can mint notes");
+
+        // Notes are minted without an ERC-721 receiver check, so that a lender contract cannot block its loan from starting
+        _mint(_to, _noteId);
+    }
+
+    // Function for the loan contract to burn the notes of lenders who have been paid off when their loan is refinanced
+    function burn(uint _noteId) external {
+        require(msg.sender == address(loanContract), "Only the loan contract can burn notes");
+        _burn(_noteId);
+    }
+
+    // Describe the note and its loan's current terms and status as a base64-encoded JSON data URI
+    function tokenURI(uint _noteId) public view override returns (string memory) {
+        _requireOwned(_noteId);
+        uint loanId = loanContract.noteLoanIds(_noteId);
+        uint[] memory loanIds = new uint[](1);
+        loanIds[0] = loanId;
+        CollateralizedLoanBase.Loan memory loan = loanContract.getLoans(loanIds)[0];
+
+        string memory json = string.concat(
+            '{"name":"Loan Note #', Strings.toString(_noteId),
+            '","description":"A share of collateralized loan #', Strings.toString(loanId),
+            '. The holder of this note is paid its share of the loan\'s repayments and may claim its share of the collateral on default.",',
+            '"attributes":[', _loanAttributes(loan, loanContract.noteShares(_noteId)), ']}'
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    // List a loan's terms and status as ERC-721 metadata attributes
+    function _loanAttributes(CollateralizedLoanBase.Loan memory loan, uint share) internal pure returns (string memory) {
+        return string.concat(
+            _attribute("Loan ID", Strings.toString(loan.loanId), false), ",",
+            _attribute("Principal Share", Strings.toString(share), false), ",",
+            _attribute("Loan Amount", Strings.toString(loan.loanAmount), false), ",",
+            _attribute("Loan Token", Strings.toHexString(loan.loanToken), true), ",",
+            _attribute("Collateral Amount", Strings.toString(loan.collateralAmount), false), ",",
+            _attribute("Collateral Token", Strings.toHexString(loan.collateralToken), true), ",",
+            _attribute("Interest Rate (bps)", Strings.toString(loan.interestRate), false), ",",
+            _attribute("Due Date", Strings.toString(loan.dueDate), false), ",",
+            _attribute("Status", _statusName(loan.status), true)
+        );
+    }
+
+    // Format a single metadata attribute
+    function _attribute(string memory traitType, string memory value, bool isText) internal pure returns (string memory) {
+        string memory quote = isText ? '"' : "";
+        return string.concat('{"trait_type":"', traitType, '","value":', quote, value, quote, "}");
+    }
+
+    // Name a loan status
+    function _statusName(CollateralizedLoanBase.LoanStatus status) internal pure returns (string memory) {
+        if (status == CollateralizedLoanBase.LoanStatus.Requested) return "Requested";
+        if (status == CollateralizedLoanBase.LoanStatus.Funded) return "Funded";
+        if (status == CollateralizedLoanBase.LoanStatus.Repaid) return "Repaid";
+        if (status == CollateralizedLoanBase.LoanStatus.Defaulted) return "Defaulted";
+        if (status == CollateralizedLoanBase.LoanStatus.Liquidated) return "Liquidated";
+        return "Cancelled";
+    }
+}
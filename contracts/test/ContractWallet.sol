@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Minimal smart-contract wallet used in tests to act as a borrower or lender
+contract ContractWallet {
+    address public owner;
+
+    // Count of ETH payments received, written on every receipt so that receiving costs more than a 2300 gas stipend
+    uint public paymentsReceived;
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // Forward calls (and ETH) from the owner to another contract
+    function execute(address _target, uint _value, bytes calldata _data) external payable returns (bytes memory) {
+        require(msg.sender == owner, "Only the owner can execute calls");
+        (bool success, bytes memory result) = _target.call{value: _value}(_data);
+        if (!success) {
+            // Bubble up the revert reason of the failed call
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    // Record each ETH payment before passing it on to the owner
+    receive() external payable {
+        paymentsReceived += 1;
+        (bool success, ) = payable(owner).call{value: msg.value}("");
+        require(success, "Forwarding to owner failed");
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../Aggregator V3 Interface.sol";
+
+// Price feed with settable answers, used in tests as a stand-in for a Chainlink aggregator
+contract MockAggregator is AggregatorV3Interface {
+    uint8 public immutable decimals;
+    uint80 private latestRoundId;
+    mapping(uint80 => int256) private answers;
+    mapping(uint80 => uint256) private updatedAts;
+
+    constructor(uint8 _decimals, int256 _answer) {
+        decimals = _decimals;
+        setAnswer(_answer);
+    }
+
+    // Start a new round with the given answer, updated now
+    function setAnswer(int256 _answer) public {
+        setRoundData(_answer, block.timestamp);
+    }
+
+    // Start a new round with the given answer and update time
+    function setRoundData(int256 _answer, uint256 _updatedAt) public {
+        latestRoundId++;
+        answers[latestRoundId] = _answer;
+        updatedAts[latestRoundId] = _updatedAt;
+    }
+
+    function description() external pure returns (string memory) {
+        return "Mock / USD";
+    }
+
+    function version() external pure returns (uint256) {
+        return 1;
+    }
+
+    function getRoundData(uint80 _roundId) public view returns (uint80, int256, uint256, uint256, uint80) {
+        require(_roundId > 0 && _roundId <= latestRoundId, "No data present");
+        return (_roundId, answers[_roundId], updatedAts[_roundId], updatedAts[_roundId], _roundId);
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(latestRoundId);
+    }
+}
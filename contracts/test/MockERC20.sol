@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Mintable ERC-20 token used as a stand-in for real tokens in tests
+contract MockERC20 is ERC20 {
+    constructor(string memory _name, string memory _symbol) ERC20(_name, _symbol) {}
+
+    // Let anyone mint tokens to any address
+    function mint(address _to, uint _amount) external {
+        _mint(_to, _amount);
+    }
+}
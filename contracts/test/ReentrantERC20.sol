@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+
+// Hostile ERC-20 token used in tests: on its next transfer it calls back into a target contract
+// with a preset call, and records whether that reentrant call went through
+contract ReentrantERC20 is MockERC20 {
+    address public reentryTarget;
+    bytes public reentryData;
+    bool public reentryAttempted;
+    bool public reentrySucceeded;
+    bytes public reentryError;
+
+    constructor(string memory _name, string memory _symbol) MockERC20(_name, _symbol) {}
+
+    // Set the call to make during the next transfer
+    function setReentry(address _target, bytes calldata _data) external {
+        reentryTarget = _target;
+        reentryData = _data;
+    }
+
+    // Attempt the reentrant call once on a transfer (not a mint), keeping the outcome instead of reverting
+    function _update(address _from, address _to, uint _value) internal override {
+        super._update(_from, _to, _value);
+        if (_from == address(0) || reentryData.length == 0 || reentryAttempted) {
+            return;
+        }
+        reentryAttempted = true;
+        (reentrySucceeded, reentryError) = reentryTarget.call(reentryData);
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Hostile smart-contract wallet used in tests: when it receives ETH it calls back into a target contract
+// with a preset call, and records whether that reentrant call went through
+contract ReentrantReceiver {
+    address public reentryTarget;
+    bytes public reentryData;
+    bool public reentryAttempted;
+    bool public reentrySucceeded;
+    bytes public reentryError;
+
+    // Forward calls (and ETH) to another contract, bubbling up any revert
+    function execute(address _target, uint _value, bytes calldata _data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = _target.call{value: _value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    // Set the call to make when ETH is next received
+    function setReentry(address _target, bytes calldata _data) external {
+        reentryTarget = _target;
+        reentryData = _data;
+    }
+
+    // Attempt the reentrant call once, keeping the outcome instead of reverting so the outer call can complete
+    receive() external payable {
+        if (reentryData.length == 0 || reentryAttempted) {
+            return;
+        }
+        reentryAttempted = true;
+        (reentrySucceeded, reentryError) = reentryTarget.call(reentryData);
+    }
+}
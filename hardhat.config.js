@@ -6,6 +6,7 @@ const config = {
   solidity: {
     version: "0.8.20",
     settings: {
+      viaIR: true, // The Loan struct is too large for the legacy pipeline's stack
       optimizer: {
         enabled: true,
         runs: 200,
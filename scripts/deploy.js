@@ -3,13 +3,34 @@ const { ethers } = require("hardhat");
 async function main() {
   console.log("Starting deployment...");
 
+  // Deploy the extensions that the CollateralizedLoan contract delegates some of its functions to
+  const CollateralizedLoanExtension = await ethers.getContractFactory(
+    "CollateralizedLoanExtension"
+  );
+  const extension = await CollateralizedLoanExtension.deploy();
+  await extension.waitForDeployment();
+  console.log("CollateralizedLoanExtension deployed to:", await extension.getAddress());
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory(
+    "CollateralizedLoanModificationExtension"
+  );
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  await modificationExtension.waitForDeployment();
+  console.log("CollateralizedLoanModificationExtension deployed to:", await modificationExtension.getAddress());
+
   // Get the contract factory for the CollateralizedLoan contract
   const CollateralizedLoan = await ethers.getContractFactory(
     "CollateralizedLoan"
   );
 
-  // Deploy the contract
-  const collateralizedLoan = await CollateralizedLoan.deploy();
+  // Deploy the contract with a maximum loan-to-value ratio of 80%, and a 3-day grace period after each due date
+  // during which late repayments are charged 0.5% of the outstanding principal per day. Lenders are owed a 5%
+  // liquidation penalty on top of the debt of a loan that defaults
+  const maxLoanToValue = 80;
+  const gracePeriod = 3 * 24 * 60 * 60;
+  const lateFeeRate = 50;
+  const liquidationPenalty = 500;
+  const collateralizedLoan = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty,
+    await extension.getAddress(), await modificationExtension.getAddress());
 
   // Wait for the deployment transaction to be mined
   await collateralizedLoan.waitForDeployment();
@@ -19,6 +40,9 @@ async function main() {
 
   // Log the deployed contract address
   console.log("CollateralizedLoan deployed to:", deployedAddress);
+
+  // Log the address of the loan note contract that the CollateralizedLoan contract deployed
+  console.log("LoanNote deployed to:", await collateralizedLoan.loanNote());
 }
 
 main()
@@ -4,4 +4,26 @@ describe("CollateralizedLoan", function () {
   require('./fundLoan');
   require('./repayLoan');
   require('./claimCollateral');
+  require('./cancelLoanRequest');
+  require('./tokenCollateral');
+  require('./tokenLoan');
+  require('./partialRepayment');
+  require('./interestAccrual');
+  require('./withdraw');
+  require('./reentrancy');
+  require('./requestGas');
+  require('./loanViews');
+  require('./loanOffers');
+  require('./syndicatedLoans');
+  require('./loanNotes');
+  require('./gracePeriod');
+  require('./liquidation');
+  require('./defaultSettlement');
+  require('./protocolFees');
+  require('./emergencyPause');
+  require('./loanIntents');
+  require('./guarantors');
+  require('./refinancing');
+  require('./collateralManagement');
+  require('./termExtensions');
 });
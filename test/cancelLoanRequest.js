@@ -0,0 +1,269 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender };
+}
+
+function runCancelLoanRequestTests() {
+
+  // Test suite for cancelling a loan request
+  describe("Cancelling a Loan Request", function () {
+    it("Should let the borrower cancel an unfunded loan request and have their collateral credited back", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request a loan
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Check for emission of a LoanRequestCancelled event when the borrower cancels the loan request
+      const loanId = 0;
+      await expect(borrowerContract.cancelLoanRequest(loanId))
+        .to.emit(borrowerContract, "LoanRequestCancelled")
+        .withArgs(loanId, borrower.address, ethers.ZeroAddress, collateralAmount, LoanStatus.Cancelled);
+
+      // Confirm that the loan request has been marked as cancelled
+      const cancelledLoan = await borrowerContract.loans(loanId);
+      expect(cancelledLoan.status).to.equal(LoanStatus.Cancelled);
+
+      // Verify that the collateral is waiting for the borrower to withdraw
+      expect(await borrowerContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(collateralAmount);
+
+      // Get the borrower's wallet balance before the collateral is withdrawn
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+
+      // Have the borrower withdraw the collateral
+      const withdrawTx = await borrowerContract.withdraw(ethers.ZeroAddress);
+
+      // Get the transaction receipt to determine gas costs
+      const receipt = await withdrawTx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+
+      // Verify that the borrower got their collateral back (minus gas costs)
+      const borrowerBalanceAfter = await ethers.provider.getBalance(borrower.address);
+      expect(borrowerBalanceAfter - borrowerBalanceBefore).to.equal(collateralAmount - gasCost);
+    });
+
+    it("Should let the borrower cancel a loan request that expired without being funded", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request a loan
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Fast forward time past the loan's due date
+      await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
+      await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
+
+      // Have the borrower cancel the expired loan request and withdraw the collateral
+      const loanId = 0;
+      await borrowerContract.cancelLoanRequest(loanId);
+      await borrowerContract.withdraw(ethers.ZeroAddress);
+
+      // Verify that the collateral has left the contract
+      expect(await ethers.provider.getBalance(await borrowerContract.getAddress())).to.equal(0);
+    });
+
+    it("Should not allow a lender to fund a cancelled loan request", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Have the borrower request a loan and then cancel it
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await collateralizedLoanContract
+        .connect(borrower)
+        .cancelLoanRequest(loanId);
+
+      // Attempt to have a lender fund the cancelled loan request
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount }))
+        .to.be.revertedWith("Loan request has been cancelled");
+
+      // Verify that the loan has not been marked as being funded
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Cancelled);
+    });
+
+    it("Should let the borrower request the same loan again after cancelling it", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request a loan and then cancel it
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await borrowerContract.cancelLoanRequest(0);
+
+      // Have the borrower request the same loan again
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Verify that a second loan was requested
+      expect(await borrowerContract.nextLoanId()).to.equal(2);
+    });
+
+    it("Should not allow anyone but the borrower to cancel a loan request", async function () {
+      const accounts = await ethers.getSigners();
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Have the borrower request a loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Try to cancel the loan request with non-borrower accounts
+      const loanId = 0;
+      for (const account of accounts) {
+        if (account.address !== borrower.address) {
+          await expect(collateralizedLoanContract
+            .connect(account)
+            .cancelLoanRequest(loanId))
+            .to.be.revertedWith("Only the borrower can cancel this loan request");
+        }
+      }
+
+      // Confirm that the loan request has not been cancelled
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Requested);
+    });
+
+    it("Should not allow the borrower to cancel a loan that has been funded", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Have the borrower request a loan and a lender fund it
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Attempt to have the borrower cancel the funded loan
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .cancelLoanRequest(loanId))
+        .to.be.revertedWith(`Requested loan has already been funded by lender ${lender.address.toLowerCase()}`);
+
+      // Confirm that the loan has not been cancelled
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+    });
+
+    it("Should not allow the borrower to cancel a loan request twice", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request a loan and then cancel it
+      const loanId = 0;
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await borrowerContract.cancelLoanRequest(loanId);
+
+      // Attempt to cancel the loan request again
+      await expect(borrowerContract.cancelLoanRequest(loanId))
+        .to.be.revertedWith("Loan request has already been cancelled");
+    });
+  });
+}
+
+// Run the tests from just this file
+runCancelLoanRequestTests();
+
+// Export the tests for testing in the main test script
+module.exports = runCancelLoanRequestTests;
@@ -1,13 +1,24 @@
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { calculateAmountOwed } = require("../utils/interest");
+const { LoanStatus } = require("../utils/loanStatus");
 
 // Use a fixture to reduce code repetition
 async function deployCollateralizedLoanFixture() {
 
-  // Create and deploy a fresh CollateralizedLoan contract
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
   const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
-  const collateralizedLoanContract = await CollateralizedLoan.deploy();
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
 
   // Create contract owner and consumers
   const [owner, borrower, lender] = await ethers.getSigners();
@@ -15,6 +26,14 @@ async function deployCollateralizedLoanFixture() {
   return { collateralizedLoanContract, owner, borrower, lender };
 }
 
+// Pin the timestamp of the next block so that the amount owed when a loan is repaid in it can be calculated exactly
+async function getAmountOwedAtNextBlock(collateralizedLoanContract, loanId) {
+  const block = await ethers.provider.getBlock("latest");
+  const repaymentTimestamp = BigInt(block.timestamp) + BigInt(1);
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(repaymentTimestamp)]);
+  return calculateAmountOwed(await collateralizedLoanContract.loans(loanId), repaymentTimestamp);
+}
+
 function runClaimCollateralTests() {
 
   // Test suite for claiming collateral
@@ -25,10 +44,11 @@ function runClaimCollateralTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -36,7 +56,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have the lender fund the loan
       const loanId = 0;
@@ -45,7 +65,7 @@ function runClaimCollateralTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
@@ -56,8 +76,7 @@ function runClaimCollateralTests() {
 
       // Confirm the loan is now in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
-      expect(defaultedLoan.isDefaulted).to.equal(true)
+      expect(defaultedLoan.status).to.equal(LoanStatus.Defaulted);
     });
 
     it("Should emit a CollateralClaimed event upon a successful collateral claim", async function () {
@@ -66,10 +85,11 @@ function runClaimCollateralTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -77,7 +97,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have the lender fund the loan
       const loanId = 0;
@@ -86,7 +106,7 @@ function runClaimCollateralTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
@@ -95,24 +115,24 @@ function runClaimCollateralTests() {
       // Check for emission of a CollateralClaimed event when the lender claims the collateral
       await expect(lenderContract.claimCollateral(loanId))
         .to.emit(lenderContract, "CollateralClaimed")
-        .withArgs(borrower.address, lender.address, collateralAmount);
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, collateralAmount, LoanStatus.Defaulted);
 
       // Confirm the loan is now in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
-      expect(defaultedLoan.isDefaulted).to.equal(true);
+      expect(defaultedLoan.status).to.equal(LoanStatus.Defaulted);
     });
 
-    it("Should add the collateral amount (minus gas costs) to the lender's address upon claiming the collateral", async function () {
+    it("Should credit the amount owed to the lender and the rest of the collateral to the borrower upon claiming the collateral", async function () {
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
-      const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3000);
+      const loanAmount = BigInt(2000);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -120,7 +140,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have the lender fund the loan
       const loanId = 0;
@@ -129,36 +149,45 @@ function runClaimCollateralTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
       await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
 
-      // Get the lenders's wallet balance before the collateral is claimed
+      // Have the lender claim the loan's collateral, checking for emission of a DefaultSettled event
+      // that breaks down how the collateral is split
+      const amountOwed = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      const surplus = collateralAmount - amountOwed;
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.emit(lenderContract, "DefaultSettled")
+        .withArgs(loanId, borrower.address, ethers.ZeroAddress, amountOwed, 0, amountOwed, surplus);
+      expect(await lenderContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(amountOwed);
+      expect(await lenderContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount + surplus);
+
+      // Get the lenders's wallet balance before the collateral is withdrawn
       const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
 
-      // Have the lender claim the loan's collateral
-      const claimTx = await lenderContract.claimCollateral(loanId);
+      // Have the lender withdraw the collateral
+      const withdrawTx = await lenderContract.withdraw(ethers.ZeroAddress);
 
       // Get the transaction receipt to determine gas costs
-      const receipt = await claimTx.wait();
+      const receipt = await withdrawTx.wait();
       const gasCost = receipt.gasUsed * receipt.gasPrice;
 
-      // Get the lender's wallet balance after the collateral is claimed
+      // Get the lender's wallet balance after the collateral is withdrawn
       const lenderBalanceAfter = await ethers.provider.getBalance(lender.address);
 
-      // Calculate the difference in the lender's balance (including gas costs) before and after the collateral is claimed
-      const expectedDifference = collateralAmount - gasCost;
+      // Calculate the difference in the lender's balance (including gas costs) before and after the collateral is withdrawn
+      const expectedDifference = amountOwed - gasCost;
       const actualDifference = lenderBalanceAfter - lenderBalanceBefore;
 
-      // Verify that the balance difference is equal to the loan amount plus gas fees and minus collateral
+      // Verify that the balance difference is equal to the amount owed minus gas fees
       expect(actualDifference).to.equal(expectedDifference);
 
       // Confirm that the loan is now in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
-      expect(defaultedLoan.isDefaulted).to.equal(true);
+      expect(defaultedLoan.status).to.equal(LoanStatus.Defaulted);
     });
 
     it("Should not allow a lender to claim collateral from a loan that does not exist", async function () {
@@ -168,7 +197,7 @@ function runClaimCollateralTests() {
 
       // Attempt to have a lender claim collateral from a loan that has not been requested
       const loanId = 0;
-      expect(collateralizedLoanContract.connect(lender)
+      await expect(collateralizedLoanContract.connect(lender)
         .claimCollateral(loanId))
         .to.be.revertedWith("Loan does not exist");
     });
@@ -181,10 +210,11 @@ function runClaimCollateralTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -192,7 +222,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have the lender fund the loan
       const loanId = 0;
@@ -201,7 +231,7 @@ function runClaimCollateralTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
@@ -223,8 +253,7 @@ function runClaimCollateralTests() {
 
       // Confirm the loan is now in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
-      expect(defaultedLoan.isDefaulted).to.equal(true)
+      expect(defaultedLoan.status).to.equal(LoanStatus.Defaulted);
     });
 
     it("Should not allow a lender to claim collateral from a loan that has not yet been funded", async function () {
@@ -233,9 +262,11 @@ function runClaimCollateralTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -243,7 +274,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
@@ -252,17 +283,16 @@ function runClaimCollateralTests() {
       // Verify that the loan is not marked as being funded
       const loanId = 0;
       let loan = await lenderContract.loans(loanId);
-      expect(loan.isFunded).to.equal(false);
+      expect(loan.status).to.equal(LoanStatus.Requested);
 
       // Attempt to have a lender claim collateral from a loan that has not been funded
-      expect(lenderContract
+      await expect(lenderContract
         .claimCollateral(loanId))
         .to.be.revertedWith("Loan has not yet been funded");
 
       // Confirm that the loan is *not* in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
-      expect(defaultedLoan.isDefaulted).to.equal(false);
+      expect(defaultedLoan.status).to.equal(LoanStatus.Requested);
     });
 
     it("Should not allow a lender to claim collateral from a loan that was repaid in time", async function () {
@@ -271,10 +301,11 @@ function runClaimCollateralTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -282,7 +313,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have the lender fund the loan
       const loanId = 0;
@@ -291,32 +322,32 @@ function runClaimCollateralTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
 
       // Have the borrower repay the loan
       await lenderContract
         .connect(borrower)
-        .repayLoan(loanId, { value: repaymentAmount });
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount });
 
       // Confirm that the loan has been marked as repaid
       const repaidLoan = await lenderContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
       await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
 
       // Attempt to have the lender claim collateral from a loan that was was repaid on time
-      expect(lenderContract
+      await expect(lenderContract
         .claimCollateral(loanId))
         .to.be.revertedWith("Loan was repaid on time");
 
       // Confirm that the loan is *not* in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isDefaulted).to.equal(false);
+      expect(defaultedLoan.status).to.equal(LoanStatus.Repaid);
     });
 
     it("Should not allow a lender to claim collateral from an outstanding loan that has not yet expired", async function () {
@@ -325,10 +356,11 @@ function runClaimCollateralTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -336,7 +368,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have the lender fund the loan
       const loanId = 0;
@@ -345,17 +377,16 @@ function runClaimCollateralTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Attempt to have the lender claim collateral from an outstanding loan that has not yet expired
-      expect(lenderContract
+      await expect(lenderContract
         .claimCollateral(loanId))
         .to.be.revertedWith("Loan is not yet past due date");
 
       // Confirm that the loan is *not* in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
-      expect(defaultedLoan.isDefaulted).to.equal(false);
+      expect(defaultedLoan.status).to.equal(LoanStatus.Funded);
     });
 
     it("Should not allow a lender to claim collateral from a loan that the collateral has already been claimed from", async function () {
@@ -364,10 +395,11 @@ function runClaimCollateralTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -375,7 +407,7 @@ function runClaimCollateralTests() {
       // Have a borrower request a loan
       await lenderContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have the lender fund the loan
       const loanId = 0;
@@ -384,7 +416,7 @@ function runClaimCollateralTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
@@ -395,11 +427,10 @@ function runClaimCollateralTests() {
 
       // Confirm that the loan is now in default
       const defaultedLoan = await lenderContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
-      expect(defaultedLoan.isDefaulted).to.equal(false);
+      expect(defaultedLoan.status).to.equal(LoanStatus.Funded);
 
       // Attempt to have the lender claim the loan's collateral again
-      expect(lenderContract
+      await expect(lenderContract
         .claimCollateral(loanId))
         .to.be.revertedWith("Collateral has already been claimed");
     });
@@ -0,0 +1,238 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Amounts of ETH and of the mock stablecoin, which both have 18 decimals
+const ONE_ETH = ethers.parseEther("1");
+const ONE_USD = ethers.parseUnits("1", 18);
+
+// Prices reported by the mock ETH / USD feed, which has 8 decimals like Chainlink's USD feeds
+const FEED_DECIMALS = 8;
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers, and a friend of the borrower's
+  const [owner, borrower, lender, friend] = await ethers.getSigners();
+
+  // Deploy a mock stablecoin, mint some to everyone and let the contract spend it
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const token = await MockERC20.deploy("USD Coin", "USDC");
+  for (const account of [borrower, lender, friend]) {
+    await token.mint(account.address, ONE_USD * BigInt(10000));
+    await token.connect(account).approve(await collateralizedLoanContract.getAddress(), ONE_USD * BigInt(10000));
+  }
+
+  // Deploy a mock ETH / USD price feed at $2000
+  const MockAggregator = await ethers.getContractFactory("MockAggregator");
+  const priceFeed = await MockAggregator.deploy(FEED_DECIMALS, ethers.parseUnits("2000", FEED_DECIMALS));
+
+  return { collateralizedLoanContract, token, priceFeed, owner, borrower, lender, friend };
+}
+
+// Have the borrower request an interest-free loan of 1000 wei against 2000 wei for 60 seconds, and the lender fund it
+async function requestAndFundLoan(collateralizedLoanContract, borrower, lender) {
+  const collateralAmount = BigInt(2000);
+  const loanAmount = BigInt(1000);
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loanAmount, 0, 60, 60, { value: collateralAmount });
+  const loanId = 0;
+  await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+  return { loanId, collateralAmount, loanAmount };
+}
+
+function runCollateralManagementTests() {
+
+  // Test suite for adding collateral to and withdrawing it from funded loans
+  describe("Collateral Management", function () {
+    it("Should let the borrower or anyone else add collateral to a funded loan, all of which goes back to the borrower", async function () {
+      const { collateralizedLoanContract, borrower, lender, friend } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Check for emission of a CollateralAdded event when the borrower, then a friend, add collateral
+      await expect(collateralizedLoanContract.connect(borrower).addCollateral(loanId, 500, { value: 500 }))
+        .to.emit(collateralizedLoanContract, "CollateralAdded")
+        .withArgs(loanId, borrower.address, ethers.ZeroAddress, 500, collateralAmount + BigInt(500));
+      await expect(collateralizedLoanContract.connect(friend).addCollateral(loanId, 300, { value: 300 }))
+        .to.emit(collateralizedLoanContract, "CollateralAdded")
+        .withArgs(loanId, friend.address, ethers.ZeroAddress, 300, collateralAmount + BigInt(800));
+      expect((await collateralizedLoanContract.loans(loanId)).collateralAmount).to.equal(collateralAmount + BigInt(800));
+
+      // Have the borrower repay the loan, and verify that all of the collateral was credited back to them
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, loanAmount, { value: loanAmount });
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress))
+        .to.equal(loanAmount + collateralAmount + BigInt(800));
+      expect(await collateralizedLoanContract.pendingWithdrawals(friend.address, ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("Should take token collateral added to a funded loan by transfer", async function () {
+      const { collateralizedLoanContract, token, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request an ETH loan against tokens, and the lender fund it
+      const tokenAddress = await token.getAddress();
+      await collateralizedLoanContract.connect(borrower).depositTokenCollateralAndRequestLoan(tokenAddress, 2000, 1000, 0, 60, 60);
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: 1000 });
+
+      // Check that no ETH can be sent along with token collateral, then have the borrower add tokens
+      await expect(collateralizedLoanContract.connect(borrower).addCollateral(loanId, 500, { value: 500 }))
+        .to.be.revertedWith("Incorrect collateral amount");
+      await expect(collateralizedLoanContract.connect(borrower).addCollateral(loanId, 500))
+        .to.changeTokenBalances(token, [borrower, collateralizedLoanContract], [-500, 500]);
+      expect((await collateralizedLoanContract.loans(loanId)).collateralAmount).to.equal(2500);
+    });
+
+    it("Should not add collateral to a loan that is not active, or add nothing", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Attempt to add collateral to a loan that does not exist, and to a request that has not been funded
+      await expect(collateralizedLoanContract.connect(borrower).addCollateral(0, 500, { value: 500 }))
+        .to.be.revertedWith("Loan does not exist");
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(1000, 0, 60, 60, { value: 2000 });
+      await expect(collateralizedLoanContract.connect(borrower).addCollateral(0, 500, { value: 500 }))
+        .to.be.revertedWith("Loan is not active");
+
+      // Attempt to add no collateral, or send the wrong amount of ETH, once the loan is funded
+      await collateralizedLoanContract.connect(lender).fundLoan(0, { value: 1000 });
+      await expect(collateralizedLoanContract.connect(borrower).addCollateral(0, 0))
+        .to.be.revertedWith("Collateral amount must be greater than 0");
+      await expect(collateralizedLoanContract.connect(borrower).addCollateral(0, 500, { value: 400 }))
+        .to.be.revertedWith("Incorrect collateral amount");
+    });
+
+    it("Should let the borrower withdraw collateral down to the maximum loan-to-value ratio", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Check that at 80% loan-to-value, the 1000 wei owed needs at least 1250 wei of the 2000 wei of collateral
+      await expect(borrowerContract.withdrawCollateral(loanId, 751))
+        .to.be.revertedWith("Withdrawal would exceed the maximum loan-to-value ratio");
+      await expect(borrowerContract.withdrawCollateral(loanId, 750))
+        .to.emit(collateralizedLoanContract, "CollateralWithdrawn")
+        .withArgs(loanId, borrower.address, ethers.ZeroAddress, 750, 1250);
+
+      // Have the borrower repay half the loan, after which only 625 wei of collateral is needed
+      await borrowerContract.repayLoan(loanId, 500, { value: 500 });
+      await expect(borrowerContract.withdrawCollateral(loanId, 626))
+        .to.be.revertedWith("Withdrawal would exceed the maximum loan-to-value ratio");
+      await borrowerContract.withdrawCollateral(loanId, 625);
+      expect((await collateralizedLoanContract.loans(loanId)).collateralAmount).to.equal(625);
+
+      // Verify that the withdrawn collateral was credited to the borrower alongside the loan amount
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress))
+        .to.equal(loanAmount + BigInt(750) + BigInt(625));
+    });
+
+    it("Should value collateral in another asset with the loan's price feed when it is withdrawn", async function () {
+      const { collateralizedLoanContract, token, priceFeed, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the owner approve the feed for pricing ETH in the stablecoin
+      const tokenAddress = await token.getAddress();
+      await collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, tokenAddress, await priceFeed.getAddress(), true);
+
+      // Have the borrower request $1000 against 1 ETH (worth $2000) interest-free with a price feed, and another loan
+      // (at 0.01% a year, so that its terms differ) without one
+      const loanAmount = ONE_USD * BigInt(1000);
+      for (const loanId of [0, 1]) {
+        await collateralizedLoanContract
+          .connect(borrower)
+          .depositCollateralAndRequestTokenLoan(tokenAddress, loanAmount, loanId, 60, 60, { value: ONE_ETH });
+      }
+      await collateralizedLoanContract.connect(borrower).setLiquidationTerms(0, await priceFeed.getAddress(), 9000);
+      await collateralizedLoanContract.connect(lender).fundLoan(0);
+      await collateralizedLoanContract.connect(lender).fundLoan(1);
+
+      // Check that at 80% loan-to-value, the $1000 owed needs at least $1250 of ETH, i.e. 0.625 ETH
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+      await expect(borrowerContract.withdrawCollateral(0, ethers.parseEther("0.375") + BigInt(1)))
+        .to.be.revertedWith("Withdrawal would exceed the maximum loan-to-value ratio");
+      await expect(borrowerContract.withdrawCollateral(0, ethers.parseEther("0.375")))
+        .to.emit(collateralizedLoanContract, "CollateralWithdrawn")
+        .withArgs(0, borrower.address, ethers.ZeroAddress, ethers.parseEther("0.375"), ethers.parseEther("0.625"));
+
+      // Check that collateral cannot be withdrawn from the loan that has no price feed to value it with
+      await expect(borrowerContract.withdrawCollateral(1, 1))
+        .to.be.revertedWith("Loan has no approved price feed");
+    });
+
+    it("Should not release collateral in another asset on the price of a feed the owner no longer approves", async function () {
+      const { collateralizedLoanContract, token, priceFeed, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the owner approve the feed, and the borrower request $1000 against 1 ETH priced by it, which the lender funds
+      const tokenAddress = await token.getAddress();
+      const priceFeedAddress = await priceFeed.getAddress();
+      await collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, tokenAddress, priceFeedAddress, true);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(tokenAddress, ONE_USD * BigInt(1000), 0, 60, 60, { value: ONE_ETH });
+      await collateralizedLoanContract.connect(borrower).setLiquidationTerms(0, priceFeedAddress, 9000);
+      await collateralizedLoanContract.connect(lender).fundLoan(0);
+
+      // Have the owner revoke the feed, and the feed then report a manipulated price for ETH
+      await collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, tokenAddress, priceFeedAddress, false);
+      await priceFeed.setAnswer(ethers.parseUnits("1000000000", 8));
+
+      // Check that the borrower cannot take out nearly all of the collateral on the manipulated price
+      await expect(collateralizedLoanContract.connect(borrower).withdrawCollateral(0, ONE_ETH - BigInt(1)))
+        .to.be.revertedWith("Loan has no approved price feed");
+      expect((await collateralizedLoanContract.loans(0)).collateralAmount).to.equal(ONE_ETH);
+    });
+
+    it("Should not let anyone but the borrower withdraw collateral, or withdraw it from a loan that is past due or closed", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Attempt to withdraw collateral as the lender, and to withdraw none or all of it
+      await expect(collateralizedLoanContract.connect(lender).withdrawCollateral(loanId, 100))
+        .to.be.revertedWith("Only the borrower can withdraw collateral from this loan");
+      await expect(borrowerContract.withdrawCollateral(loanId, 0))
+        .to.be.revertedWith("Invalid collateral amount");
+      await expect(borrowerContract.withdrawCollateral(loanId, collateralAmount))
+        .to.be.revertedWith("Invalid collateral amount");
+
+      // Attempt to withdraw collateral once the loan is past due, and once the lender has claimed the collateral
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(dueDate + BigInt(1))]);
+      await expect(borrowerContract.withdrawCollateral(loanId, 100))
+        .to.be.revertedWith("Loan is past due");
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      await expect(borrowerContract.withdrawCollateral(loanId, 100))
+        .to.be.revertedWith("Loan is not active");
+    });
+  });
+}
+
+runCollateralManagementTests();
+
+// Export the tests for testing in the main test script
+module.exports = runCollateralManagementTests;
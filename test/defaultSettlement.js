@@ -0,0 +1,378 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Liquidation penalty the contract is deployed with in these tests
+const LIQUIDATION_PENALTY = BigInt(1000); // 10% of the debt, in basis points
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // no grace period or late fee after a loan's due date, and a liquidation penalty of 10%
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, LIQUIDATION_PENALTY, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender, buyer] = await ethers.getSigners();
+
+  // Deploy a mock stablecoin and mint some to everyone
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const token = await MockERC20.deploy("USD Coin", "USDC");
+  for (const account of [borrower, lender, buyer]) {
+    await token.mint(account.address, BigInt(100000));
+  }
+
+  return { collateralizedLoanContract, token, owner, borrower, lender, buyer };
+}
+
+// Have the borrower request an interest-free loan of 1000 tokens against 1000 wei, and the lender fund it
+async function requestAndFundTokenLoan(collateralizedLoanContract, token, borrower, lender) {
+  const duration = BigInt(60);
+  const collateralAmount = BigInt(1000);
+  const loanAmount = BigInt(1000);
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestTokenLoan(await token.getAddress(), loanAmount, 0, duration, 60, { value: collateralAmount });
+  const loanId = 0;
+  await token.connect(lender).approve(await collateralizedLoanContract.getAddress(), loanAmount);
+  await collateralizedLoanContract.connect(lender).fundLoan(loanId);
+  return { loanId, duration, collateralAmount, loanAmount };
+}
+
+// Have the next transaction mined at the given timestamp
+async function setNextBlockTimestamp(timestamp) {
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+}
+
+// Move the chain forward to the given timestamp
+async function increaseTimeTo(timestamp) {
+  await setNextBlockTimestamp(timestamp);
+  await ethers.provider.send("evm_mine");
+}
+
+function runDefaultSettlementTests() {
+
+  // Test suite for settling defaulted loans out of their collateral
+  describe("Default Settlement", function () {
+    it("Should pay the lender what they are owed plus the penalty out of collateral in the loan asset, and return the rest to the borrower", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request an interest-free loan of 1000 wei against 2000 wei, and the lender fund it
+      const collateralAmount = BigInt(2000);
+      const loanAmount = BigInt(1000);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, 0, 60, 60, { value: collateralAmount });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+
+      // Have the lender claim the collateral, checking for emission of a DefaultSettled event with the breakdown
+      const penalty = BigInt(100);
+      const surplus = collateralAmount - loanAmount - penalty;
+      await increaseTimeTo(dueDate + BigInt(1));
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "DefaultSettled")
+        .withArgs(loanId, borrower.address, ethers.ZeroAddress, loanAmount, penalty, loanAmount + penalty, surplus)
+        .and.not.to.emit(collateralizedLoanContract, "CollateralAuctionStarted");
+
+      // Verify that the lender was credited the debt and penalty, and the borrower the rest (on top of the loan amount)
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(loanAmount + penalty);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount + surplus);
+    });
+
+    it("Should give the lender all of the collateral when it is worth less than what they are owed", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request a loan of 800 wei against 1000 wei at 1000% a year, and the lender fund it
+      const collateralAmount = BigInt(1000);
+      const loanAmount = BigInt(800);
+      const interestRate = BigInt(100000);
+      const duration = BigInt(60 * 60 * 24 * 73); // A fifth of a year, over which the interest doubles the debt
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, 60, { value: collateralAmount });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+
+      // Have the lender claim the collateral once the debt exceeds it
+      await increaseTimeTo(dueDate + BigInt(1));
+      const tx = collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      await expect(tx)
+        .to.emit(collateralizedLoanContract, "DefaultSettled")
+        .withArgs(loanId, borrower.address, ethers.ZeroAddress, (debt) => debt > collateralAmount, anyValue, collateralAmount, 0);
+
+      // Verify that the lender was credited all of the collateral and the borrower none of it
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(collateralAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount);
+    });
+
+    it("Should auction collateral in another asset at a price that falls to what the lender is owed", async function () {
+      const { collateralizedLoanContract, token, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount } = await requestAndFundTokenLoan(collateralizedLoanContract, token, borrower, lender);
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      const auctionDuration = await collateralizedLoanContract.AUCTION_DURATION();
+
+      // Have the lender claim the collateral without a price feed, starting an auction at three times the debt plus penalty
+      const reservePrice = loanAmount + BigInt(100);
+      const startDate = dueDate + BigInt(1);
+      await setNextBlockTimestamp(startDate);
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralAuctionStarted")
+        .withArgs(loanId, ethers.ZeroAddress, collateralAmount, await token.getAddress(), reservePrice * BigInt(3), reservePrice, startDate + auctionDuration)
+        .and.not.to.emit(collateralizedLoanContract, "DefaultSettled");
+      expect(await collateralizedLoanContract.getLoanStatus(loanId)).to.equal(LoanStatus.Defaulted);
+
+      // Check the price at the start, halfway through and at the end of the auction
+      expect(await collateralizedLoanContract.getCollateralAuctionPrice(loanId)).to.equal(reservePrice * BigInt(3));
+      await increaseTimeTo(startDate + auctionDuration / BigInt(2));
+      expect(await collateralizedLoanContract.getCollateralAuctionPrice(loanId)).to.equal(reservePrice * BigInt(2));
+      await increaseTimeTo(startDate + auctionDuration);
+      expect(await collateralizedLoanContract.getCollateralAuctionPrice(loanId)).to.equal(reservePrice);
+    });
+
+    it("Should start the auction at the collateral's value according to the loan's approved price feed", async function () {
+      const { collateralizedLoanContract, token, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const tokenAddress = await token.getAddress();
+      const auctionDuration = await collateralizedLoanContract.AUCTION_DURATION();
+
+      // Deploy a price feed valuing 1 ETH at 5 tokens, and have the owner approve it for pricing ETH in the token
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const priceFeed = await MockAggregator.deploy(8, BigInt(5) * BigInt(10) ** BigInt(8));
+      const priceFeedAddress = await priceFeed.getAddress();
+      await collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, tokenAddress, priceFeedAddress, true);
+
+      // Have the borrower request an interest-free loan of 1000 tokens against 1000 wei priced by the feed, and the lender fund it
+      const collateralAmount = BigInt(1000);
+      const loanAmount = BigInt(1000);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(tokenAddress, loanAmount, 0, 60, 60, { value: collateralAmount });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, priceFeedAddress, 9000);
+      await token.connect(lender).approve(await collateralizedLoanContract.getAddress(), loanAmount);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId);
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+
+      // Have the lender claim the collateral, starting an auction at the collateral's value of 5000 tokens
+      const reservePrice = loanAmount + BigInt(100);
+      const collateralValue = BigInt(5000);
+      const startDate = dueDate + BigInt(1);
+      await setNextBlockTimestamp(startDate);
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralAuctionStarted")
+        .withArgs(loanId, ethers.ZeroAddress, collateralAmount, tokenAddress, collateralValue, reservePrice, startDate + auctionDuration);
+
+      // Check that the price falls from the collateral's value to the reserve price
+      expect(await collateralizedLoanContract.getCollateralAuctionPrice(loanId)).to.equal(collateralValue);
+      await increaseTimeTo(startDate + auctionDuration / BigInt(2));
+      expect(await collateralizedLoanContract.getCollateralAuctionPrice(loanId)).to.equal((collateralValue + reservePrice) / BigInt(2));
+      await increaseTimeTo(startDate + auctionDuration);
+      expect(await collateralizedLoanContract.getCollateralAuctionPrice(loanId)).to.equal(reservePrice);
+    });
+
+    it("Should start the auction at the owner's multiple of what the lender is owed when the loan's price feed is no longer approved", async function () {
+      const { collateralizedLoanContract, token, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const tokenAddress = await token.getAddress();
+      const auctionDuration = await collateralizedLoanContract.AUCTION_DURATION();
+
+      // Check that only the owner can set the multiple, and that it cannot be below 1, checking for emission of an AuctionStartMultipleSet event
+      await expect(collateralizedLoanContract.connect(borrower).setAuctionStartMultiple(2))
+        .to.be.revertedWithCustomError(collateralizedLoanContract, "OwnableUnauthorizedAccount")
+        .withArgs(borrower.address);
+      await expect(collateralizedLoanContract.connect(owner).setAuctionStartMultiple(0))
+        .to.be.revertedWith("Auction start multiple must be at least 1");
+      await expect(collateralizedLoanContract.connect(owner).setAuctionStartMultiple(2))
+        .to.emit(collateralizedLoanContract, "AuctionStartMultipleSet")
+        .withArgs(3, 2);
+      expect(await collateralizedLoanContract.auctionStartMultiple()).to.equal(2);
+
+      // Have the borrower request a loan priced by an approved feed, and the lender fund it
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const priceFeed = await MockAggregator.deploy(8, BigInt(5) * BigInt(10) ** BigInt(8));
+      const priceFeedAddress = await priceFeed.getAddress();
+      await collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, tokenAddress, priceFeedAddress, true);
+      const collateralAmount = BigInt(1000);
+      const loanAmount = BigInt(1000);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(tokenAddress, loanAmount, 0, 60, 60, { value: collateralAmount });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, priceFeedAddress, 9000);
+      await token.connect(lender).approve(await collateralizedLoanContract.getAddress(), loanAmount);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId);
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+
+      // Have the owner revoke the feed and the feed report a huge price, which the auction must not start from
+      await collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, tokenAddress, priceFeedAddress, false);
+      await priceFeed.setAnswer(BigInt(10) ** BigInt(30));
+
+      // Have the lender claim the collateral, starting an auction at twice the debt plus penalty
+      const reservePrice = loanAmount + BigInt(100);
+      const startDate = dueDate + BigInt(1);
+      await setNextBlockTimestamp(startDate);
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralAuctionStarted")
+        .withArgs(loanId, ethers.ZeroAddress, collateralAmount, tokenAddress, reservePrice * BigInt(2), reservePrice, startDate + auctionDuration);
+      expect(await collateralizedLoanContract.getCollateralAuctionPrice(loanId)).to.equal(reservePrice * BigInt(2));
+    });
+
+    it("Should let anyone buy auctioned collateral, paying the lender what they are owed and the borrower the rest", async function () {
+      const { collateralizedLoanContract, token, borrower, lender, buyer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount } = await requestAndFundTokenLoan(collateralizedLoanContract, token, borrower, lender);
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      const auctionDuration = await collateralizedLoanContract.AUCTION_DURATION();
+      const tokenAddress = await token.getAddress();
+
+      // Have the lender claim the collateral, and a buyer buy it halfway through the auction
+      const startDate = dueDate + BigInt(1);
+      await setNextBlockTimestamp(startDate);
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      const price = BigInt(2200);
+      await token.connect(buyer).approve(await collateralizedLoanContract.getAddress(), price);
+      await setNextBlockTimestamp(startDate + auctionDuration / BigInt(2));
+      await expect(collateralizedLoanContract.connect(buyer).buyCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralSold")
+        .withArgs(loanId, buyer.address, ethers.ZeroAddress, collateralAmount, tokenAddress, price)
+        .and.to.emit(collateralizedLoanContract, "DefaultSettled")
+        .withArgs(loanId, borrower.address, tokenAddress, loanAmount, 100, 1100, 1100);
+
+      // Verify that the buyer paid the price and was credited the collateral
+      expect(await token.balanceOf(buyer.address)).to.equal(BigInt(100000) - price);
+      expect(await collateralizedLoanContract.pendingWithdrawals(buyer.address, ethers.ZeroAddress)).to.equal(collateralAmount);
+
+      // Verify that the lender was credited the debt and penalty, and the borrower the rest of the price
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, tokenAddress)).to.equal(1100);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, tokenAddress)).to.equal(loanAmount + BigInt(1100));
+
+      // Check that the collateral cannot be bought or claimed again
+      await expect(collateralizedLoanContract.connect(buyer).buyCollateral(loanId))
+        .to.be.revertedWith("Collateral is not being auctioned");
+      await expect(collateralizedLoanContract.connect(lender).claimUnsoldCollateral(loanId))
+        .to.be.revertedWith("Collateral is not being auctioned");
+      await expect(collateralizedLoanContract.getCollateralAuctionPrice(loanId))
+        .to.be.revertedWith("Collateral is not being auctioned");
+    });
+
+    it("Should let the lender take the collateral once its auction ends without a buyer", async function () {
+      const { collateralizedLoanContract, token, owner, borrower, lender, buyer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount } = await requestAndFundTokenLoan(collateralizedLoanContract, token, borrower, lender);
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      const auctionDuration = await collateralizedLoanContract.AUCTION_DURATION();
+
+      // Have the lender claim the collateral, and check that it cannot be taken back before the auction ends
+      await token.connect(buyer).approve(await collateralizedLoanContract.getAddress(), loanAmount * BigInt(3));
+      const startDate = dueDate + BigInt(1);
+      await setNextBlockTimestamp(startDate);
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      await setNextBlockTimestamp(startDate + auctionDuration);
+      await expect(collateralizedLoanContract.connect(lender).claimUnsoldCollateral(loanId))
+        .to.be.revertedWith("Collateral auction has not yet ended");
+
+      // Check that nobody can buy the collateral once the auction has ended, or take it but the lender
+      await setNextBlockTimestamp(startDate + auctionDuration + BigInt(1));
+      await expect(collateralizedLoanContract.connect(buyer).buyCollateral(loanId))
+        .to.be.revertedWith("Collateral auction has ended");
+      await expect(collateralizedLoanContract.connect(owner).claimUnsoldCollateral(loanId))
+        .to.be.revertedWith("Only the lender can claim the collateral of this loan");
+
+      // Have the lender take the collateral itself
+      await expect(collateralizedLoanContract.connect(lender).claimUnsoldCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "DefaultSettled")
+        .withArgs(loanId, borrower.address, ethers.ZeroAddress, loanAmount, 100, collateralAmount, 0);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(collateralAmount);
+    });
+
+    it("Should take the protocol fee from the share of unsold collateral that stands for the penalty, but not the principal", async function () {
+      const { collateralizedLoanContract, token, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      await collateralizedLoanContract.connect(owner).setProtocolFeeRate(1000);
+      const { loanId, collateralAmount } = await requestAndFundTokenLoan(collateralizedLoanContract, token, borrower, lender);
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      const auctionDuration = await collateralizedLoanContract.AUCTION_DURATION();
+
+      // Have the lender claim the collateral, and take it once the auction ends without a buyer
+      const startDate = dueDate + BigInt(1);
+      await setNextBlockTimestamp(startDate);
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      await setNextBlockTimestamp(startDate + auctionDuration + BigInt(1));
+
+      // The lender is owed 1000 of principal and 100 of penalty, so 100/1100 of the collateral is subject to the 10% fee
+      const fee = (collateralAmount * BigInt(100) / BigInt(1100)) / BigInt(10);
+      await expect(collateralizedLoanContract.connect(lender).claimUnsoldCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "ProtocolFeeCharged")
+        .withArgs(loanId, ethers.ZeroAddress, fee);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(collateralAmount - fee);
+      expect(await collateralizedLoanContract.protocolFees(ethers.ZeroAddress)).to.equal(fee);
+    });
+
+    it("Should credit back any ETH a buyer sends beyond the price of auctioned collateral", async function () {
+      const { collateralizedLoanContract, token, borrower, lender, buyer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request an interest-free ETH loan of 1000 wei against 5000 tokens, and the lender fund it
+      const collateralAmount = BigInt(5000);
+      const loanAmount = BigInt(1000);
+      await token.connect(borrower).approve(await collateralizedLoanContract.getAddress(), collateralAmount);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(await token.getAddress(), collateralAmount, loanAmount, 0, 60, 60);
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+
+      // Have the lender claim the collateral, and check that a buyer must pay at least the current price
+      const startDate = dueDate + BigInt(1);
+      await setNextBlockTimestamp(startDate);
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      const price = BigInt(3300);
+      await setNextBlockTimestamp(startDate + BigInt(1));
+      await expect(collateralizedLoanContract.connect(buyer).buyCollateral(loanId, { value: price - BigInt(1) }))
+        .to.be.revertedWith("Incorrect payment amount");
+
+      // Have the buyer send more than the price, which is still the starting price a couple of seconds in
+      const payment = BigInt(4000);
+      await setNextBlockTimestamp(startDate + BigInt(2));
+      await expect(collateralizedLoanContract.connect(buyer).buyCollateral(loanId, { value: payment }))
+        .to.emit(collateralizedLoanContract, "CollateralSold")
+        .withArgs(loanId, buyer.address, await token.getAddress(), collateralAmount, ethers.ZeroAddress, price);
+
+      // Verify that the buyer was credited the excess ETH and the token collateral
+      expect(await collateralizedLoanContract.pendingWithdrawals(buyer.address, ethers.ZeroAddress)).to.equal(payment - price);
+      expect(await collateralizedLoanContract.pendingWithdrawals(buyer.address, await token.getAddress())).to.equal(collateralAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(1100);
+    });
+  });
+}
+
+runDefaultSettlementTests();
+
+// Export the tests for testing in the main test script
+module.exports = runDefaultSettlementTests;
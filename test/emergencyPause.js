@@ -0,0 +1,245 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner, consumers and a separate guardian
+  const [owner, borrower, lender, guardian] = await ethers.getSigners();
+
+  // Deploy a mock stablecoin, mint some to the borrower and lender, and let the contract spend it
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const token = await MockERC20.deploy("USD Coin", "USDC");
+  for (const account of [borrower, lender]) {
+    await token.mint(account.address, BigInt(1000));
+    await token.connect(account).approve(await collateralizedLoanContract.getAddress(), BigInt(1000));
+  }
+
+  // Appoint the guardian
+  await collateralizedLoanContract.connect(owner).setGuardian(guardian.address);
+
+  return { collateralizedLoanContract, token, owner, borrower, lender, guardian };
+}
+
+// Have the borrower request a loan of 2 wei against 3 wei, to be funded within a minute
+async function requestLoan(collateralizedLoanContract, borrower) {
+  await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(2, 0, 60, 60, { value: 3 });
+  return 0;
+}
+
+function runEmergencyPauseTests() {
+
+  // Test suite for the guardian's emergency pause
+  describe("Emergency Pause", function () {
+    it("Should let only the owner appoint the guardian", async function () {
+      const { collateralizedLoanContract, owner, borrower, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Verify that the fixture's guardian was appointed in place of the deployer
+      expect(await collateralizedLoanContract.guardian()).to.equal(guardian.address);
+
+      // Check that nobody but the owner can appoint a guardian, and that the guardian cannot be the zero address
+      await expect(collateralizedLoanContract.connect(guardian).setGuardian(borrower.address))
+        .to.be.revertedWithCustomError(collateralizedLoanContract, "OwnableUnauthorizedAccount")
+        .withArgs(guardian.address);
+      await expect(collateralizedLoanContract.connect(owner).setGuardian(ethers.ZeroAddress))
+        .to.be.revertedWith("Guardian cannot be the zero address");
+
+      // Check for emission of a GuardianSet event when the owner appoints a new guardian
+      await expect(collateralizedLoanContract.connect(owner).setGuardian(owner.address))
+        .to.emit(collateralizedLoanContract, "GuardianSet")
+        .withArgs(guardian.address, owner.address);
+    });
+
+    it("Should let only the guardian pause and unpause the contract", async function () {
+      const { collateralizedLoanContract, owner, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Check that nobody but the guardian, not even the owner, can pause the contract
+      await expect(collateralizedLoanContract.connect(owner).pause())
+        .to.be.revertedWith("Only the guardian can pause or unpause the contract");
+      await expect(collateralizedLoanContract.connect(guardian).unpause())
+        .to.be.revertedWith("Contract is not paused");
+
+      // Check for emission of a Paused event when the guardian pauses the contract
+      await expect(collateralizedLoanContract.connect(guardian).pause())
+        .to.emit(collateralizedLoanContract, "Paused")
+        .withArgs(guardian.address);
+      expect(await collateralizedLoanContract.paused()).to.equal(true);
+      await expect(collateralizedLoanContract.connect(guardian).pause())
+        .to.be.revertedWith("Contract is already paused");
+
+      // Check for emission of an Unpaused event when the guardian unpauses the contract
+      await expect(collateralizedLoanContract.connect(owner).unpause())
+        .to.be.revertedWith("Only the guardian can pause or unpause the contract");
+      await expect(collateralizedLoanContract.connect(guardian).unpause())
+        .to.emit(collateralizedLoanContract, "Unpaused")
+        .withArgs(guardian.address);
+      expect(await collateralizedLoanContract.paused()).to.equal(false);
+    });
+
+    it("Should block loan requests while paused, and allow them again once unpaused", async function () {
+      const { collateralizedLoanContract, token, borrower, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Save a contract instance with the borrower connected, and a function making each kind of request
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+      const tokenAddress = await token.getAddress();
+      const requests = [
+        () => borrowerContract.depositCollateralAndRequestLoan(2, 0, 60, 60, { value: 3 }),
+        () => borrowerContract.depositCollateralAndRequestInstallmentLoan(2, 0, 60, 60, 2, { value: 3 }),
+        () => borrowerContract.depositCollateralAndRequestTokenLoan(tokenAddress, 2, 0, 60, 60, { value: 3 }),
+        () => borrowerContract.depositTokenCollateralAndRequestLoan(tokenAddress, 3, 2, 0, 60, 60),
+      ];
+
+      // Check that no kind of request can be made while the contract is paused
+      await collateralizedLoanContract.connect(guardian).pause();
+      for (const request of requests) {
+        await expect(request()).to.be.revertedWith("Contract is paused");
+      }
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+
+      // Check that every kind of request can be made once it is unpaused
+      await collateralizedLoanContract.connect(guardian).unpause();
+      for (const request of requests) {
+        await expect(request()).to.emit(collateralizedLoanContract, "LoanRequested");
+      }
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(requests.length);
+    });
+
+    it("Should block funding while paused, and allow it again once unpaused", async function () {
+      const { collateralizedLoanContract, borrower, lender, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const loanId = await requestLoan(collateralizedLoanContract, borrower);
+      const lenderContract = collateralizedLoanContract.connect(lender);
+
+      // Check that the request cannot be funded, in full or in part, while the contract is paused
+      await collateralizedLoanContract.connect(guardian).pause();
+      await expect(lenderContract.fundLoan(loanId, { value: 2 }))
+        .to.be.revertedWith("Contract is paused");
+      await expect(lenderContract.fundLoanShare(loanId, 1, { value: 1 }))
+        .to.be.revertedWith("Contract is paused");
+
+      // Check that the request can be funded, in part and then in full, once it is unpaused
+      await collateralizedLoanContract.connect(guardian).unpause();
+      await expect(lenderContract.fundLoanShare(loanId, 1, { value: 1 }))
+        .to.emit(collateralizedLoanContract, "LoanShareFunded");
+      await expect(lenderContract.fundLoan(loanId, { value: 1 }))
+        .to.emit(collateralizedLoanContract, "LoanFunded");
+    });
+
+    it("Should block posting and accepting loan offers while paused, and allow them again once unpaused", async function () {
+      const { collateralizedLoanContract, borrower, lender, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the lender post an offer of 2 wei against at least 150% collateral, then pause the contract
+      const lenderContract = collateralizedLoanContract.connect(lender);
+      await lenderContract.createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 2, 0, 60, 15000, { value: 2 });
+      const offerId = 0;
+      await collateralizedLoanContract.connect(guardian).pause();
+
+      // Check that no offer can be posted or accepted while the contract is paused
+      await expect(lenderContract.createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 2, 0, 60, 15000, { value: 2 }))
+        .to.be.revertedWith("Contract is paused");
+      await expect(collateralizedLoanContract.connect(borrower).acceptLoanOffer(offerId, 3, { value: 3 }))
+        .to.be.revertedWith("Contract is paused");
+
+      // Check that offers can be posted and accepted once it is unpaused
+      await collateralizedLoanContract.connect(guardian).unpause();
+      await expect(lenderContract.createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 2, 0, 60, 15000, { value: 2 }))
+        .to.emit(collateralizedLoanContract, "LoanOfferCreated");
+      await expect(collateralizedLoanContract.connect(borrower).acceptLoanOffer(offerId, 3, { value: 3 }))
+        .to.emit(collateralizedLoanContract, "LoanOfferAccepted");
+    });
+
+    it("Should still let the borrower repay and withdraw their collateral while paused", async function () {
+      const { collateralizedLoanContract, borrower, lender, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const loanId = await requestLoan(collateralizedLoanContract, borrower);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: 2 });
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower repay the loan in two parts while the contract is paused
+      await collateralizedLoanContract.connect(guardian).pause();
+      await expect(borrowerContract.repayLoan(loanId, 1, { value: 1 }))
+        .to.emit(collateralizedLoanContract, "RepaymentMade");
+      await expect(borrowerContract.repayLoan(loanId, 1, { value: 1 }))
+        .to.emit(collateralizedLoanContract, "LoanRepaid");
+      expect(await collateralizedLoanContract.getLoanStatus(loanId)).to.equal(LoanStatus.Repaid);
+
+      // Verify that the borrower and the lender can withdraw what they are owed
+      await expect(borrowerContract.withdraw(ethers.ZeroAddress))
+        .to.changeEtherBalance(borrower, 5);
+      await expect(collateralizedLoanContract.connect(lender).withdraw(ethers.ZeroAddress))
+        .to.changeEtherBalance(lender, 2);
+    });
+
+    it("Should still let the borrower cancel an unfunded request and reclaim the collateral while paused", async function () {
+      const { collateralizedLoanContract, borrower, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const loanId = await requestLoan(collateralizedLoanContract, borrower);
+
+      // Have the borrower cancel the request while the contract is paused
+      await collateralizedLoanContract.connect(guardian).pause();
+      await expect(collateralizedLoanContract.connect(borrower).cancelLoanRequest(loanId))
+        .to.emit(collateralizedLoanContract, "LoanRequestCancelled");
+      await expect(collateralizedLoanContract.connect(borrower).withdraw(ethers.ZeroAddress))
+        .to.changeEtherBalance(borrower, 3);
+    });
+
+    it("Should still let lenders take back unused principal and claim collateral on default while paused", async function () {
+      const { collateralizedLoanContract, borrower, lender, guardian } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const lenderContract = collateralizedLoanContract.connect(lender);
+
+      // Have the lender fund part of a request and post an offer, and fund another request in full
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(4, 0, 60, 60, { value: 5 });
+      await lenderContract.fundLoanShare(0, 1, { value: 1 });
+      await lenderContract.createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 2, 0, 60, 15000, { value: 2 });
+      await requestLoan(collateralizedLoanContract, borrower);
+      await lenderContract.fundLoan(1, { value: 2 });
+
+      // Pause the contract, and let the request expire and the funded loan fall due
+      await collateralizedLoanContract.connect(guardian).pause();
+      await ethers.provider.send("evm_increaseTime", [120]);
+
+      // Have the lender reclaim their share, withdraw the offer and claim the collateral while the contract is paused
+      await expect(lenderContract.reclaimLoanShare(0))
+        .to.emit(collateralizedLoanContract, "LoanShareReclaimed");
+      await expect(lenderContract.withdrawLoanOffer(0))
+        .to.emit(collateralizedLoanContract, "LoanOfferWithdrawn");
+      await expect(lenderContract.claimCollateral(1))
+        .to.emit(collateralizedLoanContract, "CollateralClaimed");
+      await expect(lenderContract.withdraw(ethers.ZeroAddress))
+        .to.changeEtherBalance(lender, 1 + 2 + 2);
+    });
+  });
+}
+
+runEmergencyPauseTests();
+
+// Export the tests for testing in the main test script
+module.exports = runEmergencyPauseTests;
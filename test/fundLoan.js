@@ -1,13 +1,23 @@
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
 
 // Use a fixture to reduce code repetition
 async function deployCollateralizedLoanFixture() {
 
-  // Create and deploy a fresh CollateralizedLoan contract
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
   const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
-  const collateralizedLoanContract = await CollateralizedLoan.deploy();
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
 
   // Create contract owner and consumers
   const [owner, borrower, lender] = await ethers.getSigners();
@@ -25,15 +35,16 @@ function runFundLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -46,9 +57,7 @@ function runFundLoanTests() {
       expect(fundedLoan.collateralAmount).to.equal(collateralAmount);
       expect(fundedLoan.loanAmount).to.equal(loanAmount);
       expect(fundedLoan.interestRate).to.equal(interestRate);
-      expect(fundedLoan.isFunded).to.equal(true); // THIS SHOULD NOW BE TRUE
-      expect(fundedLoan.isRepaid).to.equal(false);
-      expect(fundedLoan.isDefaulted).to.equal(false);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded); // THIS SHOULD NOW BE FUNDED
     });
 
     it("Should emit a LoanFunded event upon a successful loan funding", async function () {
@@ -57,15 +66,20 @@ function runFundLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Work out the expected due date, counted from when the loan is funded
+      const block = await ethers.provider.getBlock("latest");
+      const dueDate = BigInt(block.timestamp) + duration;
 
       // Check for emission of a LoanFunded event when a lender funds the requested loan
       const loanId = 0;
@@ -73,50 +87,71 @@ function runFundLoanTests() {
         .connect(lender)
         .fundLoan(loanId, { value: loanAmount }))
         .to.emit(collateralizedLoanContract, "LoanFunded")
-        .withArgs(loanId);
+        .withArgs(
+          loanId,
+          borrower.address,
+          lender.address,
+          ethers.ZeroAddress,
+          loanAmount,
+          emittedDueDate => ((emittedDueDate - dueDate) <= BigInt(5)), // Allow 5 seconds of grace due to async operations
+          LoanStatus.Funded
+        );
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await collateralizedLoanContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
     });
 
-    it("Should add the loan amount to the borrower's address upon a successful loan funding", async function () {
+    it("Should credit the loan amount to the borrower for them to withdraw upon a successful loan funding", async function () {
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
-
-      // Get the borrower's wallet balance before the loan is funded
-      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
-      // Have a lender fund the loan
+      // Check for emission of a FundsCredited event when a lender funds the loan
       const loanId = 0;
-      await collateralizedLoanContract
+      await expect(collateralizedLoanContract
         .connect(lender)
-        .fundLoan(loanId, { value: loanAmount });
+        .fundLoan(loanId, { value: loanAmount }))
+        .to.emit(collateralizedLoanContract, "FundsCredited")
+        .withArgs(borrower.address, ethers.ZeroAddress, loanAmount);
 
-      // Verify that the loan is marked as being funded
+      // Verify that the loan is marked as being funded and the loan amount is waiting for the borrower
       const fundedLoan = await collateralizedLoanContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount);
+
+      // Get the borrower's wallet balance before they withdraw the loan amount
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+
+      // Have the borrower withdraw the loan amount
+      const withdrawTx = await collateralizedLoanContract
+        .connect(borrower)
+        .withdraw(ethers.ZeroAddress);
+
+      // Get the transaction receipt to determine gas costs
+      const receipt = await withdrawTx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
 
-      // Get the borrower's wallet balance after the loan is funded
+      // Get the borrower's wallet balance after they withdraw the loan amount
       const borrowerBalanceAfter = await ethers.provider.getBalance(borrower.address);
 
-      // Calculate the difference in the borrower's balance before and after the loan is funded
+      // Calculate the difference in the borrower's balance before and after the withdrawal
       const balanceDifference = borrowerBalanceAfter - borrowerBalanceBefore;
 
-      // Verify that the balance difference is equal to the loan amount
-      expect(balanceDifference).to.equal(loanAmount);
+      // Verify that the balance difference is equal to the loan amount minus gas fees
+      expect(balanceDifference).to.equal(loanAmount - gasCost);
     });
 
     it("Should subtract the loan amount (plus gas costs) from the lender's address upon a successful loan funding", async function () {
@@ -125,15 +160,16 @@ function runFundLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Get the lenders's wallet balance before the loan is funded
       const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
@@ -146,7 +182,7 @@ function runFundLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await collateralizedLoanContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Get the transaction receipt to determine gas costs
       const receipt = await fundTx.wait();
@@ -173,7 +209,7 @@ function runFundLoanTests() {
 
       // Attempt to have a lender fund a loan that has not been requested
       const loanId = 0;
-      expect(collateralizedLoanContract
+      await expect(collateralizedLoanContract
         .connect(lender)
         .fundLoan(loanId, { value: loanAmount }))
         .to.be.revertedWith("Loan does not exist");
@@ -185,15 +221,16 @@ function runFundLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Save a contract instance with the lender connected
       const lenderContract = collateralizedLoanContract.connect(lender);
@@ -205,16 +242,16 @@ function runFundLoanTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Attempt to fund the loan again
-      expect(lenderContract
+      await expect(lenderContract
         .fundLoan(loanId, { value: loanAmount }))
         .to.be.revertedWith(`Requested loan has already been funded by lender ${lender.address.toLowerCase()}`);
 
       // Confirm that attempting to fund the loan again did not inadvertently change its status
       fundedLoan = await lenderContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
     });
 
     it("Should not allow a lender to fund a loan with the incorrect funding amount", async function () {
@@ -223,15 +260,17 @@ function runFundLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const incorrectLoanAmount = BigInt(4);
+      const loanAmount = BigInt(2);
+      const incorrectLoanAmount = BigInt(3);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Attempt to have a lender fund the loan with the incorrect amount
       const loanId = 0;
@@ -242,39 +281,75 @@ function runFundLoanTests() {
 
       // Verify that the loan has not been marked as being funded
       const loan = await collateralizedLoanContract.loans(loanId);
-      expect(loan.isFunded).to.equal(false);
+      expect(loan.status).to.equal(LoanStatus.Requested);
     });
 
-    it("Should not allow a lender to fund a loan that has expired", async function () {
+    it("Should start the loan's term when it is funded rather than when it is requested", async function () {
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(3600);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
-      // Fast forward time past the loan's due date
+      // Fast forward time past the point where the loan would have been due, had it started when it was requested
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
       await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
 
+      // Have a lender fund the loan before its funding deadline
+      const loanId = 0;
+      const fundTx = await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Verify that the borrower gets the loan's full duration, counted from when it was funded
+      const receipt = await fundTx.wait();
+      const fundingBlock = await ethers.provider.getBlock(receipt.blockNumber);
+      const fundedLoan = await collateralizedLoanContract.loans(loanId);
+      expect(fundedLoan.startDate).to.equal(fundingBlock.timestamp);
+      expect(fundedLoan.dueDate).to.equal(BigInt(fundingBlock.timestamp) + duration);
+    });
+
+    it("Should not allow a lender to fund a loan request that has passed its funding deadline", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Have a borrower request a loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Fast forward time past the loan request's funding deadline
+      await ethers.provider.send("evm_increaseTime", [Number(fundingPeriod) + 100]); // Add 100 seconds to be sure
+      await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
+
       // Attempt to have a lender fund the loan
       const loanId = 0;
       await expect(collateralizedLoanContract
         .connect(lender)
         .fundLoan(loanId, { value: loanAmount }))
-        .to.be.revertedWith("Loan has expired");
+        .to.be.revertedWith("Loan request has expired");
 
       // Verify that the loan has not been marked as being funded
       const loan = await collateralizedLoanContract.loans(loanId);
-      expect(loan.isFunded).to.equal(false);
+      expect(loan.status).to.equal(LoanStatus.Requested);
     });
   });
 }
@@ -0,0 +1,220 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SECONDS_PER_DAY, calculateAmountOwed } = require("../utils/interest");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Grace period and late fee rate the contract is deployed with in these tests
+const GRACE_PERIOD = BigInt(3) * SECONDS_PER_DAY;
+const LATE_FEE_RATE = BigInt(100); // 1% of the outstanding principal per day, in basis points
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and a three-day grace period after a loan's due date with a late fee of 1% a day, but no liquidation penalty
+  const maxLoanToValue = BigInt(80);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, GRACE_PERIOD, LATE_FEE_RATE, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender };
+}
+
+// Request and fund an interest-free loan of 1000 wei, so that the late fee is exactly 10 wei a day
+async function requestAndFundLoan(collateralizedLoanContract, borrower, lender) {
+  const interestRate = BigInt(0);
+  const duration = BigInt(60);
+  const fundingPeriod = BigInt(60);
+  const collateralAmount = BigInt(2000);
+  const loanAmount = BigInt(1000);
+
+  // Have the borrower request a loan and a lender fund it
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+  const loanId = 0;
+  await collateralizedLoanContract
+    .connect(lender)
+    .fundLoan(loanId, { value: loanAmount });
+
+  const { dueDate } = await collateralizedLoanContract.loans(loanId);
+  return { loanId, collateralAmount, loanAmount, dueDate, dailyLateFee: BigInt(10) };
+}
+
+// Have the next transaction mined at the given timestamp
+async function setNextBlockTimestamp(timestamp) {
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+}
+
+// Move the chain forward to the given timestamp
+async function increaseTimeTo(timestamp) {
+  await setNextBlockTimestamp(timestamp);
+  await ethers.provider.send("evm_mine");
+}
+
+function runGracePeriodTests() {
+
+  // Test suite for the grace period and late fees after a loan's due date
+  describe("Grace Period and Late Fees", function () {
+    it("Should let the borrower repay during the grace period with a late fee that goes to the lender", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate, dailyLateFee } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower repay one second after the due date, which counts as one day late
+      const repaymentAmount = loanAmount + dailyLateFee;
+      await setNextBlockTimestamp(dueDate + BigInt(1));
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
+        .to.emit(collateralizedLoanContract, "LateFeeCharged")
+        .withArgs(loanId, borrower.address, dailyLateFee, 1)
+        .and.to.emit(collateralizedLoanContract, "LoanRepaid")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, repaymentAmount, LoanStatus.Repaid);
+
+      // Verify that the lender was credited the principal plus the late fee
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(repaymentAmount);
+    });
+
+    it("Should not charge a late fee for a repayment made on the due date", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower repay the principal alone, exactly on the due date
+      await setNextBlockTimestamp(dueDate);
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, loanAmount, { value: loanAmount }))
+        .to.emit(collateralizedLoanContract, "LoanRepaid")
+        .and.not.to.emit(collateralizedLoanContract, "LateFeeCharged");
+    });
+
+    it("Should charge the late fee for each started day after the due date", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate, dailyLateFee } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Check the amount owed at the end of the first day late and at the start of the second
+      await increaseTimeTo(dueDate + SECONDS_PER_DAY);
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(loanAmount + dailyLateFee);
+      await increaseTimeTo(dueDate + SECONDS_PER_DAY + BigInt(1));
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(loanAmount + dailyLateFee * BigInt(2));
+
+      // Verify that the off-chain calculation agrees with the contract
+      const timestamp = dueDate + SECONDS_PER_DAY + BigInt(1);
+      expect(calculateAmountOwed(await collateralizedLoanContract.loans(loanId), timestamp, LATE_FEE_RATE))
+        .to.equal(loanAmount + dailyLateFee * BigInt(2));
+    });
+
+    it("Should apply payments during the grace period to the late fee first, charging later days on the remaining principal", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate, dailyLateFee } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower pay the first day's late fee and half of the principal on the first day late
+      const firstPayment = dailyLateFee + loanAmount / BigInt(2);
+      await setNextBlockTimestamp(dueDate + BigInt(1));
+      await collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, firstPayment, { value: firstPayment });
+      let loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.lateFeesOwed).to.equal(0);
+      expect(loan.outstandingPrincipal).to.equal(loanAmount / BigInt(2));
+
+      // Have the borrower pay off the rest on the second day late, when the fee is charged on half the principal
+      const secondDayLateFee = dailyLateFee / BigInt(2);
+      const finalPayment = loanAmount / BigInt(2) + secondDayLateFee;
+      await setNextBlockTimestamp(dueDate + SECONDS_PER_DAY + BigInt(1));
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, finalPayment, { value: finalPayment }))
+        .to.emit(collateralizedLoanContract, "LateFeeCharged")
+        .withArgs(loanId, borrower.address, secondDayLateFee, 2);
+      loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Repaid);
+    });
+
+    it("Should let the borrower repay up to the last second of the grace period but not after", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate, dailyLateFee } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower make a partial repayment in the last second of the grace period
+      const repaymentAmount = BigInt(3) * dailyLateFee;
+      await setNextBlockTimestamp(dueDate + GRACE_PERIOD);
+      await borrowerContract.repayLoan(loanId, repaymentAmount, { value: repaymentAmount });
+
+      // Check that the borrower cannot repay once the grace period is over
+      await setNextBlockTimestamp(dueDate + GRACE_PERIOD + BigInt(1));
+      await expect(borrowerContract.repayLoan(loanId, loanAmount, { value: loanAmount }))
+        .to.be.revertedWith("Loan has expired and cannot be repaid");
+    });
+
+    it("Should only let the lender claim the collateral once the grace period is over", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, dueDate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const lenderContract = collateralizedLoanContract.connect(lender);
+
+      // Check that the lender cannot claim the collateral just after the due date, or in the last second of the grace period
+      await setNextBlockTimestamp(dueDate + BigInt(1));
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.be.revertedWith("Loan is not yet past due date");
+      await setNextBlockTimestamp(dueDate + GRACE_PERIOD);
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.be.revertedWith("Loan is not yet past due date");
+
+      // Have the lender claim the collateral as soon as the grace period is over
+      await setNextBlockTimestamp(dueDate + GRACE_PERIOD + BigInt(1));
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.emit(lenderContract, "CollateralClaimed")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, collateralAmount, LoanStatus.Defaulted);
+    });
+
+    it("Should give each installment of an installment loan the same grace period", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request a loan repaid in two installments over eight days, and a lender fund it
+      const duration = BigInt(8) * SECONDS_PER_DAY;
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestInstallmentLoan(1000, 0, duration, 60, 2, { value: 2000 });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: 1000 });
+      const firstDueDate = await collateralizedLoanContract.getInstallmentDueDate(loanId, 1);
+
+      // Verify that the first installment does not count as missed until its grace period is over
+      await increaseTimeTo(firstDueDate + GRACE_PERIOD);
+      expect(await collateralizedLoanContract.isInstallmentMissed(loanId)).to.equal(false);
+      await increaseTimeTo(firstDueDate + GRACE_PERIOD + BigInt(1));
+      expect(await collateralizedLoanContract.isInstallmentMissed(loanId)).to.equal(true);
+
+      // Have the lender claim the collateral before the loan's final due date
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      expect(await collateralizedLoanContract.getLoanStatus(loanId)).to.equal(LoanStatus.Defaulted);
+    });
+  });
+}
+
+runGracePeriodTests();
+
+// Export the tests for testing in the main test script
+module.exports = runGracePeriodTests;
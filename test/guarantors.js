@@ -0,0 +1,217 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+const { calculateAmountOwed } = require("../utils/interest");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner, consumers and a guarantor
+  const [owner, borrower, lender, guarantor] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender, guarantor };
+}
+
+// Have the borrower request a loan of 2 ETH against 3 ETH at 5% a year for 60 seconds, naming the guarantor
+async function requestGuaranteedLoan(collateralizedLoanContract, borrower, guarantor) {
+  const collateralAmount = ethers.parseEther("3");
+  const loanAmount = ethers.parseEther("2");
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loanAmount, 500, 60, 60, { value: collateralAmount });
+  const loanId = 0;
+  await collateralizedLoanContract.connect(borrower).setGuarantor(loanId, guarantor.address);
+  return { loanId, collateralAmount, loanAmount };
+}
+
+// Move the chain forward past a loan's due date
+async function passDueDate(collateralizedLoanContract, loanId) {
+  const { dueDate } = await collateralizedLoanContract.loans(loanId);
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(dueDate + BigInt(1))]);
+  await ethers.provider.send("evm_mine");
+}
+
+function runGuarantorTests() {
+
+  // Test suite for borrower-designated guarantors
+  describe("Guarantors", function () {
+    it("Should let the borrower name a guarantor before the loan request is funded", async function () {
+      const { collateralizedLoanContract, borrower, lender, guarantor } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(2, 500, 60, 60, { value: 3 });
+      const loanId = 0;
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Check that nobody but the borrower can name a guarantor, and that the guarantor must be someone else
+      await expect(collateralizedLoanContract.connect(guarantor).setGuarantor(loanId, guarantor.address))
+        .to.be.revertedWith("Only the borrower can name the guarantor of this loan");
+      await expect(borrowerContract.setGuarantor(loanId, ethers.ZeroAddress))
+        .to.be.revertedWith("Guarantor cannot be the zero address");
+      await expect(borrowerContract.setGuarantor(loanId, borrower.address))
+        .to.be.revertedWith("Borrower cannot guarantee their own loan");
+
+      // Check for emission of a GuarantorSet event when the borrower names the guarantor
+      await expect(borrowerContract.setGuarantor(loanId, guarantor.address))
+        .to.emit(collateralizedLoanContract, "GuarantorSet")
+        .withArgs(loanId, borrower.address, guarantor.address);
+      expect((await collateralizedLoanContract.guarantees(loanId)).guarantor).to.equal(guarantor.address);
+
+      // Check that the guarantor cannot be replaced once named, even before any lender has paid in
+      await expect(borrowerContract.setGuarantor(loanId, lender.address))
+        .to.be.revertedWith("Guarantor has already been named");
+
+      // Check that the guarantor cannot be changed once a lender has paid in
+      await collateralizedLoanContract.connect(lender).fundLoanShare(loanId, 1, { value: 1 });
+      await expect(borrowerContract.setGuarantor(loanId, lender.address))
+        .to.be.revertedWith("Loan request has already been partly funded");
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: 1 });
+      await expect(borrowerContract.setGuarantor(loanId, lender.address))
+        .to.be.revertedWith(`Requested loan has already been funded by lender ${lender.address.toLowerCase()}`);
+    });
+
+    it("Should make the lender call on the guarantor and wait out the guarantee period before claiming the collateral", async function () {
+      const { collateralizedLoanContract, borrower, lender, guarantor } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount } = await requestGuaranteedLoan(collateralizedLoanContract, borrower, guarantor);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: ethers.parseEther("2") });
+      const lenderContract = collateralizedLoanContract.connect(lender);
+
+      // Check that the guarantor cannot be called on before the loan is past due
+      await expect(lenderContract.callGuarantor(loanId))
+        .to.be.revertedWith("Loan is not yet past due date");
+
+      // Check that, once the loan is past due, the collateral cannot be claimed before the guarantor is called on
+      await passDueDate(collateralizedLoanContract, loanId);
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.be.revertedWith("Guarantor has not yet been called on");
+      await expect(collateralizedLoanContract.connect(guarantor).callGuarantor(loanId))
+        .to.be.revertedWith("Only the lender can call on the guarantor of this loan");
+
+      // Check for emission of a GuarantorCalled event when the lender calls on the guarantor
+      const guaranteePeriod = await collateralizedLoanContract.GUARANTEE_PERIOD();
+      const callDate = BigInt((await ethers.provider.getBlock("latest")).timestamp + 1);
+      const amountOwed = calculateAmountOwed(await collateralizedLoanContract.loans(loanId), callDate);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(callDate)]);
+      await expect(lenderContract.callGuarantor(loanId))
+        .to.emit(collateralizedLoanContract, "GuarantorCalled")
+        .withArgs(loanId, guarantor.address, lender.address, amountOwed, callDate + guaranteePeriod);
+      await expect(lenderContract.callGuarantor(loanId))
+        .to.be.revertedWith("Guarantor has already been called on");
+
+      // Check that the collateral cannot be claimed until the guarantee period is over
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(callDate + guaranteePeriod)]);
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.be.revertedWith("Guarantor still has time to cover the loan");
+
+      // Check that the loan can no longer be repaid once the guarantee period is over, but the collateral can be claimed
+      await expect(collateralizedLoanContract.connect(guarantor).repayLoan(loanId, 1, { value: 1 }))
+        .to.be.revertedWith("Loan has expired and cannot be repaid");
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralClaimed")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, collateralAmount, LoanStatus.Defaulted);
+    });
+
+    it("Should let the guarantor cover a defaulted loan once called on, returning the collateral to the borrower", async function () {
+      const { collateralizedLoanContract, borrower, lender, guarantor } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount } = await requestGuaranteedLoan(collateralizedLoanContract, borrower, guarantor);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+
+      // Have the lender call on the guarantor once the loan is past due
+      await passDueDate(collateralizedLoanContract, loanId);
+      await collateralizedLoanContract.connect(lender).callGuarantor(loanId);
+
+      // Have the guarantor repay the loan in full
+      const repaymentDate = BigInt((await ethers.provider.getBlock("latest")).timestamp + 1);
+      const amountOwed = calculateAmountOwed(await collateralizedLoanContract.loans(loanId), repaymentDate);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(repaymentDate)]);
+      await expect(collateralizedLoanContract.connect(guarantor).repayLoan(loanId, amountOwed, { value: amountOwed }))
+        .to.emit(collateralizedLoanContract, "LoanRepaid");
+      expect(await collateralizedLoanContract.getLoanStatus(loanId)).to.equal(LoanStatus.Repaid);
+
+      // Verify that the lender was credited the repayment and the borrower the collateral
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(amountOwed);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount + collateralAmount);
+
+      // Check that the collateral can no longer be claimed
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.be.revertedWith("Loan was repaid on time");
+    });
+
+    it("Should let a call on the guarantor lapse once the borrower catches up on a missed installment", async function () {
+      const { collateralizedLoanContract, borrower, lender, guarantor } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request an interest-free loan of 2 ETH against 3 ETH in two installments of 1 ETH, due
+      // every 100 seconds, naming the guarantor, and the lender fund it
+      const loanAmount = ethers.parseEther("2");
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestInstallmentLoan(loanAmount, 0, 200, 60, 2, { value: ethers.parseEther("3") });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(borrower).setGuarantor(loanId, guarantor.address);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+      const lenderContract = collateralizedLoanContract.connect(lender);
+
+      // Have the lender call on the guarantor once the first installment is missed, and the borrower then catch up
+      const firstInstallmentDueDate = await collateralizedLoanContract.getInstallmentDueDate(loanId, 1);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(firstInstallmentDueDate + BigInt(1))]);
+      await lenderContract.callGuarantor(loanId);
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, ethers.parseEther("1"), { value: ethers.parseEther("1") });
+      expect((await collateralizedLoanContract.guarantees(loanId)).calledAt).to.equal(0);
+
+      // Check that once the loan defaults on its final installment, well after the first call's guarantee period, the
+      // lender cannot claim the collateral without calling on the guarantor again
+      const guaranteePeriod = await collateralizedLoanContract.GUARANTEE_PERIOD();
+      await ethers.provider.send("evm_increaseTime", [Number(guaranteePeriod)]);
+      await ethers.provider.send("evm_mine");
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.be.revertedWith("Guarantor has not yet been called on");
+
+      // Have the lender call on the guarantor again, giving them a fresh guarantee period
+      await expect(lenderContract.callGuarantor(loanId))
+        .to.emit(collateralizedLoanContract, "GuarantorCalled");
+      await expect(lenderContract.claimCollateral(loanId))
+        .to.be.revertedWith("Guarantor still has time to cover the loan");
+    });
+
+    it("Should not let the lender call on a guarantor the borrower did not name", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(2, 500, 60, 60, { value: 3 });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: 2 });
+      await passDueDate(collateralizedLoanContract, loanId);
+
+      // Check that there is no guarantor to call on, and that the collateral can be claimed straight away
+      await expect(collateralizedLoanContract.connect(lender).callGuarantor(loanId))
+        .to.be.revertedWith("Loan has no guarantor");
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralClaimed");
+    });
+  });
+}
+
+runGuarantorTests();
+
+// Export the tests for testing in the main test script
+module.exports = runGuarantorTests;
@@ -0,0 +1,167 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SECONDS_PER_YEAR, calculateAmountOwed } = require("../utils/interest");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender };
+}
+
+// Mine a block at the given timestamp, so that views are evaluated at exactly that time
+async function mineBlockAt(timestamp) {
+  await ethers.provider.send("evm_mine", [Number(timestamp)]);
+}
+
+function runInterestAccrualTests() {
+
+  // Test suite for the accrual of interest over time
+  describe("Interest Accrual", function () {
+    it("Should accrue a year's interest at the annual rate, starting from the moment the loan is funded", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(1000); // 10% a year, in basis points
+      const duration = SECONDS_PER_YEAR * BigInt(2);
+      const fundingPeriod = BigInt(3600);
+      const collateralAmount = ethers.parseEther("2");
+      const loanAmount = ethers.parseEther("1");
+
+      // Have a borrower request a loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Let some time pass before the loan is funded
+      await ethers.provider.send("evm_increaseTime", [1000]);
+
+      // Have a lender fund the loan
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Verify that no interest has accrued yet
+      const fundedLoan = await collateralizedLoanContract.loans(loanId);
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(loanAmount);
+
+      // Fast forward exactly one year from funding and verify that 10% interest has accrued
+      await mineBlockAt(fundedLoan.lastAccrualDate + SECONDS_PER_YEAR);
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(ethers.parseEther("1.1"));
+    });
+
+    it("Should not charge interest on a loan that has not been funded", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(1000); // 10% a year, in basis points
+      const duration = SECONDS_PER_YEAR;
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Have a borrower request a loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Fast forward time and verify that nothing is owed
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine");
+      const loanId = 0;
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(0);
+    });
+
+    it("Should round interest up so that even the smallest loans pay interest", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(1); // 0.01% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Have a borrower request a loan and a lender fund it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Fast forward a single second and verify that a wei of interest is owed
+      const fundedLoan = await collateralizedLoanContract.loans(loanId);
+      await mineBlockAt(fundedLoan.lastAccrualDate + BigInt(1));
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(loanAmount + BigInt(1));
+    });
+
+    it("Should calculate the same amount owed off-chain as on-chain", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(725); // 7.25% a year, in basis points
+      const duration = SECONDS_PER_YEAR;
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = ethers.parseEther("10");
+      const loanAmount = ethers.parseEther("7.5");
+
+      // Have a borrower request a loan and a lender fund it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Have the borrower make a partial repayment partway through the loan
+      let loan = await collateralizedLoanContract.loans(loanId);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(loan.lastAccrualDate + BigInt(12345))]);
+      const partialPayment = ethers.parseEther("1");
+      await collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, partialPayment, { value: partialPayment });
+
+      // Compare the on-chain and off-chain amounts owed at several points in time
+      loan = await collateralizedLoanContract.loans(loanId);
+      for (const elapsed of [1, 777, 86400, 1234567]) {
+        const timestamp = loan.lastAccrualDate + BigInt(elapsed);
+        await mineBlockAt(timestamp);
+        expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(calculateAmountOwed(loan, timestamp));
+      }
+    });
+  });
+}
+
+// Run the tests from just this file
+runInterestAccrualTests();
+
+// Export the tests for testing in the main test script
+module.exports = runInterestAccrualTests;
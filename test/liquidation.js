@@ -0,0 +1,337 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { calculateAmountOwed } = require("../utils/interest");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Amounts of ETH and of the mock stablecoin, which both have 18 decimals
+const ONE_ETH = ethers.parseEther("1");
+const ONE_USD = ethers.parseUnits("1", 18);
+
+// Prices reported by the mock ETH / USD feed, which has 8 decimals like Chainlink's USD feeds
+const FEED_DECIMALS = 8;
+function usdPrice(dollars) {
+  return ethers.parseUnits(dollars.toString(), FEED_DECIMALS);
+}
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender, liquidator] = await ethers.getSigners();
+
+  // Deploy a mock stablecoin to denominate loans in, and mint some to the lender and the liquidator
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const loanToken = await MockERC20.deploy("USD Coin", "USDC");
+  await loanToken.mint(lender.address, ONE_USD * BigInt(10000));
+  await loanToken.mint(liquidator.address, ONE_USD * BigInt(10000));
+
+  // Deploy a mock ETH / USD price feed, starting at $2000
+  const MockAggregator = await ethers.getContractFactory("MockAggregator");
+  const priceFeed = await MockAggregator.deploy(FEED_DECIMALS, usdPrice(2000));
+
+  // Have the owner approve the feed for pricing ETH collateral in the stablecoin
+  await collateralizedLoanContract
+    .connect(owner)
+    .setPriceFeedApproval(ethers.ZeroAddress, await loanToken.getAddress(), await priceFeed.getAddress(), true);
+
+  return { collateralizedLoanContract, loanToken, priceFeed, owner, borrower, lender, liquidator };
+}
+
+// Have the borrower request a loan of $1500 against 1 ETH, liquidatable once the debt exceeds 80% of the collateral's value,
+// and have the lender fund it
+async function requestAndFundLoan(collateralizedLoanContract, loanToken, priceFeed, borrower, lender, interestRate = BigInt(0)) {
+  const duration = BigInt(60 * 60 * 24 * 30);
+  const fundingPeriod = BigInt(60);
+  const collateralAmount = ONE_ETH;
+  const loanAmount = ONE_USD * BigInt(1500);
+  const liquidationThreshold = BigInt(8000);
+
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestTokenLoan(await loanToken.getAddress(), loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+  const loanId = 0;
+  await collateralizedLoanContract
+    .connect(borrower)
+    .setLiquidationTerms(loanId, await priceFeed.getAddress(), liquidationThreshold);
+  await loanToken.connect(lender).approve(await collateralizedLoanContract.getAddress(), loanAmount);
+  await collateralizedLoanContract.connect(lender).fundLoan(loanId);
+
+  return { loanId, collateralAmount, loanAmount, liquidationThreshold };
+}
+
+function runLiquidationTests() {
+
+  // Test suite for liquidating undercollateralized loans against a price feed
+  describe("Price-Oracle-Driven Liquidation", function () {
+    it("Should let the borrower set a loan request's liquidation terms before it is funded", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const priceFeedAddress = await priceFeed.getAddress();
+
+      // Have the borrower request a loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(await loanToken.getAddress(), ONE_USD * BigInt(1500), 0, 60, 60, { value: ONE_ETH });
+      const loanId = 0;
+
+      // Check that only the borrower can set the terms, to an approved price feed and a threshold of at most 100%
+      await expect(collateralizedLoanContract.connect(lender).setLiquidationTerms(loanId, priceFeedAddress, 8000))
+        .to.be.revertedWith("Only the borrower can set the liquidation terms of this loan");
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, ethers.ZeroAddress, 8000))
+        .to.be.revertedWith("Price feed is not approved for this loan's assets");
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, priceFeedAddress, 0))
+        .to.be.revertedWith("Liquidation threshold must be between 0 and 100%");
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, priceFeedAddress, 10001))
+        .to.be.revertedWith("Liquidation threshold must be between 0 and 100%");
+
+      // Have the borrower set the terms, checking for emission of a LiquidationTermsSet event
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, priceFeedAddress, 8000))
+        .to.emit(collateralizedLoanContract, "LiquidationTermsSet")
+        .withArgs(loanId, borrower.address, priceFeedAddress, 8000);
+      const terms = await collateralizedLoanContract.liquidationTerms(loanId);
+      expect(terms.priceFeed).to.equal(priceFeedAddress);
+      expect(terms.liquidationThreshold).to.equal(8000);
+
+      // Check that the terms cannot be changed once set, even before any lender has funded the loan
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, priceFeedAddress, 9000))
+        .to.be.revertedWith("Liquidation terms have already been set");
+
+      // Check that the terms cannot be changed once a lender has funded part of the loan either
+      await loanToken.connect(lender).approve(await collateralizedLoanContract.getAddress(), ONE_USD * BigInt(150));
+      await collateralizedLoanContract.connect(lender).fundLoanShare(loanId, ONE_USD * BigInt(150));
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, priceFeedAddress, 9000))
+        .to.be.revertedWith("Loan request has already been partly funded");
+    });
+
+    it("Should only let the borrower pick a price feed the owner approved for the loan's assets", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, owner, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const loanTokenAddress = await loanToken.getAddress();
+      const priceFeedAddress = await priceFeed.getAddress();
+
+      // Have the borrower deploy a feed of their own, and request a loan of the stablecoin and a loan of ETH against ETH
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const borrowerFeed = await MockAggregator.connect(borrower).deploy(FEED_DECIMALS, usdPrice(1000000));
+      const borrowerFeedAddress = await borrowerFeed.getAddress();
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(loanTokenAddress, ONE_USD * BigInt(1500), 0, 60, 60, { value: ONE_ETH });
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(1, 0, 60, 60, { value: 2 });
+
+      // Check that the borrower can neither use their own feed, nor the approved ETH / USD feed for a loan of ETH
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(0, borrowerFeedAddress, 8000))
+        .to.be.revertedWith("Price feed is not approved for this loan's assets");
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(1, priceFeedAddress, 8000))
+        .to.be.revertedWith("Price feed is not approved for this loan's assets");
+
+      // Check that only the owner can approve feeds, checking for emission of a PriceFeedApprovalSet event
+      await expect(collateralizedLoanContract.connect(borrower).setPriceFeedApproval(ethers.ZeroAddress, loanTokenAddress, borrowerFeedAddress, true))
+        .to.be.revertedWithCustomError(collateralizedLoanContract, "OwnableUnauthorizedAccount")
+        .withArgs(borrower.address);
+      await expect(collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, loanTokenAddress, ethers.ZeroAddress, true))
+        .to.be.revertedWith("Price feed cannot be the zero address");
+      await expect(collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, loanTokenAddress, priceFeedAddress, false))
+        .to.emit(collateralizedLoanContract, "PriceFeedApprovalSet")
+        .withArgs(ethers.ZeroAddress, loanTokenAddress, priceFeedAddress, false);
+      expect(await collateralizedLoanContract.approvedPriceFeeds(ethers.ZeroAddress, loanTokenAddress, priceFeedAddress)).to.equal(false);
+
+      // Check that the feed can no longer be picked once its approval is withdrawn, until the owner approves it again
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(0, priceFeedAddress, 8000))
+        .to.be.revertedWith("Price feed is not approved for this loan's assets");
+      await collateralizedLoanContract.connect(owner).setPriceFeedApproval(ethers.ZeroAddress, loanTokenAddress, priceFeedAddress, true);
+      await expect(collateralizedLoanContract.connect(borrower).setLiquidationTerms(0, priceFeedAddress, 8000))
+        .to.emit(collateralizedLoanContract, "LiquidationTermsSet");
+    });
+
+    it("Should report a loan's health factor from the latest collateral price", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId } = await requestAndFundLoan(collateralizedLoanContract, loanToken, priceFeed, borrower, lender);
+
+      // At $2000, 80% of the collateral's value is $1600 against a $1500 debt
+      expect(await collateralizedLoanContract.getHealthFactor(loanId))
+        .to.equal(ethers.parseEther("1600") / BigInt(1500));
+
+      // At $1875, 80% of the collateral's value exactly covers the debt
+      await priceFeed.setAnswer(usdPrice(1875));
+      expect(await collateralizedLoanContract.getHealthFactor(loanId)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should not let anyone liquidate a loan whose health factor is at least 1", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, borrower, lender, liquidator } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId } = await requestAndFundLoan(collateralizedLoanContract, loanToken, priceFeed, borrower, lender);
+
+      // Check that the loan cannot be liquidated while its health factor is exactly 1
+      await priceFeed.setAnswer(usdPrice(1875));
+      await expect(collateralizedLoanContract.connect(liquidator).liquidate(loanId))
+        .to.be.revertedWith("Loan is not undercollateralized");
+    });
+
+    it("Should let anyone liquidate an undercollateralized loan, paying off the lender and taking the collateral", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, borrower, lender, liquidator } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, loanToken, priceFeed, borrower, lender);
+      const loanTokenAddress = await loanToken.getAddress();
+
+      // Drop the price of ETH so that 80% of the collateral's value no longer covers the debt
+      await priceFeed.setAnswer(usdPrice(1800));
+      expect(await collateralizedLoanContract.getHealthFactor(loanId)).to.be.lessThan(ethers.parseEther("1"));
+
+      // Have a third party liquidate the loan, checking for emission of a LoanLiquidated event
+      await loanToken.connect(liquidator).approve(await collateralizedLoanContract.getAddress(), loanAmount);
+      await expect(collateralizedLoanContract.connect(liquidator).liquidate(loanId))
+        .to.emit(collateralizedLoanContract, "LoanLiquidated")
+        .withArgs(loanId, borrower.address, liquidator.address, loanTokenAddress, loanAmount, ethers.ZeroAddress, collateralAmount, LoanStatus.Liquidated);
+
+      // Verify that the lender was credited the debt and the liquidator the collateral
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, loanTokenAddress)).to.equal(loanAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(liquidator.address, ethers.ZeroAddress)).to.equal(collateralAmount);
+      expect(await collateralizedLoanContract.getLoanStatus(loanId)).to.equal(LoanStatus.Liquidated);
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(0);
+
+      // Check that the loan can no longer be repaid, claimed or liquidated
+      await expect(collateralizedLoanContract.connect(borrower).repayLoan(loanId, loanAmount))
+        .to.be.revertedWith("Loan has been liquidated and cannot be repaid");
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.be.revertedWith("Loan has been liquidated");
+      await expect(collateralizedLoanContract.connect(liquidator).liquidate(loanId))
+        .to.be.revertedWith("Loan is not active");
+    });
+
+    it("Should have the liquidator pay off the interest accrued on the loan as well as its principal", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, borrower, lender, liquidator } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const interestRate = BigInt(1000); // 10% a year, in basis points
+      const { loanId } = await requestAndFundLoan(collateralizedLoanContract, loanToken, priceFeed, borrower, lender, interestRate);
+      await loanToken.connect(liquidator).approve(await collateralizedLoanContract.getAddress(), ONE_USD * BigInt(10000));
+
+      // Drop the price of ETH, and pin the time of the liquidation so that the debt can be calculated exactly
+      await priceFeed.setAnswer(usdPrice(1800));
+      const block = await ethers.provider.getBlock("latest");
+      const liquidationTimestamp = BigInt(block.timestamp) + BigInt(60 * 60 * 24);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(liquidationTimestamp)]);
+      const debt = calculateAmountOwed(await collateralizedLoanContract.loans(loanId), liquidationTimestamp);
+
+      // Have the liquidator pay off the principal and interest
+      await expect(collateralizedLoanContract.connect(liquidator).liquidate(loanId))
+        .to.emit(collateralizedLoanContract, "LoanLiquidated")
+        .withArgs(loanId, borrower.address, liquidator.address, anyValue => true, debt, ethers.ZeroAddress, anyValue => true, LoanStatus.Liquidated);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, await loanToken.getAddress())).to.equal(debt);
+    });
+
+    it("Should take the protocol fee from the interest, but not the principal, that a liquidator pays off", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, owner, borrower, lender, liquidator } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const protocolFeeRate = BigInt(1000); // 10%, in basis points
+      await collateralizedLoanContract.connect(owner).setProtocolFeeRate(protocolFeeRate);
+      const interestRate = BigInt(1000); // 10% a year, in basis points
+      const { loanId, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, loanToken, priceFeed, borrower, lender, interestRate);
+      await loanToken.connect(liquidator).approve(await collateralizedLoanContract.getAddress(), ONE_USD * BigInt(10000));
+      const loanTokenAddress = await loanToken.getAddress();
+
+      // Drop the price of ETH, and pin the time of the liquidation so that the debt can be calculated exactly
+      await priceFeed.setAnswer(usdPrice(1800));
+      const block = await ethers.provider.getBlock("latest");
+      const liquidationTimestamp = BigInt(block.timestamp) + BigInt(60 * 60 * 24);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(liquidationTimestamp)]);
+      const debt = calculateAmountOwed(await collateralizedLoanContract.loans(loanId), liquidationTimestamp);
+      const fee = ((debt - loanAmount) * protocolFeeRate) / BigInt(10000);
+
+      // Have the liquidator pay off the loan, checking for emission of a ProtocolFeeCharged event
+      await expect(collateralizedLoanContract.connect(liquidator).liquidate(loanId))
+        .to.emit(collateralizedLoanContract, "ProtocolFeeCharged")
+        .withArgs(loanId, loanTokenAddress, fee);
+
+      // Verify that the lender was credited the debt less the fee, which is held for the treasury
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, loanTokenAddress)).to.equal(debt - fee);
+      expect(await collateralizedLoanContract.protocolFees(loanTokenAddress)).to.equal(fee);
+    });
+
+    it("Should not liquidate a loan on a stale or invalid price, or a loan without a price feed", async function () {
+      const { collateralizedLoanContract, loanToken, priceFeed, borrower, lender, liquidator } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId } = await requestAndFundLoan(collateralizedLoanContract, loanToken, priceFeed, borrower, lender);
+      const liquidatorContract = collateralizedLoanContract.connect(liquidator);
+
+      // Check that a price that has not been updated for more than a day cannot be relied on
+      const block = await ethers.provider.getBlock("latest");
+      const maxPriceAge = await collateralizedLoanContract.MAX_PRICE_AGE();
+      await priceFeed.setRoundData(usdPrice(1800), BigInt(block.timestamp) - maxPriceAge - BigInt(1));
+      await expect(liquidatorContract.liquidate(loanId)).to.be.revertedWith("Collateral price is stale");
+
+      // Check that a price of zero cannot be relied on
+      await priceFeed.setAnswer(0);
+      await expect(liquidatorContract.liquidate(loanId)).to.be.revertedWith("Invalid collateral price");
+
+      // Have the borrower request and a lender fund a second loan without setting a price feed
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(await loanToken.getAddress(), ONE_USD, 0, 60, 60, { value: ONE_ETH });
+      await loanToken.connect(lender).approve(await collateralizedLoanContract.getAddress(), ONE_USD);
+      await collateralizedLoanContract.connect(lender).fundLoan(1);
+      await expect(liquidatorContract.liquidate(1)).to.be.revertedWith("Loan has no price feed");
+    });
+
+    it("Should credit back any ETH a liquidator sends beyond the debt of an ETH loan", async function () {
+      const { collateralizedLoanContract, loanToken, owner, borrower, lender, liquidator } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Use the stablecoin as collateral for an ETH loan, priced by a USD / ETH feed with 18 decimals at 0.0005 ETH per dollar
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const priceFeed = await MockAggregator.deploy(18, ethers.parseEther("0.0005"));
+      await collateralizedLoanContract
+        .connect(owner)
+        .setPriceFeedApproval(await loanToken.getAddress(), ethers.ZeroAddress, await priceFeed.getAddress(), true);
+      const collateralAmount = ONE_USD * BigInt(2000);
+      const loanAmount = ethers.parseEther("0.9");
+      await loanToken.connect(lender).transfer(borrower.address, collateralAmount);
+      await loanToken.connect(borrower).approve(await collateralizedLoanContract.getAddress(), collateralAmount);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(await loanToken.getAddress(), collateralAmount, loanAmount, 0, 60, 60);
+      const loanId = 0;
+      await collateralizedLoanContract.connect(borrower).setLiquidationTerms(loanId, await priceFeed.getAddress(), 8000);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+
+      // Have the dollar fall against ETH, and the liquidator send more ETH than the debt
+      await priceFeed.setAnswer(ethers.parseEther("0.0004"));
+      await expect(collateralizedLoanContract.connect(liquidator).liquidate(loanId, { value: loanAmount - BigInt(1) }))
+        .to.be.revertedWith("Incorrect repayment amount");
+      await collateralizedLoanContract.connect(liquidator).liquidate(loanId, { value: ONE_ETH });
+
+      // Verify that the excess ETH and the collateral were credited to the liquidator, and the debt to the lender
+      expect(await collateralizedLoanContract.pendingWithdrawals(liquidator.address, ethers.ZeroAddress)).to.equal(ONE_ETH - loanAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(liquidator.address, await loanToken.getAddress())).to.equal(collateralAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(loanAmount);
+    });
+  });
+}
+
+runLiquidationTests();
+
+// Export the tests for testing in the main test script
+module.exports = runLiquidationTests;
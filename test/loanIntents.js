@@ -0,0 +1,253 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+const { buildLoanIntent, signLoanIntent, hashLoanIntent } = require("../utils/loanIntents");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner, consumers and a relayer
+  const [owner, borrower, lender, relayer] = await ethers.getSigners();
+
+  // Deploy mock collateral and loan tokens, mint them to the borrower and lender, and let the contract spend them
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const collateralToken = await MockERC20.deploy("Wrapped Ether", "WETH");
+  const loanToken = await MockERC20.deploy("USD Coin", "USDC");
+  for (const token of [collateralToken, loanToken]) {
+    for (const account of [borrower, lender]) {
+      await token.mint(account.address, BigInt(10000));
+      await token.connect(account).approve(await collateralizedLoanContract.getAddress(), BigInt(10000));
+    }
+  }
+
+  return { collateralizedLoanContract, collateralToken, loanToken, owner, borrower, lender, relayer };
+}
+
+// Build an intent to borrow 2000 units of the loan asset against 1500 units of the collateral asset (the zero address
+// denoting ETH) at 5% a year for 60 seconds, executable for the next hour
+async function buildIntent(collateralizedLoanContract, collateralToken, loanToken, borrower, lender, overrides = {}) {
+  const latestBlock = await ethers.provider.getBlock("latest");
+  return buildLoanIntent(collateralizedLoanContract, {
+    borrower: borrower.address,
+    lender: lender.address,
+    collateralToken,
+    collateralAmount: BigInt(1500),
+    loanToken,
+    loanAmount: BigInt(2000),
+    interestRate: BigInt(500),
+    duration: BigInt(60),
+    expiry: BigInt(latestBlock.timestamp + 3600),
+    ...overrides,
+  });
+}
+
+function runLoanIntentTests() {
+
+  // Test suite for loans agreed off-chain as signed intents
+  describe("Loan Intents", function () {
+    it("Should let a relayer execute an intent signed by both parties, creating and funding the loan", async function () {
+      const { collateralizedLoanContract, collateralToken, loanToken, borrower, lender, relayer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower and the lender sign an intent
+      const intent = await buildIntent(collateralizedLoanContract, await collateralToken.getAddress(), await loanToken.getAddress(), borrower, lender);
+      const borrowerSignature = await signLoanIntent(borrower, collateralizedLoanContract, intent);
+      const lenderSignature = await signLoanIntent(lender, collateralizedLoanContract, intent);
+
+      // Check for emission of LoanIntentExecuted and LoanFunded events when the relayer executes the intent
+      const loanId = 0;
+      await expect(collateralizedLoanContract.connect(relayer).executeLoanIntent(intent, borrowerSignature, lenderSignature))
+        .to.emit(collateralizedLoanContract, "LoanIntentExecuted")
+        .withArgs(await hashLoanIntent(collateralizedLoanContract, intent), loanId, relayer.address, borrower.address, lender.address)
+        .and.to.emit(collateralizedLoanContract, "LoanFunded");
+
+      // Verify that the loan was created on the intent's terms and funded
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.borrower).to.equal(borrower.address);
+      expect(loan.lender).to.equal(lender.address);
+      expect(loan.collateralAmount).to.equal(intent.collateralAmount);
+      expect(loan.loanAmount).to.equal(intent.loanAmount);
+      expect(loan.interestRate).to.equal(intent.interestRate);
+      expect(loan.dueDate - loan.startDate).to.equal(intent.duration);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+
+      // Verify that the collateral and principal were taken from the parties, and the principal credited to the borrower
+      const contractAddress = await collateralizedLoanContract.getAddress();
+      expect(await collateralToken.balanceOf(contractAddress)).to.equal(intent.collateralAmount);
+      expect(await loanToken.balanceOf(lender.address)).to.equal(BigInt(10000) - intent.loanAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, await loanToken.getAddress())).to.equal(intent.loanAmount);
+
+      // Verify that the lender was minted the loan's note
+      const loanNote = await ethers.getContractAt("LoanNote", await collateralizedLoanContract.loanNote());
+      expect(await loanNote.ownerOf(0)).to.equal(lender.address);
+    });
+
+    it("Should let either party execute an intent signed only by the other, sending their own ETH", async function () {
+      const { collateralizedLoanContract, loanToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the lender sign an intent to lend 2000 tokens against 1 ETH, and the borrower execute it with the ETH
+      const collateralAmount = ethers.parseEther("1");
+      const intent = await buildIntent(collateralizedLoanContract, ethers.ZeroAddress, await loanToken.getAddress(), borrower, lender, {
+        collateralAmount,
+      });
+      const lenderSignature = await signLoanIntent(lender, collateralizedLoanContract, intent);
+      await expect(collateralizedLoanContract.connect(borrower).executeLoanIntent(intent, "0x", lenderSignature, { value: collateralAmount - BigInt(1) }))
+        .to.be.revertedWith("Incorrect ETH amount");
+      await expect(collateralizedLoanContract.connect(borrower).executeLoanIntent(intent, "0x", lenderSignature, { value: collateralAmount }))
+        .to.emit(collateralizedLoanContract, "LoanIntentExecuted");
+
+      // Have the borrower sign an intent to borrow 1000 wei against 2000 tokens, and the lender execute it with the ETH
+      const loanAmount = BigInt(1000);
+      const ethIntent = await buildLoanIntent(collateralizedLoanContract, {
+        ...intent,
+        collateralToken: await loanToken.getAddress(),
+        collateralAmount: BigInt(2000),
+        loanToken: ethers.ZeroAddress,
+        loanAmount,
+      });
+      const borrowerSignature = await signLoanIntent(borrower, collateralizedLoanContract, ethIntent);
+      await expect(collateralizedLoanContract.connect(lender).executeLoanIntent(ethIntent, borrowerSignature, "0x", { value: loanAmount }))
+        .to.emit(collateralizedLoanContract, "LoanIntentExecuted");
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount);
+    });
+
+    it("Should not let anyone but its party send the ETH of an intent", async function () {
+      const { collateralizedLoanContract, loanToken, borrower, lender, relayer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have both parties sign intents with ETH collateral and with ETH principal
+      const ethCollateralIntent = await buildIntent(collateralizedLoanContract, ethers.ZeroAddress, await loanToken.getAddress(), borrower, lender);
+      const ethLoanIntent = await buildIntent(collateralizedLoanContract, await loanToken.getAddress(), ethers.ZeroAddress, borrower, lender);
+      const signatures = async (intent) => [
+        await signLoanIntent(borrower, collateralizedLoanContract, intent),
+        await signLoanIntent(lender, collateralizedLoanContract, intent),
+      ];
+
+      // Check that a relayer can execute neither, nor the other party send the ETH
+      const relayerContract = collateralizedLoanContract.connect(relayer);
+      await expect(relayerContract.executeLoanIntent(ethCollateralIntent, ...await signatures(ethCollateralIntent), { value: ethCollateralIntent.collateralAmount }))
+        .to.be.revertedWith("Only the borrower can send ETH collateral");
+      await expect(collateralizedLoanContract.connect(lender).executeLoanIntent(ethCollateralIntent, ...await signatures(ethCollateralIntent), { value: ethCollateralIntent.collateralAmount }))
+        .to.be.revertedWith("Only the borrower can send ETH collateral");
+      await expect(relayerContract.executeLoanIntent(ethLoanIntent, ...await signatures(ethLoanIntent), { value: ethLoanIntent.loanAmount }))
+        .to.be.revertedWith("Only the lender can send ETH principal");
+    });
+
+    it("Should reject intents that are not signed by both parties as submitted", async function () {
+      const { collateralizedLoanContract, collateralToken, loanToken, borrower, lender, relayer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const intent = await buildIntent(collateralizedLoanContract, await collateralToken.getAddress(), await loanToken.getAddress(), borrower, lender);
+      const borrowerSignature = await signLoanIntent(borrower, collateralizedLoanContract, intent);
+      const lenderSignature = await signLoanIntent(lender, collateralizedLoanContract, intent);
+      const relayerContract = collateralizedLoanContract.connect(relayer);
+
+      // Attempt to execute the intent without a signature, with signatures from the wrong accounts, and with altered terms
+      await expect(relayerContract.executeLoanIntent(intent, "0x", lenderSignature))
+        .to.be.revertedWith("Invalid borrower signature");
+      await expect(relayerContract.executeLoanIntent(intent, borrowerSignature, borrowerSignature))
+        .to.be.revertedWith("Invalid lender signature");
+      await expect(relayerContract.executeLoanIntent(intent, await signLoanIntent(relayer, collateralizedLoanContract, intent), lenderSignature))
+        .to.be.revertedWith("Invalid borrower signature");
+      await expect(relayerContract.executeLoanIntent({ ...intent, interestRate: BigInt(0) }, borrowerSignature, lenderSignature))
+        .to.be.revertedWith("Invalid borrower signature");
+
+      // Verify that no loan was created
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+    });
+
+    it("Should not execute the same intent twice, or after it has expired", async function () {
+      const { collateralizedLoanContract, collateralToken, loanToken, borrower, lender, relayer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const relayerContract = collateralizedLoanContract.connect(relayer);
+
+      // Execute an intent, then attempt to replay it
+      const intent = await buildIntent(collateralizedLoanContract, await collateralToken.getAddress(), await loanToken.getAddress(), borrower, lender);
+      const borrowerSignature = await signLoanIntent(borrower, collateralizedLoanContract, intent);
+      const lenderSignature = await signLoanIntent(lender, collateralizedLoanContract, intent);
+      await relayerContract.executeLoanIntent(intent, borrowerSignature, lenderSignature);
+      expect(await collateralizedLoanContract.executedIntents(await hashLoanIntent(collateralizedLoanContract, intent))).to.equal(true);
+      await expect(relayerContract.executeLoanIntent(intent, borrowerSignature, lenderSignature))
+        .to.be.revertedWith("Loan intent has already been executed");
+
+      // Sign another intent, and attempt to execute it after its expiry
+      const expiringIntent = await buildIntent(collateralizedLoanContract, await collateralToken.getAddress(), await loanToken.getAddress(), borrower, lender, {
+        interestRate: BigInt(600),
+      });
+      const expiringSignatures = [
+        await signLoanIntent(borrower, collateralizedLoanContract, expiringIntent),
+        await signLoanIntent(lender, collateralizedLoanContract, expiringIntent),
+      ];
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(expiringIntent.expiry + BigInt(1))]);
+      await expect(relayerContract.executeLoanIntent(expiringIntent, ...expiringSignatures))
+        .to.be.revertedWith("Loan intent has expired");
+    });
+
+    it("Should let either party cancel every intent they have signed by incrementing their nonce", async function () {
+      const { collateralizedLoanContract, collateralToken, loanToken, borrower, lender, relayer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const relayerContract = collateralizedLoanContract.connect(relayer);
+
+      // Have both parties sign an intent, then the borrower cancel it, checking for emission of an IntentNonceIncremented event
+      const intent = await buildIntent(collateralizedLoanContract, await collateralToken.getAddress(), await loanToken.getAddress(), borrower, lender);
+      const signatures = [
+        await signLoanIntent(borrower, collateralizedLoanContract, intent),
+        await signLoanIntent(lender, collateralizedLoanContract, intent),
+      ];
+      await expect(collateralizedLoanContract.connect(borrower).incrementIntentNonce())
+        .to.emit(collateralizedLoanContract, "IntentNonceIncremented")
+        .withArgs(borrower.address, 1);
+      await expect(relayerContract.executeLoanIntent(intent, ...signatures))
+        .to.be.revertedWith("Borrower has cancelled this loan intent");
+
+      // Have both parties sign the intent again with their current nonces, then the lender cancel it
+      const renewedIntent = await buildIntent(collateralizedLoanContract, await collateralToken.getAddress(), await loanToken.getAddress(), borrower, lender);
+      expect(renewedIntent.borrowerNonce).to.equal(1);
+      const renewedSignatures = [
+        await signLoanIntent(borrower, collateralizedLoanContract, renewedIntent),
+        await signLoanIntent(lender, collateralizedLoanContract, renewedIntent),
+      ];
+      await collateralizedLoanContract.connect(lender).incrementIntentNonce();
+      await expect(relayerContract.executeLoanIntent(renewedIntent, ...renewedSignatures))
+        .to.be.revertedWith("Lender has cancelled this loan intent");
+    });
+
+    it("Should not execute intents while the contract is paused", async function () {
+      const { collateralizedLoanContract, collateralToken, loanToken, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const intent = await buildIntent(collateralizedLoanContract, await collateralToken.getAddress(), await loanToken.getAddress(), borrower, lender);
+      const lenderSignature = await signLoanIntent(lender, collateralizedLoanContract, intent);
+
+      // Have the guardian (the deployer) pause the contract
+      await collateralizedLoanContract.connect(owner).pause();
+      await expect(collateralizedLoanContract.connect(borrower).executeLoanIntent(intent, "0x", lenderSignature))
+        .to.be.revertedWith("Contract is paused");
+    });
+  });
+}
+
+runLoanIntentTests();
+
+// Export the tests for testing in the main test script
+module.exports = runLoanIntentTests;
@@ -0,0 +1,241 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Attach to the note contract deployed alongside it
+  const loanNote = await ethers.getContractAt("LoanNote", await collateralizedLoanContract.loanNote());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender, buyer] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, loanNote, owner, borrower, lender, buyer };
+}
+
+// Have the borrower request an interest-free loan of 2 wei against 3 wei of collateral, and the lender fund it
+async function requestAndFundLoan(collateralizedLoanContract, borrower, lender) {
+  const loan = {
+    loanId: 0,
+    noteId: 0,
+    collateralAmount: BigInt(3),
+    loanAmount: BigInt(2),
+    interestRate: BigInt(0), // Interest-free so that repayments can be checked exactly
+    duration: BigInt(60),
+    fundingPeriod: BigInt(60),
+  };
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loan.loanAmount, loan.interestRate, loan.duration, loan.fundingPeriod, { value: loan.collateralAmount });
+  await collateralizedLoanContract
+    .connect(lender)
+    .fundLoan(loan.loanId, { value: loan.loanAmount });
+  return loan;
+}
+
+// Decode a note's base64-encoded JSON metadata and collect its attributes by trait type
+async function getNoteMetadata(loanNote, noteId) {
+  const uri = await loanNote.tokenURI(noteId);
+  const prefix = "data:application/json;base64,";
+  expect(uri.startsWith(prefix)).to.equal(true);
+  const metadata = JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+  const attributes = {};
+  for (const attribute of metadata.attributes) {
+    attributes[attribute.trait_type] = attribute.value;
+  }
+  return { ...metadata, attributes };
+}
+
+function runLoanNotesTests() {
+
+  // Test suite for the ERC-721 notes that represent lenders' positions
+  describe("Loan Notes", function () {
+    it("Should mint a note to the lender when a loan is funded", async function () {
+      const { collateralizedLoanContract, loanNote, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Have the borrower request a loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Check for emission of a LoanNoteMinted event when the lender funds the loan
+      const loanId = 0;
+      const noteId = 0;
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount }))
+        .to.emit(collateralizedLoanContract, "LoanNoteMinted")
+        .withArgs(noteId, loanId, lender.address, loanAmount)
+        .and.to.emit(loanNote, "Transfer")
+        .withArgs(ethers.ZeroAddress, lender.address, noteId);
+
+      // Verify that the lender holds the note and that it stands for the whole loan
+      expect(await loanNote.ownerOf(noteId)).to.equal(lender.address);
+      expect(await collateralizedLoanContract.noteLoanIds(noteId)).to.equal(loanId);
+      expect(await collateralizedLoanContract.noteShares(noteId)).to.equal(loanAmount);
+      expect(await collateralizedLoanContract.getLoanNoteIds(loanId)).to.deep.equal([noteId]);
+    });
+
+    it("Should pay repayments to whoever holds the note", async function () {
+      const { collateralizedLoanContract, loanNote, borrower, lender, buyer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, noteId, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the lender sell the note to a buyer
+      await loanNote.connect(lender).transferFrom(lender.address, buyer.address, noteId);
+
+      // Have the borrower repay the loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, loanAmount, { value: loanAmount });
+
+      // Verify that the repayment was credited to the buyer rather than the original lender
+      expect(await collateralizedLoanContract.pendingWithdrawals(buyer.address, ethers.ZeroAddress)).to.equal(loanAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("Should give the right to claim the collateral to whoever holds the note", async function () {
+      const { collateralizedLoanContract, loanNote, borrower, lender, buyer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, noteId, loanAmount, duration } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the lender sell the note to a buyer
+      await loanNote.connect(lender).transferFrom(lender.address, buyer.address, noteId);
+
+      // Fast forward time past the loan's due date
+      await ethers.provider.send("evm_increaseTime", [Number(duration) + 1]);
+      await ethers.provider.send("evm_mine");
+
+      // Check that the original lender can no longer claim the collateral
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.be.revertedWith("Only the lender can claim the collateral of this loan");
+
+      // Have the buyer claim the collateral, receiving what the interest-free loan still owes out of it
+      await collateralizedLoanContract.connect(buyer).claimCollateral(loanId);
+      expect(await collateralizedLoanContract.pendingWithdrawals(buyer.address, ethers.ZeroAddress)).to.equal(loanAmount);
+      expect(await collateralizedLoanContract.getLoanStatus(loanId)).to.equal(LoanStatus.Defaulted);
+    });
+
+    it("Should mint a note for each lender's share of a syndicated loan", async function () {
+      const { collateralizedLoanContract, loanNote, owner, borrower, lender, buyer } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request a loan, and two lenders fund a third and two thirds of it
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(900, 0, 60, 60, { value: 1500 });
+      await collateralizedLoanContract.connect(lender).fundLoanShare(loanId, 300, { value: 300 });
+      await collateralizedLoanContract.connect(owner).fundLoanShare(loanId, 600, { value: 600 });
+
+      // Verify that each lender holds a note for their share
+      expect(await collateralizedLoanContract.getLoanNoteIds(loanId)).to.deep.equal([0, 1]);
+      expect(await loanNote.ownerOf(0)).to.equal(lender.address);
+      expect(await collateralizedLoanContract.noteShares(0)).to.equal(300);
+      expect(await loanNote.ownerOf(1)).to.equal(owner.address);
+      expect(await collateralizedLoanContract.noteShares(1)).to.equal(600);
+
+      // Have the first lender sell their note, then have the borrower repay part of the loan
+      await loanNote.connect(lender).transferFrom(lender.address, buyer.address, 0);
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, 300, { value: 300 });
+
+      // Verify that the repayment was split between the buyer and the second lender
+      expect(await collateralizedLoanContract.pendingWithdrawals(buyer.address, ethers.ZeroAddress)).to.equal(100);
+      expect(await collateralizedLoanContract.pendingWithdrawals(owner.address, ethers.ZeroAddress)).to.equal(200);
+    });
+
+    it("Should mint a note to the lender when a loan offer is accepted", async function () {
+      const { collateralizedLoanContract, loanNote, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the lender post an offer and the borrower accept it
+      await collateralizedLoanContract
+        .connect(lender)
+        .createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 2, 500, 60, 15000, { value: 2 });
+      await collateralizedLoanContract
+        .connect(borrower)
+        .acceptLoanOffer(0, 3, { value: 3 });
+
+      // Verify that the lender holds the loan's note
+      expect(await collateralizedLoanContract.getLoanNoteIds(0)).to.deep.equal([0]);
+      expect(await loanNote.ownerOf(0)).to.equal(lender.address);
+    });
+
+    it("Should describe the loan's terms and status in the note's metadata", async function () {
+      const { collateralizedLoanContract, loanNote, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, noteId, collateralAmount, loanAmount, interestRate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const loan = await collateralizedLoanContract.loans(loanId);
+
+      // Check the metadata of the note for a funded loan
+      let metadata = await getNoteMetadata(loanNote, noteId);
+      expect(metadata.name).to.equal("Loan Note #0");
+      expect(metadata.description).to.contain("loan #0");
+      expect(metadata.attributes["Loan ID"]).to.equal(loanId);
+      expect(metadata.attributes["Principal Share"]).to.equal(Number(loanAmount));
+      expect(metadata.attributes["Loan Amount"]).to.equal(Number(loanAmount));
+      expect(metadata.attributes["Loan Token"]).to.equal(ethers.ZeroAddress);
+      expect(metadata.attributes["Collateral Amount"]).to.equal(Number(collateralAmount));
+      expect(metadata.attributes["Interest Rate (bps)"]).to.equal(Number(interestRate));
+      expect(metadata.attributes["Due Date"]).to.equal(Number(loan.dueDate));
+      expect(metadata.attributes["Status"]).to.equal("Funded");
+
+      // Have the borrower repay the loan and check that the metadata reflects it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, loanAmount, { value: loanAmount });
+      metadata = await getNoteMetadata(loanNote, noteId);
+      expect(metadata.attributes["Status"]).to.equal("Repaid");
+
+      // Check that a note that has not been minted has no metadata
+      await expect(loanNote.tokenURI(1))
+        .to.be.revertedWithCustomError(loanNote, "ERC721NonexistentToken");
+    });
+
+    it("Should not let anyone but the loan contract mint or burn notes", async function () {
+      const { loanNote, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Attempt to mint and burn a note directly
+      await expect(loanNote.connect(lender).mint(lender.address, 0))
+        .to.be.revertedWith("Only the loan contract can mint notes");
+      await expect(loanNote.connect(lender).burn(0))
+        .to.be.revertedWith("Only the loan contract can burn notes");
+    });
+  });
+}
+
+runLoanNotesTests();
+
+// Export the tests for testing in the main test script
+module.exports = runLoanNotesTests;
@@ -0,0 +1,279 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Off-chain counterpart of the CollateralizedLoan contract's OfferStatus enum
+const OfferStatus = { Open: BigInt(0), Accepted: BigInt(1), Withdrawn: BigInt(2) };
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender };
+}
+
+// Have the lender post an ETH offer of 2 wei at 5% a year for 60 seconds, requiring collateral of at least 150% of the loan
+async function createEthOffer(collateralizedLoanContract, lender) {
+  const offer = {
+    offerId: 0,
+    loanAmount: BigInt(2),
+    interestRate: BigInt(500), // 5% a year, in basis points
+    duration: BigInt(60),
+    minCollateralRatio: BigInt(15000), // 150%, in basis points
+  };
+  await collateralizedLoanContract
+    .connect(lender)
+    .createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, offer.loanAmount, offer.interestRate, offer.duration, offer.minCollateralRatio, { value: offer.loanAmount });
+  return offer;
+}
+
+function runLoanOffersTests() {
+
+  // Test suite for lenders' standing offers
+  describe("Loan Offers", function () {
+    it("Should let a lender post an offer that escrows the principal", async function () {
+      const { collateralizedLoanContract, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify offer parameters
+      const loanAmount = BigInt(2);
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const minCollateralRatio = BigInt(15000); // 150%, in basis points
+
+      // Check for emission of a LoanOfferCreated event when the lender posts an offer
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, loanAmount, interestRate, duration, minCollateralRatio, { value: loanAmount }))
+        .to.emit(collateralizedLoanContract, "LoanOfferCreated")
+        .withArgs(0, lender.address, ethers.ZeroAddress, ethers.ZeroAddress, loanAmount, interestRate, duration, minCollateralRatio);
+
+      // Verify that the offer was recorded and is open
+      const offer = await collateralizedLoanContract.loanOffers(0);
+      expect(offer.lender).to.equal(lender.address);
+      expect(offer.loanAmount).to.equal(loanAmount);
+      expect(offer.minCollateralRatio).to.equal(minCollateralRatio);
+      expect(offer.status).to.equal(OfferStatus.Open);
+      expect(await collateralizedLoanContract.getOpenLoanOfferIds(0, 10)).to.deep.equal([0]);
+
+      // Verify that the principal is held by the contract
+      expect(await ethers.provider.getBalance(await collateralizedLoanContract.getAddress())).to.equal(loanAmount);
+    });
+
+    it("Should not let a lender post an offer with invalid terms or without escrowing the principal", async function () {
+      const { collateralizedLoanContract, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Save a contract instance with the lender connected
+      const lenderContract = collateralizedLoanContract.connect(lender);
+
+      // Attempt to post offers that lend nothing, ask for no collateral or send the wrong amount of ETH
+      await expect(lenderContract.createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 0, 500, 60, 15000))
+        .to.be.revertedWith("Loan amount must be greater than 0");
+      await expect(lenderContract.createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 2, 500, 60, 0, { value: 2 }))
+        .to.be.revertedWith("Minimum collateral ratio must be greater than 0");
+      await expect(lenderContract.createLoanOffer(ethers.ZeroAddress, ethers.ZeroAddress, 2, 500, 60, 15000, { value: 1 }))
+        .to.be.revertedWith("Incorrect funding amount");
+
+      // Attempt to post an ETH offer against token collateral, whose ratio to the loan could not be compared
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const collateralToken = await MockERC20.deploy("Wrapped Ether", "WETH");
+      await expect(lenderContract.createLoanOffer(await collateralToken.getAddress(), ethers.ZeroAddress, 2, 500, 60, 15000, { value: 2 }))
+        .to.be.revertedWith("Loan offers must be collateralized in the loan asset");
+
+      // Verify that no offer was created
+      expect(await lenderContract.nextOfferId()).to.equal(0);
+    });
+
+    it("Should let a borrower accept an offer with collateral, creating a funded loan", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { offerId, loanAmount, interestRate, duration } = await createEthOffer(collateralizedLoanContract, lender);
+
+      // Check for emission of LoanOfferAccepted and LoanFunded events when the borrower accepts the offer
+      const collateralAmount = BigInt(3);
+      const loanId = 0;
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .acceptLoanOffer(offerId, collateralAmount, { value: collateralAmount }))
+        .to.emit(collateralizedLoanContract, "LoanOfferAccepted")
+        .withArgs(offerId, loanId, borrower.address, lender.address, ethers.ZeroAddress, collateralAmount)
+        .and.to.emit(collateralizedLoanContract, "LoanFunded")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, loanAmount, anyValue => true, LoanStatus.Funded);
+
+      // Verify that the loan was created on the offer's terms, with its term starting now
+      const loan = await collateralizedLoanContract.loans(loanId);
+      const block = await ethers.provider.getBlock("latest");
+      expect(loan.borrower).to.equal(borrower.address);
+      expect(loan.lender).to.equal(lender.address);
+      expect(loan.collateralAmount).to.equal(collateralAmount);
+      expect(loan.loanAmount).to.equal(loanAmount);
+      expect(loan.interestRate).to.equal(interestRate);
+      expect(loan.startDate).to.equal(block.timestamp);
+      expect(loan.dueDate).to.equal(BigInt(block.timestamp) + duration);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+
+      // Verify that the offer has been used up and the loan is listed for both parties
+      const offer = await collateralizedLoanContract.loanOffers(offerId);
+      expect(offer.status).to.equal(OfferStatus.Accepted);
+      expect(offer.loanId).to.equal(loanId);
+      expect(await collateralizedLoanContract.getOpenLoanOfferCount()).to.equal(0);
+      expect(await collateralizedLoanContract.getBorrowerLoanIds(borrower.address, 0, 10)).to.deep.equal([loanId]);
+      expect(await collateralizedLoanContract.getLenderLoanIds(lender.address, 0, 10)).to.deep.equal([loanId]);
+
+      // Verify that the escrowed principal was credited to the borrower
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount);
+
+      // Check that the same offer cannot be accepted twice
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .acceptLoanOffer(offerId, collateralAmount, { value: collateralAmount }))
+        .to.be.revertedWith("Loan offer is no longer open");
+    });
+
+    it("Should not let a borrower accept an offer with too little collateral", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { offerId } = await createEthOffer(collateralizedLoanContract, lender);
+
+      // Save a contract instance with the borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Attempt to accept the offer below its 150% minimum collateral ratio
+      await expect(borrowerContract.acceptLoanOffer(offerId, 2, { value: 2 }))
+        .to.be.revertedWith("Collateral is below the offer's minimum collateral ratio");
+
+      // Attempt to accept the offer while sending less ETH than the collateral claimed
+      await expect(borrowerContract.acceptLoanOffer(offerId, 3, { value: 2 }))
+        .to.be.revertedWith("Incorrect collateral amount");
+
+      // Attempt to accept an offer that does not exist
+      await expect(borrowerContract.acceptLoanOffer(1, 3, { value: 3 }))
+        .to.be.revertedWith("Loan offer does not exist");
+
+      // Verify that the offer is still open
+      expect((await borrowerContract.loanOffers(offerId)).status).to.equal(OfferStatus.Open);
+      expect(await borrowerContract.nextLoanId()).to.equal(0);
+    });
+
+    it("Should let a borrower accept a token offer with collateral in the same token", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const contractAddress = await collateralizedLoanContract.getAddress();
+
+      // Deploy a mock token to lend and post as collateral
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Wrapped Ether", "WETH");
+      await token.mint(lender.address, BigInt(5000));
+      await token.mint(borrower.address, BigInt(7500));
+      const tokenAddress = await token.getAddress();
+
+      // Have the lender offer 5000 token units, asking for collateral of at least 150% of the loan
+      const loanAmount = BigInt(5000);
+      const minCollateralRatio = BigInt(15000); // 150%, in basis points
+      await token.connect(lender).approve(contractAddress, loanAmount);
+      await collateralizedLoanContract
+        .connect(lender)
+        .createLoanOffer(tokenAddress, tokenAddress, loanAmount, 500, 60, minCollateralRatio);
+
+      // Check that the borrower cannot accept the offer with less than 150% of the loan in collateral
+      await token.connect(borrower).approve(contractAddress, BigInt(7500));
+      await expect(collateralizedLoanContract.connect(borrower).acceptLoanOffer(0, BigInt(7499)))
+        .to.be.revertedWith("Collateral is below the offer's minimum collateral ratio");
+
+      // Have the borrower accept the offer with token collateral
+      const collateralAmount = BigInt(7500);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .acceptLoanOffer(0, collateralAmount);
+
+      // Verify that the contract holds the collateral alongside the principal, which the borrower can withdraw
+      expect(await token.balanceOf(contractAddress)).to.equal(loanAmount + collateralAmount);
+      await collateralizedLoanContract.connect(borrower).withdraw(tokenAddress);
+      expect(await token.balanceOf(borrower.address)).to.equal(loanAmount);
+      expect(await token.balanceOf(contractAddress)).to.equal(collateralAmount);
+    });
+
+    it("Should let a lender withdraw an unused offer and reclaim the principal", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { offerId, loanAmount } = await createEthOffer(collateralizedLoanContract, lender);
+
+      // Check that only the lender can withdraw the offer
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .withdrawLoanOffer(offerId))
+        .to.be.revertedWith("Only the lender can withdraw this loan offer");
+
+      // Check for emission of a LoanOfferWithdrawn event when the lender withdraws the offer
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .withdrawLoanOffer(offerId))
+        .to.emit(collateralizedLoanContract, "LoanOfferWithdrawn")
+        .withArgs(offerId, lender.address, ethers.ZeroAddress, loanAmount);
+
+      // Verify that the offer is closed and the principal was credited back to the lender
+      expect((await collateralizedLoanContract.loanOffers(offerId)).status).to.equal(OfferStatus.Withdrawn);
+      expect(await collateralizedLoanContract.getOpenLoanOfferCount()).to.equal(0);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(loanAmount);
+
+      // Check that the offer can no longer be accepted or withdrawn again
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .acceptLoanOffer(offerId, 3, { value: 3 }))
+        .to.be.revertedWith("Loan offer is no longer open");
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .withdrawLoanOffer(offerId))
+        .to.be.revertedWith("Loan offer is no longer open");
+    });
+
+    it("Should not let a lender withdraw an offer that has been accepted", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { offerId } = await createEthOffer(collateralizedLoanContract, lender);
+
+      // Have the borrower accept the offer
+      await collateralizedLoanContract
+        .connect(borrower)
+        .acceptLoanOffer(offerId, 3, { value: 3 });
+
+      // Attempt to have the lender withdraw the accepted offer
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .withdrawLoanOffer(offerId))
+        .to.be.revertedWith("Loan offer is no longer open");
+
+      // Verify that nothing was credited back to the lender
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(0);
+    });
+  });
+}
+
+runLoanOffersTests();
+
+// Export the tests for testing in the main test script
+module.exports = runLoanOffersTests;
@@ -0,0 +1,202 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender, otherBorrower, otherLender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender, otherBorrower, otherLender };
+}
+
+// Request a loan from the given borrower, using the loan amount to keep each request distinct
+async function requestLoan(collateralizedLoanContract, borrower, loanAmount) {
+  const interestRate = BigInt(500); // 5% a year, in basis points
+  const duration = BigInt(60);
+  const fundingPeriod = BigInt(3600);
+  const collateralAmount = BigInt(10);
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+}
+
+function runLoanViewsTests() {
+
+  // Test suite for the paginated loan views
+  describe("Loan Views", function () {
+    it("Should list the loans requested by a borrower, a page at a time", async function () {
+      const { collateralizedLoanContract, borrower, otherBorrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have two borrowers request loans, interleaved
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(1));
+      await requestLoan(collateralizedLoanContract, otherBorrower, BigInt(1));
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(2));
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(3));
+      await requestLoan(collateralizedLoanContract, otherBorrower, BigInt(2));
+
+      // Verify each borrower's loan count
+      expect(await collateralizedLoanContract.getBorrowerLoanCount(borrower.address)).to.equal(3);
+      expect(await collateralizedLoanContract.getBorrowerLoanCount(otherBorrower.address)).to.equal(2);
+
+      // Page through the first borrower's loans two at a time
+      expect(await collateralizedLoanContract.getBorrowerLoanIds(borrower.address, 0, 2)).to.deep.equal([0, 2]);
+      expect(await collateralizedLoanContract.getBorrowerLoanIds(borrower.address, 2, 2)).to.deep.equal([3]);
+      expect(await collateralizedLoanContract.getBorrowerLoanIds(borrower.address, 4, 2)).to.deep.equal([]);
+
+      // Verify that the second borrower's loans are listed separately
+      expect(await collateralizedLoanContract.getBorrowerLoanIds(otherBorrower.address, 0, 10)).to.deep.equal([1, 4]);
+    });
+
+    it("Should list the loans funded by a lender", async function () {
+      const { collateralizedLoanContract, borrower, lender, otherLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request three loans and two lenders fund them
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(1));
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(2));
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(3));
+      await collateralizedLoanContract.connect(lender).fundLoan(2, { value: BigInt(3) });
+      await collateralizedLoanContract.connect(otherLender).fundLoan(1, { value: BigInt(2) });
+      await collateralizedLoanContract.connect(lender).fundLoan(0, { value: BigInt(1) });
+
+      // Verify each lender's loans, in the order they were funded
+      expect(await collateralizedLoanContract.getLenderLoanCount(lender.address)).to.equal(2);
+      expect(await collateralizedLoanContract.getLenderLoanIds(lender.address, 0, 10)).to.deep.equal([2, 0]);
+      expect(await collateralizedLoanContract.getLenderLoanIds(lender.address, 1, 1)).to.deep.equal([0]);
+      expect(await collateralizedLoanContract.getLenderLoanIds(otherLender.address, 0, 10)).to.deep.equal([1]);
+
+      // Verify that an account that has not lent has no loans
+      expect(await collateralizedLoanContract.getLenderLoanCount(borrower.address)).to.equal(0);
+      expect(await collateralizedLoanContract.getLenderLoanIds(borrower.address, 0, 10)).to.deep.equal([]);
+    });
+
+    it("Should list only the requests that have been neither funded nor cancelled as open", async function () {
+      const { collateralizedLoanContract, borrower, lender, otherBorrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have two borrowers request four loans
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(1));
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(2));
+      await requestLoan(collateralizedLoanContract, otherBorrower, BigInt(1));
+      await requestLoan(collateralizedLoanContract, otherBorrower, BigInt(2));
+      expect(await collateralizedLoanContract.getOpenLoanRequestCount()).to.equal(4);
+
+      // Have a lender fund one request and a borrower cancel another
+      await collateralizedLoanContract.connect(lender).fundLoan(0, { value: BigInt(1) });
+      await collateralizedLoanContract.connect(otherBorrower).cancelLoanRequest(3);
+
+      // Verify that only the remaining requests are open
+      expect(await collateralizedLoanContract.getOpenLoanRequestCount()).to.equal(2);
+      const openIds = await collateralizedLoanContract.getOpenLoanRequestIds(0, 10);
+      expect([...openIds].sort()).to.deep.equal([BigInt(1), BigInt(2)]);
+
+      // Page through the open requests one at a time
+      const firstPage = await collateralizedLoanContract.getOpenLoanRequestIds(0, 1);
+      const secondPage = await collateralizedLoanContract.getOpenLoanRequestIds(1, 1);
+      expect([...firstPage, ...secondPage]).to.deep.equal([...openIds]);
+
+      // Verify that the funded and cancelled loans still appear in their borrowers' lists
+      expect(await collateralizedLoanContract.getBorrowerLoanIds(borrower.address, 0, 10)).to.deep.equal([0, 1]);
+      expect(await collateralizedLoanContract.getBorrowerLoanIds(otherBorrower.address, 0, 10)).to.deep.equal([2, 3]);
+    });
+
+    it("Should return an empty page when the offset is past the end or the limit is zero", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request a loan
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(1));
+
+      // Check pages that should contain nothing, and one with the largest possible limit
+      expect(await collateralizedLoanContract.getOpenLoanRequestIds(1, 10)).to.deep.equal([]);
+      expect(await collateralizedLoanContract.getOpenLoanRequestIds(0, 0)).to.deep.equal([]);
+      expect(await collateralizedLoanContract.getOpenLoanRequestIds(0, ethers.MaxUint256)).to.deep.equal([0]);
+    });
+
+    it("Should report the status of a loan at each stage of its lifecycle", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request three loans
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(1));
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(2));
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(3));
+      expect(await collateralizedLoanContract.getLoanStatus(0)).to.equal(LoanStatus.Requested);
+
+      // Have the borrower cancel the first request
+      await collateralizedLoanContract.connect(borrower).cancelLoanRequest(0);
+      expect(await collateralizedLoanContract.getLoanStatus(0)).to.equal(LoanStatus.Cancelled);
+
+      // Have a lender fund the other two loans
+      await collateralizedLoanContract.connect(lender).fundLoan(1, { value: BigInt(2) });
+      await collateralizedLoanContract.connect(lender).fundLoan(2, { value: BigInt(3) });
+      expect(await collateralizedLoanContract.getLoanStatus(1)).to.equal(LoanStatus.Funded);
+
+      // Have the borrower repay the second loan
+      const repaymentAmount = BigInt(2) + BigInt(1); // The interest accrued over a few seconds rounds up to 1 wei
+      await collateralizedLoanContract.connect(borrower).repayLoan(1, repaymentAmount, { value: repaymentAmount });
+      expect(await collateralizedLoanContract.getLoanStatus(1)).to.equal(LoanStatus.Repaid);
+
+      // Move past the due date and have the lender claim the collateral of the third loan
+      await ethers.provider.send("evm_increaseTime", [100]);
+      await ethers.provider.send("evm_mine");
+      await collateralizedLoanContract.connect(lender).claimCollateral(2);
+      expect(await collateralizedLoanContract.getLoanStatus(2)).to.equal(LoanStatus.Defaulted);
+
+      // Check that the status of a loan that does not exist cannot be looked up
+      await expect(collateralizedLoanContract.getLoanStatus(3))
+        .to.be.revertedWith("Loan does not exist");
+    });
+
+    it("Should return the details of several loans at once", async function () {
+      const { collateralizedLoanContract, borrower, otherBorrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have two borrowers request loans
+      await requestLoan(collateralizedLoanContract, borrower, BigInt(1));
+      await requestLoan(collateralizedLoanContract, otherBorrower, BigInt(2));
+
+      // Fetch both loans in one call, in the order asked for
+      const loans = await collateralizedLoanContract.getLoans([1, 0]);
+      expect(loans.length).to.equal(2);
+      expect(loans[0].loanId).to.equal(1);
+      expect(loans[0].borrower).to.equal(otherBorrower.address);
+      expect(loans[0].loanAmount).to.equal(2);
+      expect(loans[1].loanId).to.equal(0);
+      expect(loans[1].borrower).to.equal(borrower.address);
+      expect(loans[1].loanAmount).to.equal(1);
+
+      // Check that asking for a loan that does not exist fails
+      await expect(collateralizedLoanContract.getLoans([0, 2]))
+        .to.be.revertedWith("Loan does not exist");
+    });
+  });
+}
+
+runLoanViewsTests();
+
+// Export the tests for testing in the main test script
+module.exports = runLoanViewsTests;
@@ -0,0 +1,281 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { calculateAmountOwed } = require("../utils/interest");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender };
+}
+
+// Request and fund a loan whose principal is repaid in four installments of 200 wei, due every 100 seconds
+async function requestAndFundInstallmentLoan(collateralizedLoanContract, borrower, lender) {
+
+  // Specify loan parameters
+  const interestRate = BigInt(1000); // 10% a year, in basis points
+  const duration = BigInt(400);
+  const fundingPeriod = BigInt(60);
+  const installmentCount = BigInt(4);
+  const collateralAmount = BigInt(1000);
+  const loanAmount = BigInt(800);
+
+  // Have the borrower request an installment loan
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestInstallmentLoan(loanAmount, interestRate, duration, fundingPeriod, installmentCount, { value: collateralAmount });
+
+  // Have a lender fund the loan
+  const loanId = 0;
+  await collateralizedLoanContract
+    .connect(lender)
+    .fundLoan(loanId, { value: loanAmount });
+
+  return { loanId, collateralAmount, loanAmount, installmentPrincipal: BigInt(200) };
+}
+
+// Pin the timestamp of the next block so that the amount owed when a loan is repaid in it can be calculated exactly
+async function getAmountOwedAtNextBlock(collateralizedLoanContract, loanId) {
+  const block = await ethers.provider.getBlock("latest");
+  const repaymentTimestamp = BigInt(block.timestamp) + BigInt(1);
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(repaymentTimestamp)]);
+  return calculateAmountOwed(await collateralizedLoanContract.loans(loanId), repaymentTimestamp);
+}
+
+// Have the next transaction mined at the given timestamp
+async function setNextBlockTimestamp(timestamp) {
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+}
+
+// Move the chain forward to the given timestamp
+async function increaseTimeTo(timestamp) {
+  await setNextBlockTimestamp(timestamp);
+  await ethers.provider.send("evm_mine");
+}
+
+function runPartialRepaymentTests() {
+
+  // Test suite for repaying a loan over several payments
+  describe("Partial Repayments and Installments", function () {
+    it("Should let the borrower pay down a loan over several payments", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount } = await requestAndFundInstallmentLoan(collateralizedLoanContract, borrower, lender);
+
+      // Save a contract instance with the borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower make a first partial repayment
+      const firstPayment = BigInt(300);
+      const amountOwed = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await expect(borrowerContract
+        .repayLoan(loanId, firstPayment, { value: firstPayment }))
+        .to.emit(borrowerContract, "RepaymentMade")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, firstPayment, amountOwed - firstPayment, LoanStatus.Funded);
+
+      // Verify that the payment covered the accrued interest first and the rest went towards the principal
+      let loan = await borrowerContract.loans(loanId);
+      const interestPaid = amountOwed - loanAmount;
+      expect(loan.accruedInterest).to.equal(0);
+      expect(loan.outstandingPrincipal).to.equal(loanAmount - (firstPayment - interestPaid));
+      expect(loan.amountRepaid).to.equal(firstPayment);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+
+      // Have the borrower pay off the rest of the loan
+      const finalPayment = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await expect(borrowerContract
+        .repayLoan(loanId, finalPayment, { value: finalPayment }))
+        .to.emit(borrowerContract, "LoanRepaid")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, firstPayment + finalPayment, LoanStatus.Repaid);
+
+      // Verify that the loan is now repaid in full
+      expect(await borrowerContract.getAmountOwed(loanId)).to.equal(0);
+      loan = await borrowerContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Repaid);
+    });
+
+    it("Should pass each partial repayment on to the lender but hold the collateral until the loan is fully repaid", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount } = await requestAndFundInstallmentLoan(collateralizedLoanContract, borrower, lender);
+
+      // Save a contract instance with the borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower withdraw the loan amount, so that only the collateral remains to be credited to them
+      await borrowerContract.withdraw(ethers.ZeroAddress);
+
+      // Have the borrower make a partial repayment and check that it was credited to the lender
+      const firstPayment = BigInt(300);
+      await borrowerContract.repayLoan(loanId, firstPayment, { value: firstPayment });
+      expect(await borrowerContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(firstPayment);
+
+      // Verify that the collateral has not been released to the borrower
+      expect(await borrowerContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(0);
+
+      // Have the borrower pay off the rest of the loan and check that the collateral was released
+      const finalPayment = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await borrowerContract.repayLoan(loanId, finalPayment, { value: finalPayment });
+      expect(await borrowerContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(firstPayment + finalPayment);
+      expect(await borrowerContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(collateralAmount);
+    });
+
+    it("Should treat a payment of more than the outstanding balance as repaying the loan in full, crediting back the excess", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId } = await requestAndFundInstallmentLoan(collateralizedLoanContract, borrower, lender);
+
+      // Save a contract instance with the borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower make a partial repayment
+      const firstPayment = BigInt(300);
+      await borrowerContract.repayLoan(loanId, firstPayment, { value: firstPayment });
+
+      // Have the borrower pay 100 wei more than they owe
+      const amountOwed = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      const overpayment = amountOwed + BigInt(100);
+      await expect(borrowerContract
+        .repayLoan(loanId, overpayment, { value: overpayment }))
+        .to.emit(borrowerContract, "RepaymentMade")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, amountOwed, 0, LoanStatus.Repaid);
+
+      // Verify that only what was owed has been recorded, and that the excess was credited back to the borrower
+      const loan = await borrowerContract.loans(loanId);
+      expect(loan.amountRepaid).to.equal(firstPayment + amountOwed);
+      expect(await borrowerContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress))
+        .to.equal(BigInt(800) + BigInt(1000) + BigInt(100));
+    });
+
+    it("Should space a loan's installment due dates evenly up to its due date", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId } = await requestAndFundInstallmentLoan(collateralizedLoanContract, borrower, lender);
+
+      // Verify that each installment falls due 100 seconds after the previous one
+      const loan = await collateralizedLoanContract.loans(loanId);
+      for (let installment = 1; installment <= 4; installment++) {
+        expect(await collateralizedLoanContract.getInstallmentDueDate(loanId, installment))
+          .to.equal(loan.startDate + BigInt(100 * installment));
+      }
+      expect(await collateralizedLoanContract.getInstallmentDueDate(loanId, 4)).to.equal(loan.dueDate);
+
+      // Verify that installments outside the schedule do not exist
+      await expect(collateralizedLoanContract.getInstallmentDueDate(loanId, 0))
+        .to.be.revertedWith("Installment does not exist");
+      await expect(collateralizedLoanContract.getInstallmentDueDate(loanId, 5))
+        .to.be.revertedWith("Installment does not exist");
+    });
+
+    it("Should not let a borrower request an installment loan with no installments", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Attempt to have the borrower request a loan with zero installments
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestInstallmentLoan(BigInt(800), BigInt(1000), BigInt(400), BigInt(60), BigInt(0), { value: BigInt(1000) }))
+        .to.be.revertedWith("Installment count must be greater than 0");
+
+      // Verify that no loan requests have been made
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+    });
+
+    it("Should permit the lender to claim collateral as soon as an installment is missed", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount, installmentPrincipal } = await requestAndFundInstallmentLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower pay the first installment's principal, plus the interest accrued so far, on time
+      const interestOwed = (await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId)) - loanAmount;
+      const installmentAmount = installmentPrincipal + interestOwed;
+      await collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, installmentAmount, { value: installmentAmount });
+
+      // Verify that the lender cannot claim the collateral on the second installment's due date
+      const secondDueDate = await collateralizedLoanContract.getInstallmentDueDate(loanId, 2);
+      await setNextBlockTimestamp(secondDueDate);
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .claimCollateral(loanId))
+        .to.be.revertedWith("Loan is not yet past due date");
+
+      // Move one second past the second installment's due date
+      await increaseTimeTo(secondDueDate + BigInt(1));
+      expect(await collateralizedLoanContract.isInstallmentMissed(loanId)).to.equal(true);
+
+      // Have the lender claim the collateral before the loan's final due date
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralClaimed")
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, collateralAmount, LoanStatus.Defaulted);
+
+      // Verify that the loan is marked as being defaulted
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Defaulted);
+
+      // Check that the borrower can no longer repay the loan, even though its final due date has not passed
+      const remainingAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, remainingAmount, { value: remainingAmount }))
+        .to.be.revertedWith("Loan has defaulted and cannot be repaid");
+    });
+
+    it("Should not permit the lender to claim collateral while the borrower is ahead of the installment schedule", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, installmentPrincipal } = await requestAndFundInstallmentLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower pay the first three installments' principal, plus the interest accrued so far, up front
+      const interestOwed = (await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId)) - loanAmount;
+      const prepayment = installmentPrincipal * BigInt(3) + interestOwed;
+      await collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, prepayment, { value: prepayment });
+
+      // Fast forward time past the third installment's due date
+      const thirdDueDate = await collateralizedLoanContract.getInstallmentDueDate(loanId, 3);
+      await increaseTimeTo(thirdDueDate + BigInt(1));
+
+      // Verify that no installment has been missed and the lender cannot claim the collateral
+      expect(await collateralizedLoanContract.isInstallmentMissed(loanId)).to.equal(false);
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .claimCollateral(loanId))
+        .to.be.revertedWith("Loan is not yet past due date");
+    });
+  });
+}
+
+// Run the tests from just this file
+runPartialRepaymentTests();
+
+// Export the tests for testing in the main test script
+module.exports = runPartialRepaymentTests;
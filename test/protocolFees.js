@@ -0,0 +1,206 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { calculateInterest } = require("../utils/interest");
+
+// Protocol fee rate set by the owner in these tests
+const PROTOCOL_FEE_RATE = BigInt(1000); // 10%, in basis points
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner, consumers and a separate treasury
+  const [owner, borrower, lender, treasury] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, extension, owner, borrower, lender, treasury };
+}
+
+// Have the borrower request a loan at 10% a year for a year, and the lender fund it
+async function requestAndFundLoan(collateralizedLoanContract, borrower, lender) {
+  const collateralAmount = ethers.parseEther("2");
+  const loanAmount = ethers.parseEther("1");
+  const interestRate = BigInt(1000);
+  const duration = BigInt(365 * 24 * 60 * 60);
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, 60, { value: collateralAmount });
+  const loanId = 0;
+  await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+  return { loanId, collateralAmount, loanAmount, interestRate, duration };
+}
+
+function runProtocolFeeTests() {
+
+  // Test suite for the owner's administration of the protocol fee and treasury
+  describe("Protocol Fees", function () {
+    it("Should make the deployer the owner and the treasury, with no protocol fee", async function () {
+      const { collateralizedLoanContract, owner } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      expect(await collateralizedLoanContract.owner()).to.equal(owner.address);
+      expect(await collateralizedLoanContract.treasury()).to.equal(owner.address);
+      expect(await collateralizedLoanContract.protocolFeeRate()).to.equal(0);
+    });
+
+    it("Should let only the owner set the protocol fee rate, up to the maximum", async function () {
+      const { collateralizedLoanContract, owner, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Check that nobody but the owner can set the rate
+      await expect(collateralizedLoanContract.connect(borrower).setProtocolFeeRate(PROTOCOL_FEE_RATE))
+        .to.be.revertedWithCustomError(collateralizedLoanContract, "OwnableUnauthorizedAccount")
+        .withArgs(borrower.address);
+
+      // Check that the rate cannot exceed the maximum
+      const maxRate = await collateralizedLoanContract.MAX_PROTOCOL_FEE_RATE();
+      await expect(collateralizedLoanContract.connect(owner).setProtocolFeeRate(maxRate + BigInt(1)))
+        .to.be.revertedWith("Protocol fee rate exceeds the maximum");
+
+      // Have the owner set the rate, checking for emission of a ProtocolFeeRateSet event
+      await expect(collateralizedLoanContract.connect(owner).setProtocolFeeRate(PROTOCOL_FEE_RATE))
+        .to.emit(collateralizedLoanContract, "ProtocolFeeRateSet")
+        .withArgs(0, PROTOCOL_FEE_RATE);
+      expect(await collateralizedLoanContract.protocolFeeRate()).to.equal(PROTOCOL_FEE_RATE);
+    });
+
+    it("Should let only the owner set the treasury", async function () {
+      const { collateralizedLoanContract, owner, borrower, treasury } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Check that nobody but the owner can set the treasury, and that it cannot be the zero address
+      await expect(collateralizedLoanContract.connect(borrower).setTreasury(borrower.address))
+        .to.be.revertedWithCustomError(collateralizedLoanContract, "OwnableUnauthorizedAccount")
+        .withArgs(borrower.address);
+      await expect(collateralizedLoanContract.connect(owner).setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWith("Treasury cannot be the zero address");
+
+      // Have the owner set the treasury, checking for emission of a TreasurySet event
+      await expect(collateralizedLoanContract.connect(owner).setTreasury(treasury.address))
+        .to.emit(collateralizedLoanContract, "TreasurySet")
+        .withArgs(owner.address, treasury.address);
+      expect(await collateralizedLoanContract.treasury()).to.equal(treasury.address);
+    });
+
+    it("Should hand administration over to a new owner", async function () {
+      const { collateralizedLoanContract, owner, treasury } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the owner transfer ownership, after which only the new owner can set the rate
+      await collateralizedLoanContract.connect(owner).transferOwnership(treasury.address);
+      await expect(collateralizedLoanContract.connect(owner).setProtocolFeeRate(PROTOCOL_FEE_RATE))
+        .to.be.revertedWithCustomError(collateralizedLoanContract, "OwnableUnauthorizedAccount")
+        .withArgs(owner.address);
+      await collateralizedLoanContract.connect(treasury).setProtocolFeeRate(PROTOCOL_FEE_RATE);
+      expect(await collateralizedLoanContract.protocolFeeRate()).to.equal(PROTOCOL_FEE_RATE);
+    });
+
+    it("Should not let the extension be administered directly", async function () {
+      const { extension, owner } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      await expect(extension.connect(owner).setProtocolFeeRate(PROTOCOL_FEE_RATE))
+        .to.be.revertedWith("Only the loan contract can call the extension");
+    });
+
+    it("Should take the protocol fee from the interest, but not the principal, of a repayment", async function () {
+      const { collateralizedLoanContract, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      await collateralizedLoanContract.connect(owner).setProtocolFeeRate(PROTOCOL_FEE_RATE);
+      const { loanId, loanAmount, interestRate, duration } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower repay the loan in full on its due date, checking for emission of a ProtocolFeeCharged event
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      const interest = calculateInterest(loanAmount, interestRate, duration);
+      const fee = (interest * PROTOCOL_FEE_RATE) / BigInt(10000);
+      const amountOwed = loanAmount + interest;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(dueDate)]);
+      await expect(collateralizedLoanContract.connect(borrower).repayLoan(loanId, amountOwed, { value: amountOwed }))
+        .to.emit(collateralizedLoanContract, "ProtocolFeeCharged")
+        .withArgs(loanId, ethers.ZeroAddress, fee);
+
+      // Verify that the lender was credited the repayment less the fee, which is held for the treasury
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(amountOwed - fee);
+      expect(await collateralizedLoanContract.protocolFees(ethers.ZeroAddress)).to.equal(fee);
+    });
+
+    it("Should take the protocol fee from the interest, but not the principal, that the lender recovers on default", async function () {
+      const { collateralizedLoanContract, owner, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      await collateralizedLoanContract.connect(owner).setProtocolFeeRate(PROTOCOL_FEE_RATE);
+      const { loanId, collateralAmount, loanAmount, interestRate, duration } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the lender claim the collateral just after the due date
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      const interest = calculateInterest(loanAmount, interestRate, duration + BigInt(1));
+      const debt = loanAmount + interest;
+      const fee = (interest * PROTOCOL_FEE_RATE) / BigInt(10000);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(dueDate + BigInt(1))]);
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "ProtocolFeeCharged")
+        .withArgs(loanId, ethers.ZeroAddress, fee);
+
+      // Verify that the lender was credited the debt less the fee, and the borrower the rest of the collateral in full
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(debt - fee);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress))
+        .to.equal(loanAmount + collateralAmount - debt);
+      expect(await collateralizedLoanContract.protocolFees(ethers.ZeroAddress)).to.equal(fee);
+    });
+
+    it("Should let only the owner pay out the protocol fees to the treasury", async function () {
+      const { collateralizedLoanContract, owner, borrower, lender, treasury } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      await collateralizedLoanContract.connect(owner).setProtocolFeeRate(PROTOCOL_FEE_RATE);
+      await collateralizedLoanContract.connect(owner).setTreasury(treasury.address);
+
+      // Check that there is nothing to pay out before any fee is charged
+      await expect(collateralizedLoanContract.connect(owner).withdrawProtocolFees(ethers.ZeroAddress))
+        .to.be.revertedWith("No protocol fees to withdraw");
+
+      // Have the borrower repay part of a loan, including the interest accrued over a month
+      const { loanId, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      await ethers.provider.send("evm_increaseTime", [60 * 60 * 24 * 30]);
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, loanAmount, { value: loanAmount });
+      const fees = await collateralizedLoanContract.protocolFees(ethers.ZeroAddress);
+      expect(fees).to.be.greaterThan(0);
+
+      // Check that nobody but the owner can pay out the fees
+      await expect(collateralizedLoanContract.connect(treasury).withdrawProtocolFees(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(collateralizedLoanContract, "OwnableUnauthorizedAccount")
+        .withArgs(treasury.address);
+
+      // Have the owner pay out the fees, checking for emission of a ProtocolFeesWithdrawn event
+      const tx = collateralizedLoanContract.connect(owner).withdrawProtocolFees(ethers.ZeroAddress);
+      await expect(tx)
+        .to.emit(collateralizedLoanContract, "ProtocolFeesWithdrawn")
+        .withArgs(treasury.address, ethers.ZeroAddress, fees);
+      await expect(tx).to.changeEtherBalances([treasury, collateralizedLoanContract], [fees, -fees]);
+      expect(await collateralizedLoanContract.protocolFees(ethers.ZeroAddress)).to.equal(0);
+    });
+  });
+}
+
+runProtocolFeeTests();
+
+// Export the tests for testing in the main test script
+module.exports = runProtocolFeeTests;
@@ -0,0 +1,257 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  // Deploy a hostile wallet that calls back into the loan contract when it receives ETH
+  const ReentrantReceiver = await ethers.getContractFactory("ReentrantReceiver");
+  const attacker = await ReentrantReceiver.deploy();
+
+  // Deploy a hostile token that calls back into the loan contract when it is transferred, and mint some to both parties
+  const ReentrantERC20 = await ethers.getContractFactory("ReentrantERC20");
+  const hostileToken = await ReentrantERC20.deploy("Hostile Token", "HOST");
+  await hostileToken.mint(borrower.address, BigInt(10000));
+  await hostileToken.mint(lender.address, BigInt(10000));
+
+  return { collateralizedLoanContract, attacker, hostileToken, owner, borrower, lender };
+}
+
+// Check that a hostile contract tried to re-enter the loan contract and was turned away by the reentrancy guard
+async function expectReentryBlocked(hostileContract, collateralizedLoanContract) {
+  const guardError = collateralizedLoanContract.interface.getError("ReentrancyGuardReentrantCall");
+  expect(await hostileContract.reentryAttempted()).to.equal(true);
+  expect(await hostileContract.reentrySucceeded()).to.equal(false);
+  expect(await hostileContract.reentryError()).to.equal(guardError.selector);
+}
+
+function runReentrancyTests() {
+
+  // Test suite for reentrancy protection
+  describe("Reentrancy Protection", function () {
+    it("Should not let a borrower contract re-enter withdraw to collect its collateral twice", async function () {
+      const { collateralizedLoanContract, attacker } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+      const loanId = 0;
+      const contractAddress = await collateralizedLoanContract.getAddress();
+      const loanInterface = collateralizedLoanContract.interface;
+
+      // Have the attacker request a loan and cancel it so that its collateral is credited back
+      await attacker.execute(
+        contractAddress,
+        collateralAmount,
+        loanInterface.encodeFunctionData("depositCollateralAndRequestLoan", [loanAmount, interestRate, duration, fundingPeriod]),
+        { value: collateralAmount }
+      );
+      await attacker.execute(contractAddress, 0, loanInterface.encodeFunctionData("cancelLoanRequest", [loanId]));
+
+      // Have another borrower's collateral sit in the contract for the attacker to go after
+      await collateralizedLoanContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Have the attacker withdraw its collateral, re-entering withdraw when the ETH arrives
+      await attacker.setReentry(contractAddress, loanInterface.encodeFunctionData("withdraw", [ethers.ZeroAddress]));
+      await attacker.execute(contractAddress, 0, loanInterface.encodeFunctionData("withdraw", [ethers.ZeroAddress]));
+
+      // Verify that the reentrant call failed and the attacker was paid only once
+      await expectReentryBlocked(attacker, collateralizedLoanContract);
+      expect(await ethers.provider.getBalance(await attacker.getAddress())).to.equal(collateralAmount);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(collateralAmount);
+    });
+
+    it("Should not let a borrower contract re-enter repayLoan while withdrawing the loan amount", async function () {
+      const { collateralizedLoanContract, attacker, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(0);
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+      const loanId = 0;
+      const contractAddress = await collateralizedLoanContract.getAddress();
+      const loanInterface = collateralizedLoanContract.interface;
+
+      // Have the attacker request a loan and the lender fund it
+      await attacker.execute(
+        contractAddress,
+        collateralAmount,
+        loanInterface.encodeFunctionData("depositCollateralAndRequestLoan", [loanAmount, interestRate, duration, fundingPeriod]),
+        { value: collateralAmount }
+      );
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+
+      // Have the attacker withdraw the loan amount, re-entering repayLoan with the funds it has just received
+      await attacker.setReentry(contractAddress, loanInterface.encodeFunctionData("repayLoan", [loanId, loanAmount]));
+      await attacker.execute(contractAddress, 0, loanInterface.encodeFunctionData("withdraw", [ethers.ZeroAddress]));
+
+      // Verify that the reentrant call failed and the loan is still outstanding
+      await expectReentryBlocked(attacker, collateralizedLoanContract);
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+      expect(loan.outstandingPrincipal).to.equal(loanAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("Should not let a lender contract re-enter claimCollateral while withdrawing a repayment", async function () {
+      const { collateralizedLoanContract, attacker, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(0);
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+      const installmentCount = BigInt(2);
+      const loanId = 0;
+      const contractAddress = await collateralizedLoanContract.getAddress();
+      const loanInterface = collateralizedLoanContract.interface;
+
+      // Have the borrower request an installment loan and the attacker fund it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestInstallmentLoan(loanAmount, interestRate, duration, fundingPeriod, installmentCount, { value: collateralAmount });
+      await attacker.execute(
+        contractAddress,
+        loanAmount,
+        loanInterface.encodeFunctionData("fundLoan", [loanId]),
+        { value: loanAmount }
+      );
+
+      // Have the borrower pay off the first installment
+      const installmentAmount = loanAmount / installmentCount;
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, installmentAmount, { value: installmentAmount });
+
+      // Move past the second installment's due date so that the loan can be defaulted on
+      await ethers.provider.send("evm_increaseTime", [Number(duration) + 1]);
+      await ethers.provider.send("evm_mine");
+
+      // Have the attacker withdraw the repayment, re-entering claimCollateral when the ETH arrives
+      await attacker.setReentry(contractAddress, loanInterface.encodeFunctionData("claimCollateral", [loanId]));
+      await attacker.execute(contractAddress, 0, loanInterface.encodeFunctionData("withdraw", [ethers.ZeroAddress]));
+
+      // Verify that the reentrant call failed and the collateral has not been claimed
+      await expectReentryBlocked(attacker, collateralizedLoanContract);
+      expect((await collateralizedLoanContract.loans(loanId)).status).to.equal(LoanStatus.Funded);
+      expect(await collateralizedLoanContract.pendingWithdrawals(await attacker.getAddress(), ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("Should not let a loan token re-enter repayLoan while a repayment is transferred", async function () {
+      const { collateralizedLoanContract, hostileToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(0);
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(5000);
+      const loanId = 0;
+      const contractAddress = await collateralizedLoanContract.getAddress();
+      const hostileTokenAddress = await hostileToken.getAddress();
+
+      // Have the borrower request a loan in the hostile token and the lender fund it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(hostileTokenAddress, loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await hostileToken.connect(lender).approve(contractAddress, loanAmount);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId);
+
+      // Have the token re-enter repayLoan during the repayment transfer
+      await hostileToken.setReentry(
+        contractAddress,
+        collateralizedLoanContract.interface.encodeFunctionData("repayLoan", [loanId, loanAmount])
+      );
+
+      // Have the borrower repay the loan in full
+      await hostileToken.connect(borrower).approve(contractAddress, loanAmount);
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, loanAmount);
+
+      // Verify that the reentrant call failed and the repayment was recorded only once
+      await expectReentryBlocked(hostileToken, collateralizedLoanContract);
+      expect((await collateralizedLoanContract.loans(loanId)).amountRepaid).to.equal(loanAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, hostileTokenAddress)).to.equal(loanAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, hostileTokenAddress)).to.equal(loanAmount);
+      expect(await hostileToken.balanceOf(contractAddress)).to.equal(loanAmount * BigInt(2));
+    });
+
+    it("Should not let a collateral token re-enter the contract while collateral is withdrawn", async function () {
+      const { collateralizedLoanContract, hostileToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3000);
+      const loanAmount = BigInt(2);
+      const loanId = 0;
+      const contractAddress = await collateralizedLoanContract.getAddress();
+      const hostileTokenAddress = await hostileToken.getAddress();
+
+      // Have the borrower deposit hostile token collateral and the lender fund the loan
+      await hostileToken.connect(borrower).approve(contractAddress, collateralAmount);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(hostileTokenAddress, collateralAmount, loanAmount, interestRate, duration, fundingPeriod);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+
+      // Move past the due date and have the lender claim the collateral, then take it once its auction ends unsold
+      await ethers.provider.send("evm_increaseTime", [Number(duration) + 1]);
+      await ethers.provider.send("evm_mine");
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      await ethers.provider.send("evm_increaseTime", [Number(await collateralizedLoanContract.AUCTION_DURATION()) + 1]);
+      await ethers.provider.send("evm_mine");
+      await collateralizedLoanContract.connect(lender).claimUnsoldCollateral(loanId);
+
+      // Have the token re-enter withdraw when the lender withdraws the collateral
+      await hostileToken.setReentry(
+        contractAddress,
+        collateralizedLoanContract.interface.encodeFunctionData("withdraw", [hostileTokenAddress])
+      );
+      await collateralizedLoanContract.connect(lender).withdraw(hostileTokenAddress);
+
+      // Verify that the reentrant call failed and the lender received the collateral exactly once
+      await expectReentryBlocked(hostileToken, collateralizedLoanContract);
+      expect(await hostileToken.balanceOf(lender.address)).to.equal(BigInt(10000) + collateralAmount);
+      expect(await hostileToken.balanceOf(contractAddress)).to.equal(0);
+    });
+  });
+}
+
+runReentrancyTests();
+
+// Export the tests for testing in the main test script
+module.exports = runReentrancyTests;
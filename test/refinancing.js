@@ -0,0 +1,234 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+const { calculateAmountOwed } = require("../utils/interest");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+  const loanNote = await ethers.getContractAt("LoanNote", await collateralizedLoanContract.loanNote());
+
+  // Create contract owner and consumers, with a second lender and a new lender to refinance loans
+  const [owner, borrower, lender, secondLender, newLender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, modificationExtension, loanNote, owner, borrower, lender, secondLender, newLender };
+}
+
+// Have the borrower request a loan of 1 ETH against 2 ETH at 10% a year for a day, and the lender fund it
+async function requestAndFundLoan(collateralizedLoanContract, borrower, lender) {
+  const collateralAmount = ethers.parseEther("2");
+  const loanAmount = ethers.parseEther("1");
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loanAmount, 1000, 60 * 60 * 24, 60, { value: collateralAmount });
+  const loanId = 0;
+  await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+  return { loanId, collateralAmount, loanAmount };
+}
+
+// Get the amount owed on a loan at the next block's timestamp, and have the next block mined at that timestamp
+async function getAmountOwedAtNextBlock(collateralizedLoanContract, loanId) {
+  const block = await ethers.provider.getBlock("latest");
+  const timestamp = BigInt(block.timestamp) + BigInt(1);
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+  return { amountOwed: calculateAmountOwed(await collateralizedLoanContract.loans(loanId), timestamp), timestamp };
+}
+
+function runRefinancingTests() {
+
+  // Test suite for refinancing funded loans by new lenders
+  describe("Refinancing", function () {
+    it("Should let only the borrower of an active loan agree to refinancing terms", async function () {
+      const { collateralizedLoanContract, modificationExtension, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Check that terms cannot be set for a loan that has not been funded
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(1, 500, 60, 60, { value: 2 });
+      await expect(collateralizedLoanContract.connect(borrower).setRefinanceTerms(0, 500, 120))
+        .to.be.revertedWith("Loan is not active");
+      await collateralizedLoanContract.connect(lender).fundLoan(0, { value: 1 });
+
+      // Check that nobody but the borrower can set the terms, and that the extension cannot be called directly
+      await expect(collateralizedLoanContract.connect(lender).setRefinanceTerms(0, 500, 120))
+        .to.be.revertedWith("Only the borrower can set the refinancing terms of this loan");
+      await expect(modificationExtension.connect(borrower).setRefinanceTerms(0, 500, 120))
+        .to.be.revertedWith("Only the loan contract can call the extension");
+
+      // Check for emission of a RefinanceTermsSet event when the borrower sets the terms, and again when they withdraw them
+      await expect(collateralizedLoanContract.connect(borrower).setRefinanceTerms(0, 500, 120))
+        .to.emit(collateralizedLoanContract, "RefinanceTermsSet")
+        .withArgs(0, borrower.address, 500, 120);
+      const terms = await collateralizedLoanContract.refinanceTerms(0);
+      expect(terms.interestRate).to.equal(500);
+      expect(terms.duration).to.equal(120);
+      await expect(collateralizedLoanContract.connect(borrower).setRefinanceTerms(0, 0, 0))
+        .to.emit(collateralizedLoanContract, "RefinanceTermsSet")
+        .withArgs(0, borrower.address, 0, 0);
+    });
+
+    it("Should let a new lender pay off the current lender and take over the loan on the agreed terms", async function () {
+      const { collateralizedLoanContract, loanNote, borrower, lender, newLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower agree to refinance at 5% a year for a week
+      const interestRate = BigInt(500);
+      const duration = BigInt(60 * 60 * 24 * 7);
+      await collateralizedLoanContract.connect(borrower).setRefinanceTerms(loanId, interestRate, duration);
+
+      // Have the new lender refinance the loan, sending more ETH than needed, and check for emission of a LoanRefinanced event
+      await ethers.provider.send("evm_increaseTime", [60 * 60]);
+      const { amountOwed, timestamp } = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      const payment = amountOwed + BigInt(1000);
+      await expect(collateralizedLoanContract.connect(newLender).refinanceLoan(loanId, interestRate, duration, { value: payment }))
+        .to.emit(collateralizedLoanContract, "LoanRefinanced")
+        .withArgs(loanId, borrower.address, newLender.address, lender.address, ethers.ZeroAddress, amountOwed, interestRate, timestamp + duration, LoanStatus.Funded)
+        .and.to.emit(collateralizedLoanContract, "LoanNoteMinted")
+        .withArgs(1, loanId, newLender.address, amountOwed);
+
+      // Verify that the loan restarted on the new terms, with what was owed as its principal
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.lender).to.equal(newLender.address);
+      expect(loan.loanAmount).to.equal(amountOwed);
+      expect(loan.outstandingPrincipal).to.equal(amountOwed);
+      expect(loan.interestRate).to.equal(interestRate);
+      expect(loan.startDate).to.equal(timestamp);
+      expect(loan.dueDate).to.equal(timestamp + duration);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+      expect((await collateralizedLoanContract.refinanceTerms(loanId)).duration).to.equal(0);
+
+      // Verify that the old lender was paid off and their note burned, and the new lender credited the excess ETH
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(amountOwed);
+      expect(await collateralizedLoanContract.pendingWithdrawals(newLender.address, ethers.ZeroAddress)).to.equal(payment - amountOwed);
+      await expect(loanNote.ownerOf(0)).to.be.revertedWithCustomError(loanNote, "ERC721NonexistentToken");
+      expect(await loanNote.ownerOf(1)).to.equal(newLender.address);
+      const [lenders, shares] = await collateralizedLoanContract.getLoanLenders(loanId);
+      expect(lenders).to.deep.equal([newLender.address]);
+      expect(shares).to.deep.equal([amountOwed]);
+
+      // Verify that the collateral never left the contract
+      expect(loan.collateralAmount).to.equal(collateralAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount);
+
+      // Have the borrower repay the refinanced loan, and verify that the new lender is repaid and the collateral returned
+      const repayment = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, repayment.amountOwed, { value: repayment.amountOwed });
+      expect(await collateralizedLoanContract.pendingWithdrawals(newLender.address, ethers.ZeroAddress))
+        .to.equal(payment - amountOwed + repayment.amountOwed);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(amountOwed);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount + collateralAmount);
+    });
+
+    it("Should split the payoff of a syndicated loan between its lenders", async function () {
+      const { collateralizedLoanContract, loanNote, borrower, lender, secondLender, newLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request an interest-free loan of 900 wei, funded one third by the lender and two thirds by the second lender
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(900, 0, 60, 60, { value: 2000 });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoanShare(loanId, 300, { value: 300 });
+      await collateralizedLoanContract.connect(secondLender).fundLoan(loanId, { value: 600 });
+
+      // Have the new lender refinance the loan
+      await collateralizedLoanContract.connect(borrower).setRefinanceTerms(loanId, 500, 120);
+      await collateralizedLoanContract.connect(newLender).refinanceLoan(loanId, 500, 120, { value: 900 });
+
+      // Verify that each lender was paid off in proportion to their share, and both their notes burned
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(300);
+      expect(await collateralizedLoanContract.pendingWithdrawals(secondLender.address, ethers.ZeroAddress)).to.equal(600);
+      expect(await loanNote.balanceOf(lender.address)).to.equal(0);
+      expect(await loanNote.balanceOf(secondLender.address)).to.equal(0);
+      expect(await collateralizedLoanContract.getLoanNoteIds(loanId)).to.deep.equal([2]);
+      expect(await collateralizedLoanContract.lenderShares(loanId, secondLender.address)).to.equal(0);
+    });
+
+    it("Should block refinancing while paused, and allow it again once unpaused", async function () {
+      const { collateralizedLoanContract, owner, borrower, lender, newLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const duration = BigInt(60 * 60 * 24 * 7);
+      await collateralizedLoanContract.connect(borrower).setRefinanceTerms(loanId, 500, duration);
+
+      // Check that the loan cannot be refinanced while the guardian (the deployer) has paused the contract
+      const payment = loanAmount * BigInt(2);
+      await collateralizedLoanContract.connect(owner).pause();
+      await expect(collateralizedLoanContract.connect(newLender).refinanceLoan(loanId, 500, duration, { value: payment }))
+        .to.be.revertedWith("Contract is paused");
+
+      // Check that the loan can be refinanced once the contract is unpaused
+      await collateralizedLoanContract.connect(owner).unpause();
+      await expect(collateralizedLoanContract.connect(newLender).refinanceLoan(loanId, 500, duration, { value: payment }))
+        .to.emit(collateralizedLoanContract, "LoanRefinanced");
+      expect((await collateralizedLoanContract.loans(loanId)).lender).to.equal(newLender.address);
+    });
+
+    it("Should not refinance a loan on terms the borrower has not agreed to", async function () {
+      const { collateralizedLoanContract, borrower, lender, newLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const newLenderContract = collateralizedLoanContract.connect(newLender);
+      const payment = ethers.parseEther("2");
+
+      // Attempt to refinance before the borrower agrees to any terms, and on different terms once they have
+      await expect(newLenderContract.refinanceLoan(loanId, 500, 120, { value: payment }))
+        .to.be.revertedWith("Borrower has not agreed to refinance this loan");
+      await collateralizedLoanContract.connect(borrower).setRefinanceTerms(loanId, 500, 120);
+      await expect(newLenderContract.refinanceLoan(loanId, 400, 120, { value: payment }))
+        .to.be.revertedWith("Terms do not match those the borrower agreed to");
+      await expect(newLenderContract.refinanceLoan(loanId, 500, 240, { value: payment }))
+        .to.be.revertedWith("Terms do not match those the borrower agreed to");
+
+      // Attempt to refinance without paying off the loan in full
+      await expect(newLenderContract.refinanceLoan(loanId, 500, 120, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Incorrect payoff amount");
+
+      // Attempt to refinance once the borrower has withdrawn their agreement
+      await collateralizedLoanContract.connect(borrower).setRefinanceTerms(loanId, 0, 0);
+      await expect(newLenderContract.refinanceLoan(loanId, 0, 0, { value: payment }))
+        .to.be.revertedWith("Borrower has not agreed to refinance this loan");
+    });
+
+    it("Should not refinance a loan that is past due or no longer active", async function () {
+      const { collateralizedLoanContract, borrower, lender, newLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+      const newLenderContract = collateralizedLoanContract.connect(newLender);
+      await collateralizedLoanContract.connect(borrower).setRefinanceTerms(loanId, 500, 120);
+
+      // Attempt to refinance once the loan is past its due date
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(dueDate + BigInt(1))]);
+      await expect(newLenderContract.refinanceLoan(loanId, 500, 120, { value: ethers.parseEther("2") }))
+        .to.be.revertedWith("Loan is past due and cannot be refinanced");
+
+      // Attempt to refinance once the lender has claimed the collateral
+      await collateralizedLoanContract.connect(lender).claimCollateral(loanId);
+      await expect(newLenderContract.refinanceLoan(loanId, 500, 120, { value: ethers.parseEther("2") }))
+        .to.be.revertedWith("Loan is not active");
+    });
+  });
+}
+
+runRefinancingTests();
+
+// Export the tests for testing in the main test script
+module.exports = runRefinancingTests;
@@ -1,13 +1,24 @@
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { SECONDS_PER_YEAR, calculateInterest, calculateAmountOwed } = require("../utils/interest");
+const { LoanStatus } = require("../utils/loanStatus");
 
 // Use a fixture to reduce code repetition
 async function deployCollateralizedLoanFixture() {
 
-  // Create and deploy a fresh CollateralizedLoan contract
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
   const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
-  const collateralizedLoanContract = await CollateralizedLoan.deploy();
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
 
   // Create contract owner and consumers
   const [owner, borrower, lender] = await ethers.getSigners();
@@ -15,6 +26,14 @@ async function deployCollateralizedLoanFixture() {
   return { collateralizedLoanContract, owner, borrower, lender };
 }
 
+// Pin the timestamp of the next block so that the amount owed when a loan is repaid in it can be calculated exactly
+async function getAmountOwedAtNextBlock(collateralizedLoanContract, loanId) {
+  const block = await ethers.provider.getBlock("latest");
+  const repaymentTimestamp = BigInt(block.timestamp) + BigInt(1);
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(repaymentTimestamp)]);
+  return calculateAmountOwed(await collateralizedLoanContract.loans(loanId), repaymentTimestamp);
+}
+
 function runRepayLoanTests() {
 
   // Test suite for repaying a loan
@@ -25,17 +44,18 @@ function runRepayLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
       await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -45,18 +65,18 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
 
       // Have the borrower repay the loan
       await borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount });
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount });
 
       // Confirm that the loan has been marked as repaid
       const repaidLoan = await borrowerContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
     });
 
     it("Should emit a LoanRepaid event upon a successful loan repayment", async function () {
@@ -65,10 +85,11 @@ function runRepayLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
@@ -76,7 +97,7 @@ function runRepayLoanTests() {
       // Have the borrower request a loan
       await borrowerContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -86,39 +107,40 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
 
       // Check for emission of a LoanRepaid event when the borrower repays the loan
       await expect(borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount }))
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
         .to.emit(borrowerContract, "LoanRepaid")
-        .withArgs(loanId);
+        .withArgs(loanId, borrower.address, lender.address, ethers.ZeroAddress, repaymentAmount, LoanStatus.Repaid);
 
       // Confirm that the loan has been marked as repaid
       const repaidLoan = await borrowerContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
     });
 
-    it("Should add the repayment amount to the lender's address upon a successful loan repayment", async function () {
+    it("Should credit the repayment amount to the lender for them to withdraw upon a successful loan repayment", async function () {
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
       await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -128,49 +150,61 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+
+      // Check for emission of a FundsCredited event for the lender when the borrower repays the loan
+      await expect(borrowerContract
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
+        .to.emit(borrowerContract, "FundsCredited")
+        .withArgs(lender.address, ethers.ZeroAddress, repaymentAmount);
 
-      // Get the lender's wallet balance before the loan is repaid
+      // Confirm that the loan has been marked as repaid and the repayment is waiting for the lender
+      const repaidLoan = await borrowerContract.loans(loanId);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
+      expect(await borrowerContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(repaymentAmount);
+
+      // Get the lender's wallet balance before they withdraw the repayment
       const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
 
-      // Have the borrower repay the loan
-      await borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount });
+      // Have the lender withdraw the repayment
+      const withdrawTx = await borrowerContract
+        .connect(lender)
+        .withdraw(ethers.ZeroAddress);
 
-      // Confirm that the loan has been marked as repaid
-      const repaidLoan = await borrowerContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      // Get the transaction receipt to determine gas costs
+      const receipt = await withdrawTx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
 
-      // Get the lender's wallet balance after the loan is repaid
+      // Get the lender's wallet balance after they withdraw the repayment
       const lenderBalanceAfter = await ethers.provider.getBalance(lender.address);
 
-      // Calculate the difference in the lender's balance before and after the loan is repaid
+      // Calculate the difference in the lender's balance before and after the withdrawal
       const balanceDifference = lenderBalanceAfter - lenderBalanceBefore;
 
-      // Verify that the balance difference is equal to the loan amount
-      expect(balanceDifference).to.equal(repaymentAmount);
+      // Verify that the balance difference is equal to the repayment amount minus gas fees
+      expect(balanceDifference).to.equal(repaymentAmount - gasCost);
     });
 
-    // This test is actually the same as the next one -- I only duplicated them for clarity's sake when looking at the testing output
     it("Should subtract the repayment amount (plus gas costs) from the borrower's address upon a successful loan repayment", async function () {
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
-      await borrowerContract.depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+      await borrowerContract.depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -180,21 +214,21 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
 
       // Get the borrower's wallet balance before the loan is repaid
       const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
 
       // Have the borrower repay the loan
       const repayTx = await borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount });
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount });
 
       // Confirm that the loan has been marked as repaid
       const repaidLoan = await borrowerContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
 
       // Get the transaction receipt to determine gas costs
       const receipt = await repayTx.wait();
@@ -203,31 +237,31 @@ function runRepayLoanTests() {
       // Get the borrower's wallet balance after the loan is repaid
       const borrowerBalanceAfter = await ethers.provider.getBalance(borrower.address);
 
-      // Calculate the difference in the borrower's balance (including gas costs and collateral) before and after the loan is repaid
-      const expectedDifference = repaymentAmount + gasCost - collateralAmount;
+      // Calculate the difference in the borrower's balance (including gas costs) before and after the loan is repaid
+      const expectedDifference = repaymentAmount + gasCost;
       const actualDifference = borrowerBalanceBefore - borrowerBalanceAfter;
 
-      // Verify that the balance difference is equal to the loan amount plus gas fees and minus collateral
+      // Verify that the balance difference is equal to the repayment amount plus gas fees
       expect(actualDifference).to.equal(expectedDifference);
     });
 
-    // This test is the same as the previous one
-    it("Should return the collateral to the borrower's address upon a successful loan repayment", async function () {
+    it("Should credit the collateral to the borrower for them to withdraw upon a successful loan repayment", async function () {
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
-      await borrowerContract.depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+      await borrowerContract.depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -237,35 +271,36 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
 
-      // Get the borrower's wallet balance before the loan is repaid
-      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
-
-      // Have the borrower repay the loan
-      const repayTx = await borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount });
+      // Have the borrower repay the loan, checking for emission of a FundsCredited event for the collateral
+      await expect(borrowerContract
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
+        .to.emit(borrowerContract, "FundsCredited")
+        .withArgs(borrower.address, ethers.ZeroAddress, collateralAmount);
 
       // Confirm that the loan has been marked as repaid
       const repaidLoan = await borrowerContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
+
+      // Get the borrower's wallet balance before they withdraw the collateral
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+
+      // Have the borrower withdraw their credited ETH (the collateral, along with the loan amount they never withdrew)
+      const withdrawTx = await borrowerContract.withdraw(ethers.ZeroAddress);
 
       // Get the transaction receipt to determine gas costs
-      const receipt = await repayTx.wait();
+      const receipt = await withdrawTx.wait();
       const gasCost = receipt.gasUsed * receipt.gasPrice;
 
-      // Get the borrower's wallet balance after the loan is repaid
+      // Get the borrower's wallet balance after they withdraw the collateral
       const borrowerBalanceAfter = await ethers.provider.getBalance(borrower.address);
 
-      // Calculate the difference in the borrower's balance (including gas costs and collateral) before and after the loan is repaid
-      const expectedDifference = repaymentAmount + gasCost - collateralAmount;
-      const actualDifference = borrowerBalanceBefore - borrowerBalanceAfter;
-
-      // Verify that the balance difference is equal to the loan amount plus gas fees and minus collateral
-      expect(actualDifference).to.equal(expectedDifference);
+      // Verify that the borrower received the loan amount they had not yet withdrawn plus the collateral, minus gas fees
+      expect(borrowerBalanceAfter - borrowerBalanceBefore).to.equal(loanAmount + collateralAmount - gasCost);
     });
 
     it("Should not allow a borrower to repay a loan that does not exist", async function () {
@@ -274,71 +309,57 @@ function runRepayLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const loanAmount = BigInt(2);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = loanAmount + ((loanAmount * BigInt(interestRate)) / BigInt(100));
+      // Calculate a year's worth of interest on the loan
+      const repaymentAmount = loanAmount + calculateInterest(loanAmount, interestRate, SECONDS_PER_YEAR);
 
       // Attempt to have a borrower repay a loan that has not been requested
       const loanId = 0;
-      expect(collateralizedLoanContract
+      await expect(collateralizedLoanContract
         .connect(borrower)
-        .repayLoan(loanId, { value: repaymentAmount }))
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
         .to.be.revertedWith("Loan does not exist");
     });
 
-    // For practical reasons this test is not truly exhaustive -- it tests only 19 non-borrower addresses
-    it("Should not allow anyone but the borrower of the loan to repay the loan", async function () {
-      const accounts = await ethers.getSigners(); // Supplies 20 test accounts (including the borrower)
+    it("Should let anyone repay the loan on the borrower's behalf, returning the collateral to the borrower", async function () {
+      const [, , , repayer] = await ethers.getSigners();
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
-
-      // Save a contract instance with a borrower connected
-      const borrowerContract = collateralizedLoanContract.connect(borrower);
-
-      // Have the borrower request a loan
-      await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+      const loanAmount = BigInt(2);
 
-      // Have a lender fund the loan
+      // Have the borrower request a loan, and a lender fund it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
       const loanId = 0;
-      await borrowerContract
+      await collateralizedLoanContract
         .connect(lender)
         .fundLoan(loanId, { value: loanAmount });
 
-      // Verify that the loan is marked as being funded
-      const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
-
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
-
-      // Try to repay the loan with non-borrower accounts
-      for (const account of accounts) {
-        if (account.address !== borrower.address) {
-          await expect(
-            borrowerContract
-              .connect(account)
-              .repayLoan(loanId, { value: repaymentAmount }))
-            .to.be.revertedWith("Only the borrower can repay this loan");
-        }
-      }
-
-      // Confirm that the actual borrower can still repay successfully
-      await borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount });
+      // Have another account repay the loan in full
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await expect(collateralizedLoanContract
+        .connect(repayer)
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
+        .to.emit(collateralizedLoanContract, "LoanRepaid");
 
       // Confirm that the loan has been marked as repaid
       const repaidLoan = await collateralizedLoanContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
+
+      // Verify that the collateral went back to the borrower and the repayment to the lender, leaving the repayer nothing
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount + collateralAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(repaymentAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(repayer.address, ethers.ZeroAddress)).to.equal(0);
     });
 
     it("Should not allow a borrower to repay a loan that has not been funded", async function () {
@@ -347,31 +368,74 @@ function runRepayLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
       await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Use interest rate to calculate loan repayment amouont
       const loanId = 0;
       const loan = await borrowerContract.loans(loanId);
-      const repaymentAmount = loanAmount + ((loanAmount * BigInt(interestRate)) / BigInt(100));
+      const repaymentAmount = loanAmount + calculateInterest(loanAmount, interestRate, duration);
 
       // Attempt to have the borrower repay the loan
-      expect(borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount }))
+      await expect(borrowerContract
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
         .to.be.revertedWith("Loan has not yet been funded");
 
       // Confirm that the loan has been marked as neither funded nor repaid
-      expect(loan.isFunded).to.equal(false);
-      expect(loan.isRepaid).to.equal(false);
+      expect(loan.status).to.equal(LoanStatus.Requested);
+    });
+
+    it("Should let the borrower repay a loan that was funded late for its full duration", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(3600);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request a loan
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Fast forward time past the point where the loan would have been due, had it started when it was requested
+      await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
+      await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
+
+      // Have a lender fund the loan before its funding deadline
+      const loanId = 0;
+      await borrowerContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Fast forward time to shortly before the loan's due date
+      await ethers.provider.send("evm_increaseTime", [Number(duration) - 10]);
+      await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
+
+      // Have the borrower repay the loan
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await borrowerContract
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount });
+
+      // Confirm that the loan has been marked as repaid
+      const repaidLoan = await borrowerContract.loans(loanId);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
     });
 
     it("Should not allow a borrower to repay a loan that has expired", async function () {
@@ -380,17 +444,18 @@ function runRepayLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
       await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -400,23 +465,23 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
-
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
       // Fast forward time past the loan's due date
       await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
       await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
 
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+
       // Attempt to have the borrower repay the loan
       await expect(borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount }))
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
         .to.be.revertedWith("Loan has expired and cannot be repaid");
 
       // Verify that the loan has not been marked as being repaid
       const defaultedLoan = await borrowerContract.loans(loanId);
-      expect(defaultedLoan.isRepaid).to.equal(false);
+      expect(defaultedLoan.status).to.equal(LoanStatus.Funded);
     });
 
     it("Should not allow a borrower to repay a loan that has already been repaid", async function () {
@@ -425,17 +490,18 @@ function runRepayLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
       await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -445,46 +511,82 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       const fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Use interest rate to calculate loan repayment amouont
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      // Calculate the amount owed (principal plus interest accrued so far) when the loan is repaid
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
 
       // Have the borrower repay the loan
       await borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount });
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount });
 
       // Confirm that the loan has been marked as repaid
       let repaidLoan = await borrowerContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
 
       // Attempt to have the borrower repay the loan again
       await expect(borrowerContract
-        .repayLoan(loanId, { value: repaymentAmount }))
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
         .to.be.revertedWith("Loan has already been repaid");
 
       // Confirm that the loan is still marked as being repaid
       repaidLoan = await borrowerContract.loans(loanId);
-      expect(repaidLoan.isRepaid).to.equal(true);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
     });
 
-    it("Should not allow a borrower to repay a loan with the incorrect repayment amount (either underpaying or overpaying)", async function () {
+    it("Should repay the loan in full when the borrower pays what they saw owed plus a margin, crediting back the excess", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request a loan of 1 ETH at 10% a year for 30 days against 2 ETH, and a lender fund it
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+      const collateralAmount = ethers.parseEther("2");
+      const loanAmount = ethers.parseEther("1");
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, 1000, 60 * 60 * 24 * 30, 60, { value: collateralAmount });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+
+      // A day later, have the borrower send what the loan is reported to owe plus a margin, without pinning the time the
+      // repayment is mined at, so that more interest has accrued by then than was reported
+      await ethers.provider.send("evm_increaseTime", [60 * 60 * 24]);
+      await ethers.provider.send("evm_mine");
+      const reportedAmountOwed = await borrowerContract.getAmountOwed(loanId);
+      const payment = reportedAmountOwed + ethers.parseUnits("1000", "gwei"); // Over five minutes of interest
+      await borrowerContract.repayLoan(loanId, payment, { value: payment });
+
+      // Verify that the loan was repaid in full, taking more than the reported amount but less than the payment
+      const repaidLoan = await borrowerContract.loans(loanId);
+      expect(repaidLoan.status).to.equal(LoanStatus.Repaid);
+      expect(repaidLoan.outstandingPrincipal + repaidLoan.accruedInterest).to.equal(0);
+      expect(repaidLoan.amountRepaid).to.be.greaterThan(reportedAmountOwed);
+      expect(repaidLoan.amountRepaid).to.be.lessThan(payment);
+
+      // Verify that the lender was credited what was owed, and the borrower the loan amount, the collateral and the excess
+      expect(await borrowerContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(repaidLoan.amountRepaid);
+      expect(await borrowerContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress))
+        .to.equal(loanAmount + collateralAmount + payment - repaidLoan.amountRepaid);
+    });
+
+    it("Should not allow a borrower to repay a loan with the incorrect repayment amount (either paying nothing or sending mismatched ETH)", async function () {
       const { collateralizedLoanContract, borrower, lender } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
       await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Have a lender fund the loan
       const loanId = 0;
@@ -494,34 +596,28 @@ function runRepayLoanTests() {
 
       // Verify that the loan is marked as being funded
       let fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isFunded).to.equal(true);
-
-      // Use interest rate to calculate correct loan repayment amount
-      const repaymentAmount = fundedLoan.loanAmount + ((fundedLoan.loanAmount * BigInt(fundedLoan.interestRate)) / BigInt(100));
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Deviate from the correct repayment amount in the positive direction (overpaying)
-      const incorrectRepaymentAmount1 = repaymentAmount + BigInt(1);
+      // Calculate the correct loan repayment amount (principal plus interest accrued so far)
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
 
-      // Attempt to have the borrower repay the loan with the first incorrect repayment amount
+      // Attempt to have the borrower make a repayment of nothing
       await expect(borrowerContract
-        .repayLoan(loanId, { value: incorrectRepaymentAmount1 }))
+        .repayLoan(loanId, BigInt(0), { value: BigInt(0) }))
         .to.be.revertedWith("Incorrect repayment amount");
 
       // Confirm that the loan has not been marked as being repaid
       fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isRepaid).to.equal(false);
-
-      // Deviate from the correct repayment amount in the negative direction (underpaying)
-      const incorrectRepaymentAmount2 = repaymentAmount - BigInt(1);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
 
-      // Attempt to have the borrower repay the loan with the second incorrect repayment amount
+      // Attempt to have the borrower send less ETH than the repayment they claim to be making
       await expect(borrowerContract
-        .repayLoan(loanId, { value: incorrectRepaymentAmount2 }))
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount - BigInt(1) }))
         .to.be.revertedWith("Incorrect repayment amount");
 
       // Confirm that the loan has not been marked as being repaid
       fundedLoan = await borrowerContract.loans(loanId);
-      expect(fundedLoan.isRepaid).to.equal(false);
+      expect(fundedLoan.status).to.equal(LoanStatus.Funded);
     });
   });
 }
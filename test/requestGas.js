@@ -0,0 +1,99 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender };
+}
+
+// Request a loan and return the gas it used
+async function requestLoanGasUsed(borrowerContract, loanAmount) {
+  const interestRate = BigInt(500); // 5% a year, in basis points
+  const duration = BigInt(60);
+  const fundingPeriod = BigInt(3600);
+  const collateralAmount = BigInt(3000);
+  const requestTx = await borrowerContract
+    .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+  const receipt = await requestTx.wait();
+  return receipt.gasUsed;
+}
+
+function runRequestGasTests() {
+
+  // Test suite for the gas cost of requesting loans
+  describe("Loan Request Gas Usage", function () {
+    it("Should keep the gas cost of requesting a loan flat as the number of loans grows", async function () {
+      this.timeout(300000); // Hundreds of transactions take a while to mine
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request hundreds of loans, varying the loan amount so that none is a duplicate,
+      // and record the gas used by an early request once the contract's storage has been warmed up
+      const loanCount = 300;
+      const baseLoanAmount = BigInt(1000);
+      let earlyGasUsed;
+      for (let i = 0; i < loanCount; i++) {
+        const gasUsed = await requestLoanGasUsed(borrowerContract, baseLoanAmount + BigInt(i));
+        if (i == 10) {
+          earlyGasUsed = gasUsed;
+        }
+      }
+      expect(await borrowerContract.nextLoanId()).to.equal(loanCount);
+
+      // Request one more loan and check that it costs about the same as the early one
+      // (a small allowance covers differences in calldata, not a scan over the existing loans)
+      const lateGasUsed = await requestLoanGasUsed(borrowerContract, baseLoanAmount + BigInt(loanCount));
+      expect(lateGasUsed).to.be.closeTo(earlyGasUsed, 100);
+    });
+
+    it("Should still reject a duplicate request after hundreds of loans", async function () {
+      this.timeout(300000); // Hundreds of transactions take a while to mine
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request hundreds of loans
+      const loanCount = 300;
+      const baseLoanAmount = BigInt(1000);
+      for (let i = 0; i < loanCount; i++) {
+        await requestLoanGasUsed(borrowerContract, baseLoanAmount + BigInt(i));
+      }
+
+      // Attempt to have the borrower request the very first loan again
+      await expect(requestLoanGasUsed(borrowerContract, baseLoanAmount))
+        .to.be.revertedWith(
+          `Loan with these parameters has already been requested by borrower ${borrower.address.toLowerCase()}`
+        );
+    });
+  });
+}
+
+runRequestGasTests();
+
+// Export the tests for testing in the main test script
+module.exports = runRequestGasTests;
@@ -1,13 +1,23 @@
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
 
 // Use a fixture to reduce code repetition
 async function deployCollateralizedLoanFixture() {
 
-  // Create and deploy a fresh CollateralizedLoan contract
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
   const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
-  const collateralizedLoanContract = await CollateralizedLoan.deploy();
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
 
   // Create contract owner and consumers
   const [owner, borrower, lender] = await ethers.getSigners();
@@ -25,15 +35,16 @@ function runRequestLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
 
       // Have a borrower request a loan
       await collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Confirm the loan has been created with the specified arguments
       const loanId = 0;
@@ -41,9 +52,7 @@ function runRequestLoanTests() {
       expect(loan.collateralAmount).to.equal(collateralAmount);
       expect(loan.loanAmount).to.equal(loanAmount);
       expect(loan.interestRate).to.equal(interestRate);
-      expect(loan.isFunded).to.equal(false);
-      expect(loan.isRepaid).to.equal(false);
-      expect(loan.isDefaulted).to.equal(false);
+      expect(loan.status).to.equal(LoanStatus.Requested);
     });
 
     it("Should emit a LoanRequested event upon a successful loan request", async function () {
@@ -52,25 +61,31 @@ function runRequestLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(30);
       const collateralAmount = BigInt(3);
-      const loanAmount = collateralAmount;
+      const loanAmount = BigInt(2);
       const block = await ethers.provider.getBlock("latest");
       const currentTimestamp = BigInt(block.timestamp);
-      const dueDate = currentTimestamp + duration;
+      const fundingDeadline = currentTimestamp + fundingPeriod;
 
       // Check for emission of a LoanRequested event when a borrower requests a loan
       await expect(collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount }))
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
         .to.emit(collateralizedLoanContract, "LoanRequested")
         .withArgs(
+          0, // The first loan's id
           borrower.address,
+          ethers.ZeroAddress, // Collateral is posted in ETH
           collateralAmount,
+          ethers.ZeroAddress, // The loan is paid out in ETH
           loanAmount,
           interestRate,
-          emittedDueDate => ((emittedDueDate - BigInt(dueDate)) <= BigInt(5)) // Allow 5 seconds of grace due to async operations
+          duration, // The loan's term only starts once it is funded
+          emittedFundingDeadline => ((emittedFundingDeadline - BigInt(fundingDeadline)) <= BigInt(5)), // Allow 5 seconds of grace due to async operations
+          LoanStatus.Requested
         )
     });
 
@@ -80,20 +95,22 @@ function runRequestLoanTests() {
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
 
       // Save a contract instance with a borrower connected
       const borrowerContract = collateralizedLoanContract.connect(borrower);
 
       // Have the borrower request a loan
       await borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount });
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
 
       // Attempt to have the borrower request the same loan again
       await expect(borrowerContract
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount }))
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
         .to.be.revertedWith(
           `Loan with these parameters has already been requested by borrower ${borrower.address.toLowerCase()}`
         );
@@ -102,25 +119,129 @@ function runRequestLoanTests() {
       expect(await borrowerContract.nextLoanId()).to.equal(1);
     });
 
+    it("Should let a borrower request the same terms again once the earlier request has been funded or cancelled", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Save a contract instance with a borrower connected
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+
+      // Have the borrower request a loan and have a lender fund it
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await collateralizedLoanContract.connect(lender).fundLoan(0, { value: loanAmount });
+
+      // Have the borrower request the same loan again and then cancel it
+      await borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await borrowerContract.cancelLoanRequest(1);
+
+      // Have the borrower request the same loan a third time
+      await expect(borrowerContract
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
+        .to.emit(borrowerContract, "LoanRequested");
+
+      // Verify that all three loans were requested
+      expect(await borrowerContract.nextLoanId()).to.equal(3);
+    });
+
     it("Should not let a borrower request a loan with no collateral", async function () {
       const { collateralizedLoanContract, borrower } = await loadFixture(
         deployCollateralizedLoanFixture
       );
 
       // Specify loan parameters
-      const interestRate = BigInt(1);
+      const interestRate = BigInt(500); // 5% a year, in basis points
       const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
       const collateralAmount = BigInt(0);
+      const loanAmount = BigInt(2);
 
       // Attempt to have a borrower request a loan with zero collateral
       await expect(collateralizedLoanContract
         .connect(borrower)
-        .depositCollateralAndRequestLoan(interestRate, duration, { value: collateralAmount }))
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
         .to.be.revertedWith("Collateral amount must be greater than 0");
 
       // Verify that no loan requests have been made
       expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
     });
+
+    it("Should let a borrower request a loan amount within the maximum loan-to-value ratio", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters so that the loan is exactly 80% of the collateral
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(100);
+      const loanAmount = BigInt(80);
+
+      // Have a borrower request a loan at the maximum loan-to-value ratio
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Confirm the loan records the collateral and loan amounts separately
+      const loanId = 0;
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.collateralAmount).to.equal(collateralAmount);
+      expect(loan.loanAmount).to.equal(loanAmount);
+    });
+
+    it("Should not let a borrower request a loan amount above the maximum loan-to-value ratio", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters so that the loan is just over 80% of the collateral
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(100);
+      const loanAmount = BigInt(81);
+
+      // Attempt to have a borrower request a loan above the maximum loan-to-value ratio
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
+        .to.be.revertedWith("Loan amount exceeds maximum loan-to-value ratio");
+
+      // Verify that no loan requests have been made
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+    });
+
+    it("Should not let a borrower request a loan of zero", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(0);
+
+      // Attempt to have a borrower request a loan of zero
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestLoan(loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
+        .to.be.revertedWith("Loan amount must be greater than 0");
+
+      // Verify that no loan requests have been made
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+    });
   });
 }
 
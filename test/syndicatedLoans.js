@@ -0,0 +1,264 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, firstLender, secondLender] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, firstLender, secondLender };
+}
+
+// Have the borrower request an interest-free loan of 900 wei against 1500 wei of collateral, for 60 seconds from funding
+async function requestSyndicatedLoan(collateralizedLoanContract, borrower) {
+  const loan = {
+    loanId: 0,
+    collateralAmount: BigInt(1500),
+    loanAmount: BigInt(900),
+    interestRate: BigInt(0), // Interest-free so that each lender's portion of a repayment can be checked exactly
+    duration: BigInt(60),
+    fundingPeriod: BigInt(60),
+  };
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loan.loanAmount, loan.interestRate, loan.duration, loan.fundingPeriod, { value: loan.collateralAmount });
+  return loan;
+}
+
+// Have the first lender fund a third of the loan and the second lender the remaining two thirds
+async function fundSyndicatedLoan(collateralizedLoanContract, loanId, firstLender, secondLender) {
+  await collateralizedLoanContract.connect(firstLender).fundLoanShare(loanId, 300, { value: 300 });
+  await collateralizedLoanContract.connect(secondLender).fundLoanShare(loanId, 600, { value: 600 });
+}
+
+function runSyndicatedLoansTests() {
+
+  // Test suite for loans funded by several lenders
+  describe("Syndicated Loans", function () {
+    it("Should let several lenders each fund a share of a loan until it is fully funded", async function () {
+      const { collateralizedLoanContract, borrower, firstLender, secondLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount } = await requestSyndicatedLoan(collateralizedLoanContract, borrower);
+
+      // Check for emission of a LoanShareFunded event when the first lender funds a third of the loan
+      await expect(collateralizedLoanContract
+        .connect(firstLender)
+        .fundLoanShare(loanId, 300, { value: 300 }))
+        .to.emit(collateralizedLoanContract, "LoanShareFunded")
+        .withArgs(loanId, firstLender.address, 300, 300);
+
+      // Verify that the loan is still waiting for the rest of its funding
+      let loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Requested);
+      expect(loan.amountFunded).to.equal(300);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(0);
+
+      // Check for emission of a LoanFunded event when the second lender funds the rest
+      await expect(collateralizedLoanContract
+        .connect(secondLender)
+        .fundLoanShare(loanId, 600, { value: 600 }))
+        .to.emit(collateralizedLoanContract, "LoanShareFunded")
+        .withArgs(loanId, secondLender.address, 600, loanAmount)
+        .and.to.emit(collateralizedLoanContract, "LoanFunded")
+        .withArgs(loanId, borrower.address, firstLender.address, ethers.ZeroAddress, loanAmount, anyValue => true, LoanStatus.Funded);
+
+      // Verify that the loan has started, with the first lender as its lead lender, and the borrower has been paid
+      loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+      expect(loan.lender).to.equal(firstLender.address);
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount);
+
+      // Verify that each lender's share has been recorded and the loan is listed under both of them
+      const [lenders, shares] = await collateralizedLoanContract.getLoanLenders(loanId);
+      expect(lenders).to.deep.equal([firstLender.address, secondLender.address]);
+      expect(shares).to.deep.equal([BigInt(300), BigInt(600)]);
+      expect(await collateralizedLoanContract.getLenderLoanIds(firstLender.address, 0, 10)).to.deep.equal([loanId]);
+      expect(await collateralizedLoanContract.getLenderLoanIds(secondLender.address, 0, 10)).to.deep.equal([loanId]);
+    });
+
+    it("Should not let lenders fund more than the amount still needed", async function () {
+      const { collateralizedLoanContract, borrower, firstLender, secondLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount } = await requestSyndicatedLoan(collateralizedLoanContract, borrower);
+
+      // Have the first lender fund a third of the loan
+      await collateralizedLoanContract.connect(firstLender).fundLoanShare(loanId, 300, { value: 300 });
+
+      // Attempt to fund more than the remaining two thirds, or nothing at all
+      await expect(collateralizedLoanContract.connect(secondLender).fundLoanShare(loanId, 601, { value: 601 }))
+        .to.be.revertedWith("Funding amount exceeds the amount still needed");
+      await expect(collateralizedLoanContract.connect(secondLender).fundLoanShare(loanId, 0))
+        .to.be.revertedWith("Funding amount must be greater than 0");
+
+      // Attempt to fund the whole loan with fundLoan, which only takes the amount still needed
+      await expect(collateralizedLoanContract.connect(secondLender).fundLoan(loanId, { value: loanAmount }))
+        .to.be.revertedWith("Incorrect funding amount");
+
+      // Have the second lender fund the remainder with fundLoan
+      await collateralizedLoanContract.connect(secondLender).fundLoan(loanId, { value: 600 });
+      expect((await collateralizedLoanContract.loans(loanId)).status).to.equal(LoanStatus.Funded);
+    });
+
+    it("Should split repayments between the lenders in proportion to their shares", async function () {
+      const { collateralizedLoanContract, borrower, firstLender, secondLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, collateralAmount } = await requestSyndicatedLoan(collateralizedLoanContract, borrower);
+      await fundSyndicatedLoan(collateralizedLoanContract, loanId, firstLender, secondLender);
+
+      // Have the borrower repay 300 wei, which splits evenly into thirds
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+      await borrowerContract.repayLoan(loanId, 300, { value: 300 });
+      expect(await borrowerContract.pendingWithdrawals(firstLender.address, ethers.ZeroAddress)).to.equal(100);
+      expect(await borrowerContract.pendingWithdrawals(secondLender.address, ethers.ZeroAddress)).to.equal(200);
+
+      // Have the borrower repay 100 wei, which does not, leaving the rounding remainder with the last lender
+      await borrowerContract.repayLoan(loanId, 100, { value: 100 });
+      expect(await borrowerContract.pendingWithdrawals(firstLender.address, ethers.ZeroAddress)).to.equal(100 + 33);
+      expect(await borrowerContract.pendingWithdrawals(secondLender.address, ethers.ZeroAddress)).to.equal(200 + 67);
+
+      // Have the borrower repay the rest of the loan and check that every wei went to a lender
+      await borrowerContract.repayLoan(loanId, 500, { value: 500 });
+      const firstLenderTotal = await borrowerContract.pendingWithdrawals(firstLender.address, ethers.ZeroAddress);
+      const secondLenderTotal = await borrowerContract.pendingWithdrawals(secondLender.address, ethers.ZeroAddress);
+      expect(firstLenderTotal + secondLenderTotal).to.equal(loanAmount);
+      expect(firstLenderTotal).to.equal(100 + 33 + 166);
+
+      // Verify that the collateral went back to the borrower (on top of the loan amount they have not withdrawn)
+      expect(await borrowerContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(loanAmount + collateralAmount);
+    });
+
+    it("Should split what a defaulted loan owes between the lenders in proportion to their shares", async function () {
+      const { collateralizedLoanContract, owner, borrower, firstLender, secondLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount, loanAmount, duration } = await requestSyndicatedLoan(collateralizedLoanContract, borrower);
+      await fundSyndicatedLoan(collateralizedLoanContract, loanId, firstLender, secondLender);
+
+      // Fast forward time past the loan's due date
+      await ethers.provider.send("evm_increaseTime", [Number(duration) + 1]);
+      await ethers.provider.send("evm_mine");
+
+      // Check that someone who did not lend cannot claim the collateral
+      await expect(collateralizedLoanContract.connect(owner).claimCollateral(loanId))
+        .to.be.revertedWith("Only the lender can claim the collateral of this loan");
+
+      // Have the second lender claim the collateral on behalf of both lenders
+      await expect(collateralizedLoanContract.connect(secondLender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralClaimed")
+        .withArgs(loanId, borrower.address, firstLender.address, ethers.ZeroAddress, collateralAmount, LoanStatus.Defaulted);
+
+      // Verify that each lender was credited their share of the amount owed out of the collateral
+      expect(await collateralizedLoanContract.pendingWithdrawals(firstLender.address, ethers.ZeroAddress)).to.equal(300);
+      expect(await collateralizedLoanContract.pendingWithdrawals(secondLender.address, ethers.ZeroAddress)).to.equal(600);
+
+      // Verify that the rest of the collateral went back to the borrower (on top of the loan amount they have not withdrawn)
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress))
+        .to.equal(loanAmount + collateralAmount - loanAmount);
+    });
+
+    it("Should return the lenders' shares when the borrower cancels a partly funded request", async function () {
+      const { collateralizedLoanContract, borrower, firstLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, collateralAmount } = await requestSyndicatedLoan(collateralizedLoanContract, borrower);
+
+      // Have the first lender fund a third of the loan
+      await collateralizedLoanContract.connect(firstLender).fundLoanShare(loanId, 300, { value: 300 });
+
+      // Have the borrower cancel the request
+      await collateralizedLoanContract.connect(borrower).cancelLoanRequest(loanId);
+
+      // Verify that both the collateral and the lender's share were credited back
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(collateralAmount);
+      expect(await collateralizedLoanContract.pendingWithdrawals(firstLender.address, ethers.ZeroAddress)).to.equal(300);
+      expect(await collateralizedLoanContract.lenderShares(loanId, firstLender.address)).to.equal(0);
+    });
+
+    it("Should let a lender reclaim their share once a partly funded request has expired", async function () {
+      const { collateralizedLoanContract, borrower, firstLender, secondLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, fundingPeriod } = await requestSyndicatedLoan(collateralizedLoanContract, borrower);
+
+      // Have the first lender fund a third of the loan
+      await collateralizedLoanContract.connect(firstLender).fundLoanShare(loanId, 300, { value: 300 });
+
+      // Check that the share cannot be reclaimed while the request can still be funded
+      await expect(collateralizedLoanContract.connect(firstLender).reclaimLoanShare(loanId))
+        .to.be.revertedWith("Loan request has not yet expired");
+
+      // Fast forward time past the funding deadline
+      await ethers.provider.send("evm_increaseTime", [Number(fundingPeriod) + 1]);
+      await ethers.provider.send("evm_mine");
+
+      // Check that only a lender with a share can reclaim anything
+      await expect(collateralizedLoanContract.connect(secondLender).reclaimLoanShare(loanId))
+        .to.be.revertedWith("No share to reclaim");
+
+      // Check for emission of a LoanShareReclaimed event when the first lender reclaims their share
+      await expect(collateralizedLoanContract.connect(firstLender).reclaimLoanShare(loanId))
+        .to.emit(collateralizedLoanContract, "LoanShareReclaimed")
+        .withArgs(loanId, firstLender.address, 300);
+
+      // Verify that the share was credited back and cannot be reclaimed twice
+      expect(await collateralizedLoanContract.pendingWithdrawals(firstLender.address, ethers.ZeroAddress)).to.equal(300);
+      expect((await collateralizedLoanContract.loans(loanId)).amountFunded).to.equal(0);
+      await expect(collateralizedLoanContract.connect(firstLender).reclaimLoanShare(loanId))
+        .to.be.revertedWith("No share to reclaim");
+    });
+
+    it("Should not let lenders take up every lender slot with dust shares", async function () {
+      const accounts = await ethers.getSigners(); // Supplies 20 test accounts
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount } = await requestSyndicatedLoan(collateralizedLoanContract, borrower);
+      const maxLenders = Number(await collateralizedLoanContract.MAX_LENDERS_PER_LOAN());
+      const minimumShare = loanAmount / BigInt(maxLenders); // 90 wei of the 900 wei loan
+      const lenders = accounts.slice(2, 2 + maxLenders);
+
+      // Check that a lender cannot fund a share below the minimum
+      await expect(collateralizedLoanContract.connect(lenders[0]).fundLoanShare(loanId, 1, { value: 1 }))
+        .to.be.revertedWith("Funding amount is below the minimum share");
+      await expect(collateralizedLoanContract.connect(lenders[0]).fundLoanShare(loanId, minimumShare - BigInt(1), { value: minimumShare - BigInt(1) }))
+        .to.be.revertedWith("Funding amount is below the minimum share");
+
+      // Have the first lender fund 200 wei and seven more lenders the minimum share each, leaving 70 wei to fund
+      await collateralizedLoanContract.connect(lenders[0]).fundLoanShare(loanId, 200, { value: 200 });
+      for (const lender of lenders.slice(1, 8)) {
+        await collateralizedLoanContract.connect(lender).fundLoanShare(loanId, minimumShare, { value: minimumShare });
+      }
+
+      // Check that a share below the minimum is still refused unless it completes the funding, which is always allowed
+      await expect(collateralizedLoanContract.connect(lenders[8]).fundLoanShare(loanId, 69, { value: 69 }))
+        .to.be.revertedWith("Funding amount is below the minimum share");
+      await expect(collateralizedLoanContract.connect(lenders[8]).fundLoanShare(loanId, 70, { value: 70 }))
+        .to.emit(collateralizedLoanContract, "LoanFunded");
+      expect(await collateralizedLoanContract.getLoanStatus(loanId)).to.equal(LoanStatus.Funded);
+    });
+  });
+}
+
+runSyndicatedLoansTests();
+
+// Export the tests for testing in the main test script
+module.exports = runSyndicatedLoansTests;
@@ -0,0 +1,268 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers, a second lender and a guarantor
+  const [owner, borrower, lender, otherLender, guarantor] = await ethers.getSigners();
+
+  return { collateralizedLoanContract, owner, borrower, lender, otherLender, guarantor };
+}
+
+// Have the borrower request an interest-free loan of 1000 wei against 2000 wei for 60 seconds, and the lender fund it
+async function requestAndFundLoan(collateralizedLoanContract, borrower, lender) {
+  const collateralAmount = BigInt(2000);
+  const loanAmount = BigInt(1000);
+  await collateralizedLoanContract
+    .connect(borrower)
+    .depositCollateralAndRequestLoan(loanAmount, 0, 60, 60, { value: collateralAmount });
+  const loanId = 0;
+  await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: loanAmount });
+  const { dueDate } = await collateralizedLoanContract.loans(loanId);
+  return { loanId, collateralAmount, loanAmount, dueDate };
+}
+
+function runTermExtensionTests() {
+
+  // Test suite for extending the term of funded loans by agreement between the borrower and the lender
+  describe("Term Extensions", function () {
+    it("Should move the due date and add the extra interest when the lender accepts the borrower's proposal", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Check for emission of a TermExtensionProposed event when the borrower asks for another week for 100 wei
+      const newDueDate = dueDate + BigInt(7 * 24 * 60 * 60);
+      const proposeTx = await collateralizedLoanContract.connect(borrower).proposeTermExtension(loanId, newDueDate, 100);
+      const expiry = BigInt(await time.latest()) + await collateralizedLoanContract.TERM_EXTENSION_PROPOSAL_PERIOD();
+      await expect(proposeTx)
+        .to.emit(collateralizedLoanContract, "TermExtensionProposed")
+        .withArgs(loanId, borrower.address, newDueDate, 100, expiry);
+
+      // Check that the loan keeps its terms until the lender accepts
+      expect((await collateralizedLoanContract.loans(loanId)).dueDate).to.equal(dueDate);
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(loanAmount);
+
+      // Check for emission of a TermExtensionAccepted event, and that the proposal is then cleared
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, newDueDate, 100))
+        .to.emit(collateralizedLoanContract, "TermExtensionAccepted")
+        .withArgs(loanId, lender.address, dueDate, newDueDate, 100);
+      expect((await collateralizedLoanContract.termExtensionProposals(loanId)).expiry).to.equal(0);
+
+      // Verify that the loan is now due later, and owes the extra interest
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.dueDate).to.equal(newDueDate);
+      expect(loan.duration).to.equal(newDueDate - loan.startDate);
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(loanAmount + BigInt(100));
+
+      // Check that the lender cannot claim the collateral after the original due date, only after the new one
+      await time.increaseTo(dueDate + BigInt(1));
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.be.revertedWith("Loan is not yet past due date");
+      await collateralizedLoanContract.connect(borrower).repayLoan(loanId, loanAmount + BigInt(100), { value: loanAmount + BigInt(100) });
+      expect(await collateralizedLoanContract.pendingWithdrawals(lender.address, ethers.ZeroAddress)).to.equal(loanAmount + BigInt(100));
+    });
+
+    it("Should only let the borrower of an active loan propose a later due date", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Attempt to propose an extension for a loan that does not exist, and for a request that has not been funded
+      await expect(collateralizedLoanContract.connect(borrower).proposeTermExtension(0, 0, 0))
+        .to.be.revertedWith("Loan does not exist");
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(1000, 0, 60, 60, { value: 2000 });
+      await expect(collateralizedLoanContract.connect(borrower).proposeTermExtension(0, 0, 0))
+        .to.be.revertedWith("Loan is not active");
+
+      // Once the loan is funded, attempt to propose as someone other than the borrower, and to propose an earlier due date
+      await collateralizedLoanContract.connect(lender).fundLoan(0, { value: 1000 });
+      const { dueDate } = await collateralizedLoanContract.loans(0);
+      await expect(collateralizedLoanContract.connect(lender).proposeTermExtension(0, dueDate + BigInt(60), 0))
+        .to.be.revertedWith("Only the borrower can propose a term extension for this loan");
+      await expect(collateralizedLoanContract.connect(borrower).proposeTermExtension(0, dueDate, 0))
+        .to.be.revertedWith("New due date must be later than the current one");
+
+      // Have the borrower propose twice, and verify that the second proposal replaces the first
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(0, dueDate + BigInt(60), 10);
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(0, dueDate + BigInt(120), 20);
+      const proposal = await collateralizedLoanContract.termExtensionProposals(0);
+      expect(proposal.newDueDate).to.equal(dueDate + BigInt(120));
+      expect(proposal.extraInterest).to.equal(20);
+    });
+
+    it("Should only accept a proposal on the terms the lender expects, so the borrower cannot swap it out first", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, dueDate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower propose another week for 100 wei, then replace it with ten years for nothing
+      const proposedDueDate = dueDate + BigInt(7 * 24 * 60 * 60);
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(loanId, proposedDueDate, 100);
+      const replacementDueDate = dueDate + BigInt(3650 * 24 * 60 * 60);
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(loanId, replacementDueDate, 0);
+
+      // Check that the lender's acceptance of the first proposal does not accept the replacement
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, proposedDueDate, 100))
+        .to.be.revertedWith("Terms do not match the borrower's proposal");
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, replacementDueDate, 100))
+        .to.be.revertedWith("Terms do not match the borrower's proposal");
+      expect((await collateralizedLoanContract.loans(loanId)).dueDate).to.equal(dueDate);
+
+      // Have the lender accept the replacement knowingly, on its own terms
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, replacementDueDate, 0))
+        .to.emit(collateralizedLoanContract, "TermExtensionAccepted")
+        .withArgs(loanId, lender.address, dueDate, replacementDueDate, 0);
+    });
+
+    it("Should let the lender reject a proposal, leaving the loan's terms unchanged", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Attempt to answer a proposal before one has been made
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, dueDate + BigInt(60), 5))
+        .to.be.revertedWith("No term extension has been proposed for this loan");
+      await expect(collateralizedLoanContract.connect(lender).rejectTermExtension(loanId))
+        .to.be.revertedWith("No term extension has been proposed for this loan");
+
+      // Have the borrower propose an extension, and check that the borrower cannot answer it themselves
+      const newDueDate = dueDate + BigInt(60);
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(loanId, newDueDate, 5);
+      await expect(collateralizedLoanContract.connect(borrower).acceptTermExtension(loanId, newDueDate, 5))
+        .to.be.revertedWith("Only the lender can answer a term extension proposal for this loan");
+      await expect(collateralizedLoanContract.connect(borrower).rejectTermExtension(loanId))
+        .to.be.revertedWith("Only the lender can answer a term extension proposal for this loan");
+
+      // Check for emission of a TermExtensionRejected event, after which the proposal can no longer be accepted
+      await expect(collateralizedLoanContract.connect(lender).rejectTermExtension(loanId))
+        .to.emit(collateralizedLoanContract, "TermExtensionRejected")
+        .withArgs(loanId, lender.address, newDueDate, 5);
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, newDueDate, 5))
+        .to.be.revertedWith("No term extension has been proposed for this loan");
+      expect((await collateralizedLoanContract.loans(loanId)).dueDate).to.equal(dueDate);
+      expect(await collateralizedLoanContract.getAmountOwed(loanId)).to.equal(loanAmount);
+    });
+
+    it("Should not let a proposal be accepted once it has expired", async function () {
+      const { collateralizedLoanContract, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, dueDate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower ask for another 30 days, and let the proposal period pass with the loan now past due
+      const newDueDate = dueDate + BigInt(30 * 24 * 60 * 60);
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(loanId, newDueDate, 0);
+      const { expiry } = await collateralizedLoanContract.termExtensionProposals(loanId);
+      await time.increaseTo(expiry + BigInt(1));
+
+      // Check that the lender can no longer accept the proposal, and can claim the collateral instead
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, newDueDate, 0))
+        .to.be.revertedWith("Term extension proposal has expired");
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.emit(collateralizedLoanContract, "CollateralClaimed");
+    });
+
+    it("Should only let a loan with several lenders be extended by whoever holds all of its notes", async function () {
+      const { collateralizedLoanContract, borrower, lender, otherLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request a loan, funded half each by two lenders, and propose an extension
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(1000, 0, 60, 60, { value: 2000 });
+      await collateralizedLoanContract.connect(lender).fundLoanShare(0, 500, { value: 500 });
+      await collateralizedLoanContract.connect(otherLender).fundLoanShare(0, 500, { value: 500 });
+      const { dueDate } = await collateralizedLoanContract.loans(0);
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(0, dueDate + BigInt(60), 0);
+
+      // Check that neither lender can answer the proposal alone
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(0, dueDate + BigInt(60), 0))
+        .to.be.revertedWith("Only the lender can answer a term extension proposal for this loan");
+      await expect(collateralizedLoanContract.connect(otherLender).rejectTermExtension(0))
+        .to.be.revertedWith("Only the lender can answer a term extension proposal for this loan");
+
+      // Have the second lender sell their note to the first, who can then accept the proposal
+      const loanNote = await ethers.getContractAt("LoanNote", await collateralizedLoanContract.loanNote());
+      await loanNote.connect(otherLender).transferFrom(otherLender.address, lender.address, 1);
+      await expect(collateralizedLoanContract.connect(lender).acceptTermExtension(0, dueDate + BigInt(60), 0))
+        .to.emit(collateralizedLoanContract, "TermExtensionAccepted");
+      expect((await collateralizedLoanContract.loans(0)).dueDate).to.equal(dueDate + BigInt(60));
+    });
+
+    it("Should drop a pending proposal when the loan is refinanced, so the new lender cannot accept it", async function () {
+      const { collateralizedLoanContract, borrower, lender, otherLender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+      const { loanId, loanAmount, dueDate } = await requestAndFundLoan(collateralizedLoanContract, borrower, lender);
+
+      // Have the borrower propose an extension to the current lender, then have the loan refinanced by another lender
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(loanId, dueDate + BigInt(60), 0);
+      const duration = BigInt(30 * 24 * 60 * 60);
+      await collateralizedLoanContract.connect(borrower).setRefinanceTerms(loanId, 0, duration);
+      await collateralizedLoanContract.connect(otherLender).refinanceLoan(loanId, 0, duration, { value: loanAmount });
+
+      // Check that the proposal is gone, and that the new lender cannot pull the refinanced loan's due date back with it
+      const { expiry } = await collateralizedLoanContract.termExtensionProposals(loanId);
+      expect(expiry).to.equal(0);
+      const { dueDate: refinancedDueDate } = await collateralizedLoanContract.loans(loanId);
+      await expect(collateralizedLoanContract.connect(otherLender).acceptTermExtension(loanId, dueDate + BigInt(60), 0))
+        .to.be.revertedWith("No term extension has been proposed for this loan");
+      expect((await collateralizedLoanContract.loans(loanId)).dueDate).to.equal(refinancedDueDate);
+    });
+
+    it("Should have the lender call on the guarantor afresh if a loan extended after a call defaults again", async function () {
+      const { collateralizedLoanContract, borrower, lender, guarantor } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request a guaranteed loan, which the lender funds
+      await collateralizedLoanContract.connect(borrower).depositCollateralAndRequestLoan(1000, 0, 60, 60, { value: 2000 });
+      const loanId = 0;
+      await collateralizedLoanContract.connect(borrower).setGuarantor(loanId, guarantor.address);
+      await collateralizedLoanContract.connect(lender).fundLoan(loanId, { value: 1000 });
+      const { dueDate } = await collateralizedLoanContract.loans(loanId);
+
+      // Have the lender call on the guarantor once the loan is past due, and then accept an extension from the borrower
+      await time.increaseTo(dueDate + BigInt(1));
+      await collateralizedLoanContract.connect(lender).callGuarantor(loanId);
+      const newDueDate = dueDate + BigInt(30 * 24 * 60 * 60);
+      await collateralizedLoanContract.connect(borrower).proposeTermExtension(loanId, newDueDate, 0);
+      await collateralizedLoanContract.connect(lender).acceptTermExtension(loanId, newDueDate, 0);
+      expect((await collateralizedLoanContract.guarantees(loanId)).calledAt).to.equal(0);
+
+      // Check that once the loan is past its new due date, the old call does not let the lender claim the collateral
+      await time.increaseTo(newDueDate + BigInt(1));
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.be.revertedWith("Guarantor has not yet been called on");
+
+      // Have the lender call on the guarantor again, giving them a fresh guarantee period
+      await expect(collateralizedLoanContract.connect(lender).callGuarantor(loanId))
+        .to.emit(collateralizedLoanContract, "GuarantorCalled");
+      await expect(collateralizedLoanContract.connect(lender).claimCollateral(loanId))
+        .to.be.revertedWith("Guarantor still has time to cover the loan");
+    });
+  });
+}
+
+runTermExtensionTests();
+
+// Export the tests for testing in the main test script
+module.exports = runTermExtensionTests;
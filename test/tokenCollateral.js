@@ -0,0 +1,235 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { LoanStatus } = require("../utils/loanStatus");
+const { calculateAmountOwed } = require("../utils/interest");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  // Deploy a mock ERC-20 token to post as collateral and mint some to the borrower
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const collateralToken = await MockERC20.deploy("Wrapped Bitcoin", "WBTC");
+  await collateralToken.mint(borrower.address, BigInt(1000));
+
+  return { collateralizedLoanContract, collateralToken, owner, borrower, lender };
+}
+
+// Pin the timestamp of the next block so that the amount owed when a loan is repaid in it can be calculated exactly
+async function getAmountOwedAtNextBlock(collateralizedLoanContract, loanId) {
+  const block = await ethers.provider.getBlock("latest");
+  const repaymentTimestamp = BigInt(block.timestamp) + BigInt(1);
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(repaymentTimestamp)]);
+  return calculateAmountOwed(await collateralizedLoanContract.loans(loanId), repaymentTimestamp);
+}
+
+function runTokenCollateralTests() {
+
+  // Test suite for loans collateralized by ERC-20 tokens
+  describe("ERC-20 Token Collateral", function () {
+    it("Should let a borrower deposit token collateral and request a new loan", async function () {
+      const { collateralizedLoanContract, collateralToken, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(100);
+      const loanAmount = BigInt(2);
+      const collateralTokenAddress = await collateralToken.getAddress();
+      const contractAddress = await collateralizedLoanContract.getAddress();
+
+      // Have the borrower approve the contract to escrow their collateral
+      await collateralToken.connect(borrower).approve(contractAddress, collateralAmount);
+
+      // Have the borrower request a loan, checking for emission of a LoanRequested event
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(collateralTokenAddress, collateralAmount, loanAmount, interestRate, duration, fundingPeriod))
+        .to.emit(collateralizedLoanContract, "LoanRequested")
+        .withArgs(0, borrower.address, collateralTokenAddress, collateralAmount, ethers.ZeroAddress, loanAmount, interestRate, duration, anyValue => true, LoanStatus.Requested);
+
+      // Confirm the loan records the collateral token
+      const loanId = 0;
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.collateralToken).to.equal(collateralTokenAddress);
+      expect(loan.collateralAmount).to.equal(collateralAmount);
+      expect(loan.loanAmount).to.equal(loanAmount);
+
+      // Verify that the collateral is now held by the contract
+      expect(await collateralToken.balanceOf(contractAddress)).to.equal(collateralAmount);
+      expect(await collateralToken.balanceOf(borrower.address)).to.equal(BigInt(1000) - collateralAmount);
+    });
+
+    it("Should not let a borrower request a loan without approving the collateral tokens", async function () {
+      const { collateralizedLoanContract, collateralToken, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(100);
+      const loanAmount = BigInt(2);
+
+      // Attempt to have the borrower request a loan without approving the contract first
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(await collateralToken.getAddress(), collateralAmount, loanAmount, interestRate, duration, fundingPeriod))
+        .to.be.revertedWithCustomError(collateralToken, "ERC20InsufficientAllowance");
+
+      // Verify that no loan requests have been made
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+    });
+
+    it("Should not let a borrower request a loan with no token collateral", async function () {
+      const { collateralizedLoanContract, collateralToken, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(0);
+      const loanAmount = BigInt(2);
+
+      // Attempt to have the borrower request a loan with zero collateral
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(await collateralToken.getAddress(), collateralAmount, loanAmount, interestRate, duration, fundingPeriod))
+        .to.be.revertedWith("Collateral amount must be greater than 0");
+
+      // Attempt to have the borrower request a loan against the zero address
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(ethers.ZeroAddress, BigInt(100), loanAmount, interestRate, duration, fundingPeriod))
+        .to.be.revertedWith("Collateral token cannot be the zero address");
+
+      // Verify that no loan requests have been made
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+    });
+
+    it("Should return the token collateral to the borrower upon a successful loan repayment and withdrawal", async function () {
+      const { collateralizedLoanContract, collateralToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(100);
+      const loanAmount = BigInt(2);
+      const contractAddress = await collateralizedLoanContract.getAddress();
+
+      // Have the borrower request a loan against their tokens
+      await collateralToken.connect(borrower).approve(contractAddress, collateralAmount);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(await collateralToken.getAddress(), collateralAmount, loanAmount, interestRate, duration, fundingPeriod);
+
+      // Have a lender fund the loan
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Have the borrower repay the loan along with the interest accrued so far
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount });
+
+      // Verify that the collateral tokens were credited back to the borrower
+      const collateralTokenAddress = await collateralToken.getAddress();
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, collateralTokenAddress)).to.equal(collateralAmount);
+
+      // Have the borrower withdraw the collateral tokens
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .withdraw(collateralTokenAddress))
+        .to.emit(collateralizedLoanContract, "FundsWithdrawn")
+        .withArgs(borrower.address, collateralTokenAddress, collateralAmount);
+
+      // Verify that the collateral tokens went back to the borrower
+      expect(await collateralToken.balanceOf(contractAddress)).to.equal(0);
+      expect(await collateralToken.balanceOf(borrower.address)).to.equal(BigInt(1000));
+    });
+
+    it("Should send the token collateral to the lender if nobody buys it at auction after the loan defaults", async function () {
+      const { collateralizedLoanContract, collateralToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(100);
+      const loanAmount = BigInt(2);
+      const contractAddress = await collateralizedLoanContract.getAddress();
+
+      // Have the borrower request a loan against their tokens
+      await collateralToken.connect(borrower).approve(contractAddress, collateralAmount);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositTokenCollateralAndRequestLoan(await collateralToken.getAddress(), collateralAmount, loanAmount, interestRate, duration, fundingPeriod);
+
+      // Have a lender fund the loan
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount });
+
+      // Fast forward time past the loan's due date
+      await ethers.provider.send("evm_increaseTime", [Number(duration) + 100]); // Add 100 seconds to be sure
+      await ethers.provider.send("evm_mine"); // Mine a new block to apply the time change
+
+      // Have the lender claim the collateral, putting it up for auction
+      await collateralizedLoanContract
+        .connect(lender)
+        .claimCollateral(loanId);
+
+      // Fast forward time past the end of the auction, and have the lender take and withdraw the unsold collateral
+      const auctionDuration = await collateralizedLoanContract.AUCTION_DURATION();
+      await ethers.provider.send("evm_increaseTime", [Number(auctionDuration) + 1]);
+      await ethers.provider.send("evm_mine");
+      await collateralizedLoanContract
+        .connect(lender)
+        .claimUnsoldCollateral(loanId);
+      await collateralizedLoanContract
+        .connect(lender)
+        .withdraw(await collateralToken.getAddress());
+
+      // Verify that the collateral tokens were seized by the lender
+      expect(await collateralToken.balanceOf(contractAddress)).to.equal(0);
+      expect(await collateralToken.balanceOf(lender.address)).to.equal(collateralAmount);
+    });
+  });
+}
+
+// Run the tests from just this file
+runTokenCollateralTests();
+
+// Export the tests for testing in the main test script
+module.exports = runTokenCollateralTests;
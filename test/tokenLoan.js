@@ -0,0 +1,264 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { calculateAmountOwed } = require("../utils/interest");
+const { LoanStatus } = require("../utils/loanStatus");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  // Deploy a mock stablecoin to denominate loans in and mint some to both parties
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const loanToken = await MockERC20.deploy("USD Coin", "USDC");
+  await loanToken.mint(borrower.address, BigInt(1000));
+  await loanToken.mint(lender.address, BigInt(10000));
+
+  return { collateralizedLoanContract, loanToken, owner, borrower, lender };
+}
+
+// Pin the timestamp of the next block so that the amount owed when a loan is repaid in it can be calculated exactly
+async function getAmountOwedAtNextBlock(collateralizedLoanContract, loanId) {
+  const block = await ethers.provider.getBlock("latest");
+  const repaymentTimestamp = BigInt(block.timestamp) + BigInt(1);
+  await ethers.provider.send("evm_setNextBlockTimestamp", [Number(repaymentTimestamp)]);
+  return calculateAmountOwed(await collateralizedLoanContract.loans(loanId), repaymentTimestamp);
+}
+
+function runTokenLoanTests() {
+
+  // Test suite for loans denominated in ERC-20 tokens
+  describe("ERC-20 Token Loans", function () {
+    it("Should let a borrower deposit collateral and request a loan denominated in a token", async function () {
+      const { collateralizedLoanContract, loanToken, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(5000);
+      const loanTokenAddress = await loanToken.getAddress();
+
+      // Have the borrower request a token loan, checking for emission of a LoanRequested event
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(loanTokenAddress, loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
+        .to.emit(collateralizedLoanContract, "LoanRequested")
+        .withArgs(0, borrower.address, ethers.ZeroAddress, collateralAmount, loanTokenAddress, loanAmount, interestRate, duration, anyValue => true, LoanStatus.Requested);
+
+      // Confirm the loan records the loan token
+      const loanId = 0;
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.collateralToken).to.equal(ethers.ZeroAddress);
+      expect(loan.collateralAmount).to.equal(collateralAmount);
+      expect(loan.loanToken).to.equal(loanTokenAddress);
+      expect(loan.loanAmount).to.equal(loanAmount);
+    });
+
+    it("Should not let a borrower request a token loan against the zero address", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+
+      // Attempt to have the borrower request a token loan without a token
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(ethers.ZeroAddress, loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount }))
+        .to.be.revertedWith("Loan token cannot be the zero address");
+
+      // Verify that no loan requests have been made
+      expect(await collateralizedLoanContract.nextLoanId()).to.equal(0);
+    });
+
+    it("Should let a lender fund a token loan by transferring tokens for the borrower to withdraw", async function () {
+      const { collateralizedLoanContract, loanToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(5000);
+      const loanTokenAddress = await loanToken.getAddress();
+
+      // Have the borrower request a token loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(loanTokenAddress, loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Have the lender approve the contract to move the principal
+      await loanToken.connect(lender).approve(await collateralizedLoanContract.getAddress(), loanAmount);
+
+      // Check for emission of a LoanFunded event when the lender funds the loan
+      const loanId = 0;
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId))
+        .to.emit(collateralizedLoanContract, "LoanFunded")
+        .withArgs(loanId, borrower.address, lender.address, loanTokenAddress, loanAmount, anyValue => true, LoanStatus.Funded);
+
+      // Have the borrower withdraw the principal
+      expect(await collateralizedLoanContract.pendingWithdrawals(borrower.address, loanTokenAddress)).to.equal(loanAmount);
+      await collateralizedLoanContract
+        .connect(borrower)
+        .withdraw(loanTokenAddress);
+
+      // Verify that the principal moved from the lender to the borrower
+      expect(await loanToken.balanceOf(borrower.address)).to.equal(BigInt(1000) + loanAmount);
+      expect(await loanToken.balanceOf(lender.address)).to.equal(BigInt(10000) - loanAmount);
+    });
+
+    it("Should not allow a lender to fund a token loan with ETH", async function () {
+      const { collateralizedLoanContract, loanToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(5000);
+
+      // Have the borrower request a token loan
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(await loanToken.getAddress(), loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+
+      // Attempt to have the lender fund the loan with ETH instead of tokens
+      const loanId = 0;
+      await expect(collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId, { value: loanAmount }))
+        .to.be.revertedWith("Incorrect funding amount");
+
+      // Verify that the loan has not been marked as being funded
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Requested);
+    });
+
+    it("Should let a borrower repay a token loan in tokens and get their ETH collateral back", async function () {
+      const { collateralizedLoanContract, loanToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(5000);
+      const loanTokenAddress = await loanToken.getAddress();
+      const contractAddress = await collateralizedLoanContract.getAddress();
+
+      // Have the borrower request a token loan and the lender fund it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(loanTokenAddress, loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await loanToken.connect(lender).approve(contractAddress, loanAmount);
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId);
+
+      // Have the borrower withdraw the principal
+      await collateralizedLoanContract
+        .connect(borrower)
+        .withdraw(loanTokenAddress);
+
+      // Have the borrower approve the contract to move the principal plus the interest accrued so far
+      await loanToken.connect(borrower).approve(contractAddress, loanAmount * BigInt(2));
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+
+      // Check for emission of a LoanRepaid event when the borrower repays the loan
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, repaymentAmount))
+        .to.emit(collateralizedLoanContract, "LoanRepaid")
+        .withArgs(loanId, borrower.address, lender.address, loanTokenAddress, repaymentAmount, LoanStatus.Repaid);
+
+      // Have both parties withdraw what they are owed
+      await collateralizedLoanContract
+        .connect(borrower)
+        .withdraw(ethers.ZeroAddress);
+      await collateralizedLoanContract
+        .connect(lender)
+        .withdraw(loanTokenAddress);
+
+      // Verify that the ETH collateral has left the contract
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(0);
+
+      // Verify that the lender received the principal plus interest in tokens
+      expect(await loanToken.balanceOf(lender.address)).to.equal(BigInt(10000) + repaymentAmount - loanAmount);
+      expect(await loanToken.balanceOf(borrower.address)).to.equal(BigInt(1000) + loanAmount - repaymentAmount);
+    });
+
+    it("Should not allow a borrower to repay a token loan with ETH", async function () {
+      const { collateralizedLoanContract, loanToken, borrower, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(500); // 5% a year, in basis points
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(5000);
+      const contractAddress = await collateralizedLoanContract.getAddress();
+
+      // Have the borrower request a token loan and the lender fund it
+      await collateralizedLoanContract
+        .connect(borrower)
+        .depositCollateralAndRequestTokenLoan(await loanToken.getAddress(), loanAmount, interestRate, duration, fundingPeriod, { value: collateralAmount });
+      await loanToken.connect(lender).approve(contractAddress, loanAmount);
+      const loanId = 0;
+      await collateralizedLoanContract
+        .connect(lender)
+        .fundLoan(loanId);
+
+      // Attempt to have the borrower repay the loan with ETH instead of tokens
+      const repaymentAmount = await getAmountOwedAtNextBlock(collateralizedLoanContract, loanId);
+      await expect(collateralizedLoanContract
+        .connect(borrower)
+        .repayLoan(loanId, repaymentAmount, { value: repaymentAmount }))
+        .to.be.revertedWith("Incorrect repayment amount");
+
+      // Verify that the loan has not been marked as being repaid
+      const loan = await collateralizedLoanContract.loans(loanId);
+      expect(loan.status).to.equal(LoanStatus.Funded);
+    });
+  });
+}
+
+// Run the tests from just this file
+runTokenLoanTests();
+
+// Export the tests for testing in the main test script
+module.exports = runTokenLoanTests;
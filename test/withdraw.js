@@ -0,0 +1,144 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Use a fixture to reduce code repetition
+async function deployCollateralizedLoanFixture() {
+
+  // Create and deploy a fresh CollateralizedLoan contract with a maximum loan-to-value ratio of 80%,
+  // and no grace period, late fee or liquidation penalty after a loan's due date
+  const maxLoanToValue = BigInt(80);
+  const gracePeriod = BigInt(0);
+  const lateFeeRate = BigInt(0);
+  const liquidationPenalty = BigInt(0);
+  const CollateralizedLoanExtension = await ethers.getContractFactory("CollateralizedLoanExtension");
+  const extension = await CollateralizedLoanExtension.deploy();
+  const CollateralizedLoanModificationExtension = await ethers.getContractFactory("CollateralizedLoanModificationExtension");
+  const modificationExtension = await CollateralizedLoanModificationExtension.deploy();
+  const CollateralizedLoan = await ethers.getContractFactory("CollateralizedLoan");
+  const collateralizedLoanContract = await CollateralizedLoan.deploy(maxLoanToValue, gracePeriod, lateFeeRate, liquidationPenalty, await extension.getAddress(), await modificationExtension.getAddress());
+
+  // Create contract owner and consumers
+  const [owner, borrower, lender] = await ethers.getSigners();
+
+  // Deploy a smart-contract wallet for each of the borrower and the lender
+  const ContractWallet = await ethers.getContractFactory("ContractWallet");
+  const borrowerWallet = await ContractWallet.connect(borrower).deploy();
+  const lenderWallet = await ContractWallet.connect(lender).deploy();
+
+  return { collateralizedLoanContract, owner, borrower, lender, borrowerWallet, lenderWallet };
+}
+
+function runWithdrawTests() {
+
+  // Test suite for withdrawing credited funds
+  describe("Withdrawing Funds", function () {
+    it("Should let smart-contract wallets that need more than 2300 gas to receive ETH borrow, lend and withdraw", async function () {
+      const { collateralizedLoanContract, borrower, lender, borrowerWallet, lenderWallet } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Specify loan parameters
+      const interestRate = BigInt(0);
+      const duration = BigInt(60);
+      const fundingPeriod = BigInt(60);
+      const collateralAmount = BigInt(3);
+      const loanAmount = BigInt(2);
+      const loanId = 0;
+      const contractAddress = await collateralizedLoanContract.getAddress();
+      const borrowerWalletAddress = await borrowerWallet.getAddress();
+      const lenderWalletAddress = await lenderWallet.getAddress();
+
+      // Have the borrower's wallet request a loan
+      await borrowerWallet.connect(borrower).execute(
+        contractAddress,
+        collateralAmount,
+        collateralizedLoanContract.interface.encodeFunctionData(
+          "depositCollateralAndRequestLoan", [loanAmount, interestRate, duration, fundingPeriod]
+        ),
+        { value: collateralAmount }
+      );
+
+      // Have the lender's wallet fund the loan
+      await lenderWallet.connect(lender).execute(
+        contractAddress,
+        loanAmount,
+        collateralizedLoanContract.interface.encodeFunctionData("fundLoan", [loanId]),
+        { value: loanAmount }
+      );
+
+      // Check for emission of a FundsWithdrawn event when the borrower's wallet withdraws the loan amount
+      await expect(borrowerWallet.connect(borrower).execute(
+        contractAddress,
+        0,
+        collateralizedLoanContract.interface.encodeFunctionData("withdraw", [ethers.ZeroAddress])
+      ))
+        .to.emit(collateralizedLoanContract, "FundsWithdrawn")
+        .withArgs(borrowerWalletAddress, ethers.ZeroAddress, loanAmount);
+
+      // Have the borrower's wallet repay the loan in full
+      await borrowerWallet.connect(borrower).execute(
+        contractAddress,
+        loanAmount,
+        collateralizedLoanContract.interface.encodeFunctionData("repayLoan", [loanId, loanAmount]),
+        { value: loanAmount }
+      );
+
+      // Have both wallets withdraw what they are owed
+      await expect(borrowerWallet.connect(borrower).execute(
+        contractAddress,
+        0,
+        collateralizedLoanContract.interface.encodeFunctionData("withdraw", [ethers.ZeroAddress])
+      ))
+        .to.emit(collateralizedLoanContract, "FundsWithdrawn")
+        .withArgs(borrowerWalletAddress, ethers.ZeroAddress, collateralAmount);
+      await expect(lenderWallet.connect(lender).execute(
+        contractAddress,
+        0,
+        collateralizedLoanContract.interface.encodeFunctionData("withdraw", [ethers.ZeroAddress])
+      ))
+        .to.emit(collateralizedLoanContract, "FundsWithdrawn")
+        .withArgs(lenderWalletAddress, ethers.ZeroAddress, loanAmount);
+
+      // Verify that each wallet received its payments and that the contract holds no funds
+      expect(await borrowerWallet.paymentsReceived()).to.equal(2);
+      expect(await lenderWallet.paymentsReceived()).to.equal(1);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(0);
+    });
+
+    it("Should clear the balance after a withdrawal", async function () {
+      const { collateralizedLoanContract, borrower } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Have the borrower request and cancel a loan so that their collateral is credited back
+      const borrowerContract = collateralizedLoanContract.connect(borrower);
+      await borrowerContract
+        .depositCollateralAndRequestLoan(BigInt(2), BigInt(500), BigInt(60), BigInt(60), { value: BigInt(3) });
+      await borrowerContract.cancelLoanRequest(0);
+
+      // Have the borrower withdraw the collateral
+      await borrowerContract.withdraw(ethers.ZeroAddress);
+
+      // Verify that the balance has been cleared and cannot be withdrawn twice
+      expect(await borrowerContract.pendingWithdrawals(borrower.address, ethers.ZeroAddress)).to.equal(0);
+      await expect(borrowerContract.withdraw(ethers.ZeroAddress))
+        .to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should not allow withdrawing without any credited funds", async function () {
+      const { collateralizedLoanContract, lender } = await loadFixture(
+        deployCollateralizedLoanFixture
+      );
+
+      // Check that a withdrawal fails when nothing has been credited
+      await expect(collateralizedLoanContract.connect(lender).withdraw(ethers.ZeroAddress))
+        .to.be.revertedWith("No funds to withdraw");
+    });
+  });
+}
+
+runWithdrawTests();
+
+// Export the tests for testing in the main test script
+module.exports = runWithdrawTests;
@@ -0,0 +1,42 @@
+// Off-chain counterparts of the CollateralizedLoan contract's interest calculations
+const { LoanStatus } = require("./loanStatus");
+
+// Interest rates are annualized and expressed in basis points, accruing every second
+const SECONDS_PER_YEAR = BigInt(365 * 24 * 60 * 60);
+const BASIS_POINTS = BigInt(10000);
+
+// Late fees are charged for each started day after a loan's due date
+const SECONDS_PER_DAY = BigInt(24 * 60 * 60);
+
+// Calculate the interest accrued on a principal over a number of seconds, rounding up like the contract does
+function calculateInterest(principal, interestRate, elapsed) {
+  const numerator = BigInt(principal) * BigInt(interestRate) * BigInt(elapsed);
+  const denominator = SECONDS_PER_YEAR * BASIS_POINTS;
+  return (numerator + denominator - BigInt(1)) / denominator;
+}
+
+// Calculate the late fee on a principal for a number of days, rounding up like the contract does
+function calculateLateFee(principal, lateFeeRate, days) {
+  const numerator = BigInt(principal) * BigInt(lateFeeRate) * BigInt(days);
+  return (numerator + BASIS_POINTS - BigInt(1)) / BASIS_POINTS;
+}
+
+// Calculate the amount owed on a loan (as returned by the contract's loans getter) at a given timestamp,
+// given the contract's late fee rate
+function calculateAmountOwed(loan, timestamp, lateFeeRate = 0) {
+  if (loan.status == LoanStatus.Requested || loan.status == LoanStatus.Cancelled) {
+    return BigInt(0);
+  }
+  const elapsed = BigInt(timestamp) - loan.lastAccrualDate;
+  let amountOwed = loan.outstandingPrincipal + loan.accruedInterest + loan.lateFeesOwed +
+    calculateInterest(loan.outstandingPrincipal, loan.interestRate, elapsed);
+
+  // Add the late fee for any days after the due date that have started since late fees were last charged
+  if (BigInt(timestamp) > loan.dueDate) {
+    const daysLate = (BigInt(timestamp) - loan.dueDate + SECONDS_PER_DAY - BigInt(1)) / SECONDS_PER_DAY;
+    amountOwed += calculateLateFee(loan.outstandingPrincipal, lateFeeRate, daysLate - loan.lateFeeDaysCharged);
+  }
+  return amountOwed;
+}
+
+module.exports = { SECONDS_PER_YEAR, BASIS_POINTS, SECONDS_PER_DAY, calculateInterest, calculateLateFee, calculateAmountOwed };
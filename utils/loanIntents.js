@@ -0,0 +1,46 @@
+// Off-chain helpers for signing CollateralizedLoan loan intents as EIP-712 typed data
+const { ethers } = require("ethers");
+
+// EIP-712 type of a loan intent, matching the contract's LOAN_INTENT_TYPEHASH
+const LOAN_INTENT_TYPES = {
+  LoanIntent: [
+    { name: "borrower", type: "address" },
+    { name: "lender", type: "address" },
+    { name: "collateralToken", type: "address" },
+    { name: "collateralAmount", type: "uint256" },
+    { name: "loanToken", type: "address" },
+    { name: "loanAmount", type: "uint256" },
+    { name: "interestRate", type: "uint256" },
+    { name: "duration", type: "uint256" },
+    { name: "borrowerNonce", type: "uint256" },
+    { name: "lenderNonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// Get the EIP-712 domain of a deployed CollateralizedLoan contract
+async function getLoanIntentDomain(collateralizedLoanContract) {
+  const { name, version, chainId, verifyingContract } = await collateralizedLoanContract.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+// Build a loan intent from its terms, filling in the parties' current intent nonces
+async function buildLoanIntent(collateralizedLoanContract, terms) {
+  return {
+    ...terms,
+    borrowerNonce: await collateralizedLoanContract.intentNonces(terms.borrower),
+    lenderNonce: await collateralizedLoanContract.intentNonces(terms.lender),
+  };
+}
+
+// Sign a loan intent with the given signer, for submission to the contract by either party or a relayer
+async function signLoanIntent(signer, collateralizedLoanContract, intent) {
+  return signer.signTypedData(await getLoanIntentDomain(collateralizedLoanContract), LOAN_INTENT_TYPES, intent);
+}
+
+// Calculate the EIP-712 digest of a loan intent, as emitted by the contract when the intent is executed
+async function hashLoanIntent(collateralizedLoanContract, intent) {
+  return ethers.TypedDataEncoder.hash(await getLoanIntentDomain(collateralizedLoanContract), LOAN_INTENT_TYPES, intent);
+}
+
+module.exports = { LOAN_INTENT_TYPES, getLoanIntentDomain, buildLoanIntent, signLoanIntent, hashLoanIntent };
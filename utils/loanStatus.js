@@ -0,0 +1,11 @@
+// Off-chain counterpart of the CollateralizedLoan contract's LoanStatus enum, in the same order
+const LoanStatus = {
+  Requested: BigInt(0),
+  Funded: BigInt(1),
+  Repaid: BigInt(2),
+  Defaulted: BigInt(3),
+  Cancelled: BigInt(4),
+  Liquidated: BigInt(5),
+};
+
+module.exports = { LoanStatus };